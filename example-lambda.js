@@ -2,22 +2,23 @@
  * Example Lambda function that uses the IMAP Lambda Layer
  * 
  * This demonstrates how to use the ImapClient in an AWS Lambda function
- * to perform common IMAP operations.
+ * to perform common IMAP operations. The operation is selected with
+ * `event.operation`, e.g. { "operation": "moveMessage", "targetFolder": "Archive", "uid": 42 }.
  */
 
-// Import the ImapClient from the Lambda Layer
-const { ImapClient, getImapClient } = require('/opt/nodejs/imap-lambda-layer');
+// Import the handler factory from the Lambda Layer
+const { createImapHandler } = require('/opt/nodejs/imap-lambda-layer');
 
 /**
  * Lambda handler function
  * 
- * @param {Object} event - Lambda event object
- * @param {Object} context - Lambda context object
- * @returns {Promise<Object>} - Response object
+ * Runs the built-in operations of the layer (findMessage, moveMessage,
+ * listMessages, searchMessages, folderStatus, ...) plus the custom
+ * archiveMessage operation below, and returns {statusCode, body}.
  */
-exports.handler = async (event, context) => {
+exports.handler = createImapHandler({
   // Configure IMAP client
-  const config = {
+  config: {
     host: process.env.IMAP_HOST,
     port: parseInt(process.env.IMAP_PORT || '993', 10),
     secure: process.env.IMAP_SECURE !== 'false',
@@ -29,127 +30,24 @@ exports.handler = async (event, context) => {
     tls: {
       rejectUnauthorized: process.env.IMAP_REJECT_UNAUTHORIZED !== 'false'
     }
-  };
-  
-  // Get or create IMAP client (using the optimized instance reuse)
-  const imapClient = getImapClient(config);
-  
-  try {
-    // Connect to the IMAP server
-    await imapClient.connect();
-    
-    // Determine the operation to perform based on the event
-    const operation = event.operation || 'findMessage';
-    
-    let result;
-    
-    switch (operation) {
-      case 'findMessage':
-        // Find a message by Message-ID
-        result = await imapClient.findMessageByMessageId(
-          event.folder || 'INBOX',
-          event.messageId
-        );
-        break;
-        
-      case 'moveMessage':
-        // Move a message from one folder to another
-        result = await imapClient.moveMessage(
-          event.sourceFolder || 'INBOX',
-          event.targetFolder,
-          event.messageId
-        );
-        break;
-        
-      case 'listFolders':
-        // List all folders
-        result = await imapClient.listFolders();
-        break;
-        
-      case 'listMessages':
-        // List messages in a folder
-        result = await imapClient.listMessages(
-          event.folder || 'INBOX',
-          event.limit || 10
-        );
-        break;
-        
-      case 'listSESMessages':
-        // List AWS SES messages in a folder
-        result = await imapClient.listSESMessages(
-          event.folder || 'INBOX',
-          event.limit || 10
-        );
-        break;
-        
-      case 'searchMessageBySesId':
-        // Search for a message by SES ID
-        result = await imapClient.searchMessageBySesId(
-          event.folder || 'INBOX',
-          event.sesId
-        );
-        break;
-        
-      case 'getHeaders':
-        // Get processed message headers
-        result = await imapClient.getMessageHeaders(
-          event.folder || 'INBOX',
-          event.identifier || event.messageId,
-          event.headerName
-        );
-        break;
-        
-      case 'getRawHeaders':
-        // Get raw message headers
-        result = await imapClient.getRawMessageHeaders(
-          event.folder || 'INBOX',
-          event.identifier || event.messageId,
-          event.headerName
-        );
-        break;
-        
-      case 'folderExists':
-        // Check if a folder exists
-        result = await imapClient.folderExists(
-          event.folderPath
-        );
-        break;
-        
-      case 'folderMake':
-        // Create a folder and all intermediate folders if needed
-        result = await imapClient.folderMake(
-          event.folderPath
-        );
-        break;
-        
-      default:
-        throw new Error(`Unsupported operation: ${operation}`);
+    // Optional: Pass your own logger, e.g. logger: createLogger({ level: 'debug' })
+  },
+
+  // Custom operations are validated and answered like the built-in ones
+  operations: {
+    archiveMessage: {
+      schema: {
+        folder: { type: 'string', default: 'INBOX' },
+        messageId: { type: 'string', required: true }
+      },
+      run: async (client, input, { signal }) => {
+        // Mark the message as read and move it into the Archive folder
+        await client.addFlags(input.folder, input.messageId, ['\\Seen'], { signal });
+        const archive = await client.getSpecialFolder('\\Archive', { signal }) || 'Archive';
+        return client.moveMessages(input.folder, archive, [input.messageId], { signal });
+      }
     }
-    
-    // Return the result
-    return {
-      statusCode: 200,
-      body: JSON.stringify({
-        success: true,
-        operation,
-        result
-      })
-    };
-  } catch (error) {
-    // Log the error
-    console.error('Error:', error);
-    
-    // Return an error response
-    return {
-      statusCode: 500,
-      body: JSON.stringify({
-        success: false,
-        operation: event.operation,
-        error: error.message
-      })
-    };
   }
-  // Note: We don't disconnect in the finally block anymore
-  // because we're reusing the connection across invocations
-  // The connection will be managed by the getImapClient function
-};
+
+  // Optional: Only expose some operations, e.g. allow: ['findMessage', 'listMessages', 'archiveMessage']
+});
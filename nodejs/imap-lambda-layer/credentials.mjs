@@ -0,0 +1,126 @@
+/**
+ * IMAP Credentials
+ *
+ * Credential providers for the `credentialsProvider` option of the ImapClient.
+ * A provider is an async function returning the connection settings to merge
+ * into the client configuration, at least `auth`. It is called again whenever
+ * the cached credentials expire or the server rejects them.
+ */
+
+import { readFile } from "node:fs/promises";
+
+/**
+ * Read credentials from environment variables
+ *
+ * Uses the same variables as the example Lambda function: IMAP_HOST,
+ * IMAP_PORT, IMAP_SECURE, IMAP_USER, IMAP_PASSWORD and IMAP_REJECT_UNAUTHORIZED.
+ *
+ * @param {Object} [options] - Provider options
+ * @param {string} [options.prefix] - Prefix of the variable names (default: "IMAP_")
+ * @param {Object} [options.env] - Environment to read from (default: process.env)
+ * @returns {Function} - Credentials provider
+ */
+export function envCredentials(options = {}) {
+  const prefix = options.prefix || 'IMAP_';
+  const env = options.env || process.env;
+
+  return async () => {
+    const get = (name) => env[`${prefix}${name}`];
+
+    if (!get('USER')) {
+      throw new TypeError(`${prefix}USER is not set`);
+    }
+
+    const credentials = {
+      auth: { user: get('USER'), pass: get('PASSWORD') },
+    };
+
+    if (get('HOST')) {
+      credentials.host = get('HOST');
+    }
+    if (get('PORT')) {
+      credentials.port = parseInt(get('PORT'), 10);
+    }
+    if (get('SECURE')) {
+      credentials.secure = get('SECURE') !== 'false';
+    }
+    if (get('REJECT_UNAUTHORIZED')) {
+      credentials.tls = { rejectUnauthorized: get('REJECT_UNAUTHORIZED') !== 'false' };
+    }
+
+    return credentials;
+  };
+}
+
+/**
+ * Read credentials from a JSON file, such as a mounted secret
+ *
+ * @param {string} path - Path of the JSON file
+ * @returns {Function} - Credentials provider
+ */
+export function fileCredentials(path) {
+  return async () => normalizeCredentials(JSON.parse(await readFile(path, 'utf8')));
+}
+
+/**
+ * Read credentials from an AWS Secrets Manager secret
+ *
+ * The secret is fetched through the given function, so that the layer does not
+ * depend on the AWS SDK and tests can pass a stub. With the AWS SDK v3 this is
+ * `(params) => new SecretsManager().getSecretValue(params)`.
+ *
+ * @param {Object} options - Provider options
+ * @param {string} options.secretId - Name or ARN of the secret
+ * @param {Function} options.getSecretValue - Async function receiving {SecretId} and returning {SecretString}
+ * @returns {Function} - Credentials provider
+ */
+export function secretsManagerCredentials(options) {
+  if (!options || !options.secretId || typeof options.getSecretValue !== 'function') {
+    throw new TypeError('secretsManagerCredentials requires a secretId and a getSecretValue function');
+  }
+
+  return async () => {
+    const response = await options.getSecretValue({ SecretId: options.secretId });
+
+    if (!response || typeof response.SecretString !== 'string') {
+      throw new TypeError(`Secret ${options.secretId} has no SecretString`);
+    }
+
+    return normalizeCredentials(JSON.parse(response.SecretString));
+  };
+}
+
+/**
+ * Accept both the ImapClient config shape and flat secrets
+ *
+ * Flat secrets may use user or username and pass or password, as in the
+ * database secrets that Secrets Manager rotates.
+ *
+ * @private
+ * @param {Object} data - Parsed credentials
+ * @returns {Object} - Connection settings with an auth object
+ */
+function normalizeCredentials(data) {
+  if (!data || typeof data !== 'object') {
+    throw new TypeError('Credentials must be a JSON object');
+  }
+
+  const { user, username, pass, password, accessToken, auth, ...settings } = data;
+
+  if (auth) {
+    return { ...settings, auth };
+  }
+
+  const credentials = { ...settings, auth: { user: user || username } };
+  if (accessToken) {
+    credentials.auth.accessToken = accessToken;
+  } else {
+    credentials.auth.pass = pass || password;
+  }
+
+  if (!credentials.auth.user) {
+    throw new TypeError('Credentials contain no user');
+  }
+
+  return credentials;
+}
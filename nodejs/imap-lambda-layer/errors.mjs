@@ -0,0 +1,164 @@
+/**
+ * IMAP Errors
+ *
+ * Typed errors thrown by the ImapClient. Every error carries a stable `code`
+ * and a `retryable` flag so that callers can tell a missing folder from a
+ * server that is down without parsing messages.
+ */
+
+/**
+ * Base class of all errors thrown by the ImapClient
+ */
+export class ImapError extends Error {
+  /**
+   * Create a new IMAP error
+   *
+   * @param {string} message - Error message
+   * @param {Object} [options] - Error options
+   * @param {string} [options.code] - Stable error code (default: "CommandFailed")
+   * @param {boolean} [options.retryable] - Whether retrying the operation may succeed (default: false)
+   * @param {Error} [options.cause] - Underlying error
+   * @param {Object} [options.details] - Additional details, such as the folder or identifier involved
+   */
+  constructor(message, options = {}) {
+    super(message, options.cause ? { cause: options.cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = options.code || 'CommandFailed';
+    this.retryable = options.retryable || false;
+    if (options.details) {
+      this.details = options.details;
+    }
+  }
+}
+
+/**
+ * Authentication was rejected by the server
+ */
+export class ImapAuthError extends ImapError {
+  constructor(message, options = {}) {
+    super(message, { code: 'AuthenticationFailed', retryable: false, ...options });
+  }
+}
+
+/**
+ * The connection could not be established or was lost
+ */
+export class ImapConnectionError extends ImapError {
+  constructor(message, options = {}) {
+    super(message, { code: 'ConnectionFailed', retryable: true, ...options });
+  }
+}
+
+/**
+ * The requested folder does not exist
+ */
+export class MailboxNotFoundError extends ImapError {
+  constructor(message, options = {}) {
+    super(message, { code: 'MailboxNotFound', retryable: false, ...options });
+  }
+}
+
+/**
+ * The requested message does not exist
+ */
+export class MessageNotFoundError extends ImapError {
+  constructor(message, options = {}) {
+    super(message, { code: 'MessageNotFound', retryable: false, ...options });
+  }
+}
+
+/**
+ * The operation did not complete in time
+ */
+export class ImapTimeoutError extends ImapError {
+  constructor(message, options = {}) {
+    super(message, { code: 'Timeout', retryable: true, ...options });
+  }
+}
+
+/**
+ * The mailbox is over its storage quota or a server size limit
+ */
+export class ImapQuotaError extends ImapError {
+  constructor(message, options = {}) {
+    super(message, { code: 'QuotaExceeded', retryable: false, ...options });
+  }
+}
+
+const TIMEOUT_CODES = ['ETIMEDOUT', 'CONNECT_TIMEOUT', 'GREETING_TIMEOUT', 'UPGRADE_TIMEOUT'];
+
+const CONNECTION_CODES = [
+  'NoConnection',
+  'EConnectionClosed',
+  'StateLogout',
+  'ClosedAfterConnectTLS',
+  'ClosedAfterConnectText',
+  'ProxyError',
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'ENOTFOUND',
+  'EAI_AGAIN',
+  'EHOSTUNREACH',
+  'ENETUNREACH',
+  'EPIPE',
+  'ETHROTTLE',
+];
+
+/**
+ * Convert any error raised while talking to the server into a typed ImapError
+ *
+ * Errors that already are ImapErrors, and argument errors (TypeError,
+ * RangeError) raised before anything was sent, are returned unchanged.
+ *
+ * @param {Error} error - Error to convert
+ * @param {Object} [details] - Details to attach, such as the folder involved
+ * @returns {Error} - Typed error
+ */
+export function toImapError(error, details) {
+  if (error instanceof ImapError || error instanceof TypeError || error instanceof RangeError) {
+    return error;
+  }
+
+  const message = typeof error.response === 'string' && error.response ? error.response : error.message;
+  const responseCode = error.serverResponseCode;
+  const options = { cause: error, details };
+
+  if (error.authenticationFailed || responseCode === 'AUTHENTICATIONFAILED' || responseCode === 'AUTHORIZATIONFAILED') {
+    return new ImapAuthError(`Authentication failed: ${message}`, options);
+  }
+
+  if (TIMEOUT_CODES.includes(error.code)) {
+    return new ImapTimeoutError(error.message, options);
+  }
+
+  if (CONNECTION_CODES.includes(error.code)) {
+    return new ImapConnectionError(error.message, options);
+  }
+
+  if (
+    responseCode === 'NONEXISTENT' ||
+    error.code === 'NotFound' ||
+    error.code === 'NONEXISTENT' ||
+    /mailbox (does not|doesn't) exist|unknown mailbox|no such (mailbox|folder)/i.test(message)
+  ) {
+    return new MailboxNotFoundError(
+      details && details.folder ? `Folder ${details.folder} does not exist` : message,
+      options
+    );
+  }
+
+  if (responseCode === 'OVERQUOTA' || responseCode === 'LIMIT' || responseCode === 'APPENDLIMIT') {
+    return new ImapQuotaError(message, options);
+  }
+
+  // Server responses without a machine-readable code
+  if (/over ?quota|quota exceeded/i.test(message)) {
+    return new ImapQuotaError(message, options);
+  }
+
+  if (responseCode === 'UNAVAILABLE' || responseCode === 'INUSE') {
+    return new ImapError(message, { ...options, retryable: true });
+  }
+
+  return new ImapError(message, options);
+}
@@ -0,0 +1,419 @@
+/**
+ * IMAP Lambda Handler
+ *
+ * A ready-made Lambda handler that maps `event.operation` to an ImapClient
+ * method. Every operation declares the event fields it accepts, so that
+ * malformed events are rejected before anything is sent to the server.
+ */
+
+import { getImapClient, signalFromContext } from "./imap-client.mjs";
+import { createLogger, silentLogger } from "./logger.mjs";
+import { applyRules } from "./rules.mjs";
+
+/**
+ * HTTP status codes for the stable error codes thrown by the layer
+ */
+const STATUS_CODES = {
+  AuthenticationFailed: 401,
+  TokenProviderFailed: 401,
+  CredentialsProviderFailed: 401,
+  MailboxNotFound: 404,
+  MessageNotFound: 404,
+  InvalidCursor: 400,
+  InvalidSyncState: 400,
+  // The caller has to start over without cursor or state
+  UidValidityChanged: 409,
+  QuotaExceeded: 507,
+  ConnectionFailed: 503,
+  Timeout: 504,
+};
+
+const FOLDER = { type: 'string', default: 'INBOX' };
+const FOLDERS = { type: ['string', 'array'], default: 'INBOX' };
+const SOURCE_FOLDER = { type: 'string', default: 'INBOX' };
+const TARGET_FOLDER = { type: 'string', required: true };
+const FOLDER_PATH = { type: 'string', required: true };
+const IDENTIFIER = { type: ['string', 'number', 'array'], required: true };
+const IDENTIFIERS = { type: 'array', required: true };
+const FLAGS = { type: 'array', required: true };
+const LIMIT = { type: 'number', default: 10 };
+const CURSOR = { type: ['string', 'null'] };
+
+/**
+ * Run listMessages or listSESMessages, sending "cursor" (even null) switches to paging
+ *
+ * Without a cursor the result is the plain array of messages, as when the
+ * methods are called with a limit, but the signal is still passed on.
+ *
+ * @private
+ * @param {Function} list - Function calling the method with the given options
+ * @param {Object} input - Validated input with limit and cursor
+ * @param {AbortSignal} [signal] - Abort signal of the invocation
+ * @returns {Promise<Array|Object>} - Array of messages, or {messages, cursor} when paging
+ */
+async function listPage(list, input, signal) {
+  if (input.cursor === undefined) {
+    return (await list({ limit: input.limit, signal })).messages;
+  }
+  return list({ limit: input.limit, cursor: input.cursor, signal });
+}
+
+/**
+ * Operations available in every handler
+ */
+const BUILT_IN_OPERATIONS = {
+  findMessage: {
+    schema: { folder: FOLDER, messageId: { type: 'string', required: true } },
+    run: (client, input, { signal }) => client.findMessageByMessageId(input.folder, input.messageId, { signal }),
+  },
+  moveMessage: {
+    schema: { sourceFolder: SOURCE_FOLDER, targetFolder: TARGET_FOLDER, uid: { type: 'number', required: true } },
+    run: (client, input, { signal }) =>
+      client.moveMessage(input.sourceFolder, input.targetFolder, input.uid, { signal }),
+  },
+  moveMessages: {
+    schema: { sourceFolder: SOURCE_FOLDER, targetFolder: TARGET_FOLDER, identifiers: IDENTIFIERS },
+    run: (client, input, { signal }) =>
+      client.moveMessages(input.sourceFolder, input.targetFolder, input.identifiers, { signal }),
+  },
+  copyMessages: {
+    schema: { sourceFolder: SOURCE_FOLDER, targetFolder: TARGET_FOLDER, identifiers: IDENTIFIERS },
+    run: (client, input, { signal }) =>
+      client.copyMessages(input.sourceFolder, input.targetFolder, input.identifiers, { signal }),
+  },
+  deleteMessages: {
+    schema: { folder: FOLDER, identifiers: IDENTIFIERS },
+    run: (client, input, { signal }) => client.deleteMessages(input.folder, input.identifiers, { signal }),
+  },
+  moveToTrash: {
+    schema: { folder: FOLDER, identifiers: IDENTIFIER },
+    run: (client, input, { signal }) => client.moveToTrash(input.folder, input.identifiers, { signal }),
+  },
+  addFlags: {
+    schema: { folder: FOLDER, identifier: IDENTIFIER, flags: FLAGS },
+    run: (client, input, { signal }) => client.addFlags(input.folder, input.identifier, input.flags, { signal }),
+  },
+  removeFlags: {
+    schema: { folder: FOLDER, identifier: IDENTIFIER, flags: FLAGS },
+    run: (client, input, { signal }) => client.removeFlags(input.folder, input.identifier, input.flags, { signal }),
+  },
+  setFlags: {
+    schema: { folder: FOLDER, identifier: IDENTIFIER, flags: FLAGS },
+    run: (client, input, { signal }) => client.setFlags(input.folder, input.identifier, input.flags, { signal }),
+  },
+  listFolders: {
+    schema: {},
+    run: (client, input, { signal }) => client.listFolders({ signal }),
+  },
+  listMessages: {
+    schema: { folder: FOLDER, limit: LIMIT, cursor: CURSOR },
+    run: (client, input, { signal }) =>
+      listPage((options) => client.listMessages(input.folder, options), input, signal),
+  },
+  listSESMessages: {
+    schema: { folder: FOLDER, limit: LIMIT, cursor: CURSOR },
+    run: (client, input, { signal }) =>
+      listPage((options) => client.listSESMessages(input.folder, options), input, signal),
+  },
+  syncMailbox: {
+    schema: { folder: FOLDER, state: { type: ['string', 'null'], default: null } },
+    run: (client, input, { signal }) => client.syncMailbox(input.folder, input.state, { signal }),
+  },
+  waitForMessages: {
+    schema: { folder: FOLDER, criteria: { type: 'object', default: {} }, timeoutMs: { type: 'number' } },
+    run: (client, input, { signal }) =>
+      client.waitForMessages(input.folder, { criteria: input.criteria, timeoutMs: input.timeoutMs, signal }),
+  },
+  searchMessages: {
+    schema: { folder: FOLDER, criteria: { type: 'object', default: {} }, limit: LIMIT },
+    run: (client, input, { signal }) =>
+      client.searchMessages(input.folder, input.criteria, { limit: input.limit, signal }),
+  },
+  searchMessageBySesId: {
+    schema: {
+      folder: FOLDER,
+      sesId: { type: 'string', required: true },
+      since: { type: 'string' },
+      before: { type: 'string' },
+      scan: { type: 'boolean', default: false },
+      maxScan: { type: 'number' },
+    },
+    run: (client, input, { signal }) =>
+      client.searchMessageBySesId(input.folder, input.sesId, {
+        since: input.since,
+        before: input.before,
+        scan: input.scan,
+        maxScan: input.maxScan,
+        signal,
+      }),
+  },
+  applyRules: {
+    schema: {
+      folder: FOLDER,
+      rules: { type: ['array', 'object'], required: true },
+      criteria: { type: 'object', default: {} },
+      limit: { type: 'number' },
+      dryRun: { type: 'boolean', default: false },
+    },
+    run: (client, input, { signal }) =>
+      applyRules(client, input.folder, input.rules, {
+        criteria: input.criteria,
+        limit: input.limit,
+        dryRun: input.dryRun,
+        signal,
+      }),
+  },
+  getThread: {
+    schema: {
+      folder: FOLDERS,
+      identifier: { type: ['string', 'number'], required: true },
+      criteria: { type: 'object', default: {} },
+    },
+    run: (client, input, { signal }) =>
+      client.getThread(input.folder, input.identifier, { criteria: input.criteria, signal }),
+  },
+  listThreads: {
+    schema: { folder: FOLDERS, criteria: { type: 'object', default: {} }, limit: LIMIT },
+    run: (client, input, { signal }) =>
+      client.listThreads(input.folder, { criteria: input.criteria, limit: input.limit, signal }),
+  },
+  findDuplicates: {
+    schema: { folders: { type: 'array' }, by: { type: 'string', default: 'message-id' } },
+    run: (client, input, { signal }) => client.findDuplicates({ folders: input.folders, by: input.by, signal }),
+  },
+  dedupe: {
+    schema: {
+      folders: { type: 'array' },
+      by: { type: 'string', default: 'message-id' },
+      keep: { type: 'string', default: 'oldest' },
+      preferredFolder: { type: 'string' },
+      dryRun: { type: 'boolean', default: false },
+    },
+    run: (client, input, { signal }) => client.dedupe({ ...input, signal }),
+  },
+  getHeaders: {
+    schema: { folder: FOLDER, identifier: { type: ['string', 'number'], required: true }, headerName: { type: 'string' } },
+    run: (client, input, { signal }) =>
+      client.getMessageHeaders(input.folder, input.identifier, input.headerName || null, { signal }),
+  },
+  getRawHeaders: {
+    schema: { folder: FOLDER, identifier: { type: ['string', 'number'], required: true }, headerName: { type: 'string' } },
+    run: (client, input, { signal }) =>
+      client.getRawMessageHeaders(input.folder, input.identifier, input.headerName || null, { signal }),
+  },
+  folderExists: {
+    schema: { folderPath: FOLDER_PATH },
+    run: (client, input, { signal }) => client.folderExists(input.folderPath, { signal }),
+  },
+  folderMake: {
+    schema: { folderPath: FOLDER_PATH },
+    run: (client, input, { signal }) => client.folderMake(input.folderPath, { signal }),
+  },
+  folderRename: {
+    schema: { folderPath: FOLDER_PATH, newFolderPath: { type: 'string', required: true } },
+    run: (client, input, { signal }) => client.folderRename(input.folderPath, input.newFolderPath, { signal }),
+  },
+  folderDelete: {
+    schema: { folderPath: FOLDER_PATH, recursive: { type: 'boolean' }, onlyIfEmpty: { type: 'boolean' } },
+    run: (client, input, { signal }) =>
+      client.folderDelete(input.folderPath, {
+        recursive: input.recursive,
+        onlyIfEmpty: input.onlyIfEmpty,
+        signal,
+      }),
+  },
+  folderStatus: {
+    schema: { folderPath: FOLDER_PATH },
+    run: (client, input, { signal }) => client.folderStatus(input.folderPath, { signal }),
+  },
+};
+
+/**
+ * Create a Lambda handler that runs IMAP operations selected by `event.operation`
+ *
+ * @param {Object} options - Handler options
+ * @param {Object} options.config - ImapClient configuration, passed to getImapClient on every invocation
+ * @param {Object} [options.operations] - Custom operations by name, each {schema, run} or just a run function.
+ *   run receives (client, input, {signal, event, context}) and returns the result. Custom operations
+ *   replace built-in operations of the same name
+ * @param {Array<string>} [options.allow] - Names of the operations that may be called (default: all)
+ * @param {number} [options.margin] - Time in ms to keep in reserve before the Lambda timeout (default: 2000)
+ * @returns {Function} - Async Lambda handler (event, context) returning {statusCode, body}
+ */
+export function createImapHandler(options) {
+  if (!options || !options.config) {
+    throw new TypeError('createImapHandler requires a config');
+  }
+
+  const registry = { ...BUILT_IN_OPERATIONS };
+  for (const [name, operation] of Object.entries(options.operations || {})) {
+    registry[name] = typeof operation === 'function' ? { schema: null, run: operation } : operation;
+    if (typeof registry[name].run !== 'function') {
+      throw new TypeError(`Operation ${name} has no run function`);
+    }
+  }
+
+  const allowed = new Set(options.allow || Object.keys(registry));
+  for (const name of allowed) {
+    if (!registry[name]) {
+      throw new TypeError(`Allowed operation ${name} does not exist`);
+    }
+  }
+
+  return async (event = {}, context) => {
+    const name = event.operation;
+
+    if (!name || !registry[name]) {
+      return respond(400, {
+        success: false,
+        operation: name,
+        error: name ? `Unsupported operation: ${name}` : 'The event has no operation',
+        code: 'UnsupportedOperation',
+        retryable: false,
+      });
+    }
+
+    if (!allowed.has(name)) {
+      return respond(403, {
+        success: false,
+        operation: name,
+        error: `Operation ${name} is not allowed`,
+        code: 'OperationNotAllowed',
+        retryable: false,
+      });
+    }
+
+    let client = null;
+
+    try {
+      client = getImapClient(options.config);
+      const operation = registry[name];
+      const input = operation.schema ? validateInput(operation.schema, event) : event;
+      // Abort in time to still return a response before Lambda times out
+      const signal =
+        context && typeof context.getRemainingTimeInMillis === 'function'
+          ? signalFromContext(context, { margin: options.margin })
+          : undefined;
+
+      const result = await operation.run(client, input, { signal, event, context });
+
+      return respond(200, { success: true, operation: name, result });
+    } catch (error) {
+      // Log the error through the client's logger, so addresses in the message are redacted
+      const logger = client ? client.logger : fallbackLogger(options.config.logger);
+      logger.error({ msg: 'Operation failed', operation: name, err: error });
+
+      const body = {
+        success: false,
+        operation: name,
+        error: error.message,
+        code: error.code || (error instanceof TypeError ? 'InvalidInput' : 'InternalError'),
+        retryable: error.retryable || false,
+      };
+      if (error.details && error.details.progress) {
+        body.progress = error.details.progress;
+      }
+
+      // Invalid input is the caller's fault
+      return respond(STATUS_CODES[error.code] || (error instanceof TypeError ? 400 : 500), body);
+    }
+  };
+}
+
+/**
+ * Logger for errors raised before there is a client, such as an invalid configuration
+ *
+ * @private
+ * @param {Object|false} [logger] - Logger from the client configuration
+ * @returns {Object} - Logger
+ */
+function fallbackLogger(logger) {
+  if (logger === false) {
+    return silentLogger;
+  }
+  return logger && typeof logger.error === 'function' ? logger : createLogger({ fields: { component: 'imap-handler' } });
+}
+
+/**
+ * Check the event against the schema of an operation and apply defaults
+ *
+ * @private
+ * @param {Object} schema - Field name to {type, required, default}
+ * @param {Object} event - Lambda event
+ * @returns {Object} - Validated input
+ * @throws {TypeError} - If a field is unknown, missing or of the wrong type
+ */
+function validateInput(schema, event) {
+  const input = {};
+
+  for (const key of Object.keys(event)) {
+    if (key !== 'operation' && !schema[key]) {
+      throw new TypeError(`Unknown field "${key}" for operation ${event.operation}`);
+    }
+  }
+
+  for (const [key, field] of Object.entries(schema)) {
+    const value = event[key];
+
+    if (value === undefined) {
+      if (field.required) {
+        throw new TypeError(`Field "${key}" is required for operation ${event.operation}`);
+      }
+      if (field.default !== undefined) {
+        input[key] = field.default;
+      }
+      continue;
+    }
+
+    const types = [].concat(field.type);
+    if (!types.includes(typeOf(value))) {
+      throw new TypeError(`Field "${key}" must be of type ${types.join(' or ')}`);
+    }
+    input[key] = value;
+  }
+
+  return input;
+}
+
+/**
+ * Type name of a JSON value, distinguishing arrays and null from objects
+ *
+ * @private
+ * @param {*} value - Value to inspect
+ * @returns {string} - Type name
+ */
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+/**
+ * Build a Lambda response with a JSON body
+ *
+ * ImapFlow results contain BigInts, Sets and Maps, which JSON.stringify does
+ * not handle, so they are converted to strings, arrays and objects.
+ *
+ * @private
+ * @param {number} statusCode - HTTP status code
+ * @param {Object} body - Response body
+ * @returns {Object} - Lambda response
+ */
+function respond(statusCode, body) {
+  return {
+    statusCode,
+    body: JSON.stringify(body, (key, value) => {
+      if (typeof value === 'bigint') {
+        return value.toString();
+      }
+      if (value instanceof Set) {
+        return Array.from(value);
+      }
+      if (value instanceof Map) {
+        return Object.fromEntries(value);
+      }
+      return value;
+    }),
+  };
+}
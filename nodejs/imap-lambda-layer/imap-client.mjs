@@ -5,7 +5,109 @@
  * for AWS Lambda functions.
  */
 
+import { createHash } from "node:crypto";
+import { once } from "node:events";
+import { appendFile, mkdir, utimes, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+import { Transform } from "node:stream";
+import { finished, pipeline } from "node:stream/promises";
 import { ImapFlow } from "imapflow";
+import MailComposer from "nodemailer/lib/mail-composer/index.js";
+import {
+  ImapError,
+  ImapAuthError,
+  MailboxNotFoundError,
+  MessageNotFoundError,
+  ImapConnectionError,
+  ImapTimeoutError,
+  toImapError,
+} from "./errors.mjs";
+import { createLogger, silentLogger, toImapFlowLogger } from "./logger.mjs";
+import { formatMboxEntry, parseMbox } from "./mbox.mjs";
+import { parseMessageIds, parseThreadList, threadMessages } from "./threading.mjs";
+
+/**
+ * Search criteria accepted by searchMessages, mapped to the value type they expect
+ */
+const SEARCH_CRITERIA = {
+  from: 'string',
+  to: 'string',
+  cc: 'string',
+  bcc: 'string',
+  subject: 'string',
+  body: 'string',
+  text: 'string',
+  since: 'date',
+  before: 'date',
+  on: 'date',
+  larger: 'number',
+  smaller: 'number',
+  seen: 'boolean',
+  flagged: 'boolean',
+  answered: 'boolean',
+  draft: 'boolean',
+  deleted: 'boolean',
+  keyword: 'string',
+  unKeyword: 'string',
+  header: 'object',
+  uid: 'string',
+  and: 'array',
+  or: 'array',
+  not: 'object',
+};
+
+/**
+ * RFC 6154 special-use flags that can be resolved to folders
+ */
+const SPECIAL_USE_FLAGS = ['\\All', '\\Archive', '\\Drafts', '\\Flagged', '\\Junk', '\\Sent', '\\Trash'];
+
+/**
+ * Folder names used as a fallback for special-use flags ImapFlow has no name heuristics for
+ */
+const SPECIAL_USE_NAMES = {
+  '\\All': ['all mail', 'all messages'],
+  '\\Archive': ['archives'],
+  '\\Flagged': ['starred', 'flagged'],
+};
+
+/**
+ * Highest UID allowed by IMAP, UIDs are unsigned 32-bit numbers
+ */
+const MAX_UID = 4294967295;
+
+/**
+ * Maximum number of known UIDs in a syncMailbox state token, far more than a folder holds in practice
+ */
+const MAX_SYNC_UIDS = 10000000;
+
+/**
+ * Keys findDuplicates can match messages by
+ */
+const DUPLICATE_KEYS = ['message-id', 'content-hash'];
+
+/**
+ * Headers included in the content hash of findDuplicates, next to the body
+ */
+const HASHED_HEADERS = ['from', 'to', 'cc', 'subject', 'date', 'message-id'];
+
+/**
+ * Special-use flags of folders left out by findDuplicates by default: Trash and Junk, and virtual folders that
+ * show messages stored in other folders, so that every message they show would be reported as a duplicate
+ */
+const NON_DUPLICATE_FOLDER_FLAGS = ['\\Trash', '\\Junk', '\\All', '\\Flagged', '\\Important'];
+
+/**
+ * Time in ms that an aborted operation waits for LOGOUT before the socket is closed
+ */
+const ABORT_LOGOUT_TIMEOUT = 500;
+
+/**
+ * Options accepted by every ImapClient method to bound how long it may run
+ *
+ * @typedef {Object} CallOptions
+ * @property {AbortSignal} [signal] - Aborts the operation when signalled, e.g. from signalFromContext
+ * @property {number|Date} [deadline] - Absolute time (Date or epoch milliseconds) at which the operation is aborted
+ */
 
 /**
  * IMAP Client class for interacting with IMAP servers
@@ -21,393 +123,2583 @@ export class ImapClient {
    * @param {Object} config.auth - Authentication details
    * @param {string} config.auth.user - Username
    * @param {string} config.auth.pass - Password
+   * @param {string} config.auth.accessToken - OAuth2 access token, used instead of the password (XOAUTH2/OAUTHBEARER)
+   * @param {Function} config.auth.tokenProvider - Async function ({user, forceRefresh}) returning an OAuth2 access token,
+   *   called on every connect and reconnect
    * @param {boolean} config.tls - TLS options (optional)
+   * @param {Object|false} config.logger - Logger with debug, info, warn and error methods, or false to disable logging (default: JSON-lines logger from createLogger)
+   * @param {number} config.livenessCheckAfter - Idle time in ms after which the connection is verified with NOOP before use (default: 30000)
+   * @param {number} config.livenessTimeout - Time in ms to wait for the NOOP response (default: 5000)
+   * @param {number} config.retryDelay - Delay in ms before an idempotent read is retried after a connection failure (default: 250)
+   * @param {Function} config.credentialsProvider - Async function returning connection settings ({host, port, auth, ...})
+   *   to merge into this configuration on connect, e.g. from envCredentials or secretsManagerCredentials
+   * @param {number} config.credentialsTtl - Time in ms the provided credentials are cached (default: 300000)
+   * @param {boolean} config.qresync - Whether to enable QRESYNC where the server supports it, used by syncMailbox (default: false)
    */
   constructor(config) {
     this.config = config;
-    this.client = new ImapFlow(config);
+    this.setLogger(config.logger);
+    this.livenessCheckAfter = config.livenessCheckAfter ?? 30000;
+    this.livenessTimeout = config.livenessTimeout ?? 5000;
+    this.retryDelay = config.retryDelay ?? 250;
+    this.credentialsTtl = config.credentialsTtl ?? 300000;
+    this.credentialsExpireAt = 0;
+    this.authFailed = false;
+    this.client = this.#createConnection();
     this.isConnected = false;
+    this.connecting = null;
+    this.aborting = null;
+    this.lastActivity = 0;
+    // Defaults until the server's hierarchy delimiter and namespace are discovered on connect
     this.delimiter = '/';
+    this.namespacePrefix = '';
+    this.specialFolders = null;
   }
 
   /**
    * Connect to the IMAP server
    *
    * @returns {Promise<void>}
+   * @throws {ImapAuthError|ImapConnectionError|ImapTimeoutError} - If the connection could not be established
    */
   async connect() {
+    // A cached client may have lost its connection while the Lambda was frozen
+    if (this.isConnected && !(await this.#isAlive())) {
+      this.#dropConnection('Connection is no longer alive');
+    }
+
     if (!this.isConnected) {
-      await this.client.connect();
-      this.isConnected = true;
+      // Concurrent callers share a single connection attempt
+      this.connecting = this.connecting || this.#open().finally(() => {
+        this.connecting = null;
+      });
+      await this.connecting;
     }
+
+    this.lastActivity = Date.now();
   }
 
   /**
-   * Disconnect from the IMAP server
+   * Open the connection, replacing the ImapFlow instance if it has been used before
    *
+   * @private
    * @returns {Promise<void>}
    */
-  async disconnect() {
-    if (this.isConnected) {
-      await this.client.logout();
-      this.isConnected = false;
+  async #open() {
+    for (let attempt = 1; ; attempt++) {
+      // Rejected credentials or tokens are refreshed once, they may have been rotated or expired
+      await this.#resolveCredentials(attempt > 1);
+      const auth = await this.#resolveAuth(attempt > 1);
+
+      // ImapFlow instances can not be reconnected once closed, and their credentials are fixed
+      if (auth || this.client.usable === false || this.client.socket) {
+        this.client = this.#createConnection(auth);
+      }
+
+      try {
+        await this.#connectClient(this.client);
+        break;
+      } catch (error) {
+        const imapError = toImapError(error);
+        const refreshable = auth || this.config.credentialsProvider;
+        if (imapError instanceof ImapAuthError && refreshable && attempt === 1) {
+          this.logger.warn({ msg: 'Credentials rejected, refreshing', host: this.config.host });
+          continue;
+        }
+        // Lets getImapClient replace this client instead of handing it out again
+        this.authFailed = imapError instanceof ImapAuthError;
+        if (this.authFailed) {
+          this.credentialsExpireAt = 0;
+        }
+        this.logger.error({ msg: 'Failed to connect', host: this.config.host, err: imapError });
+        throw imapError;
+      }
     }
+    this.authFailed = false;
+    this.isConnected = true;
+    this.logger.info({ msg: 'Connected', host: this.config.host });
+    this.specialFolders = null;
+    await this.#discoverHierarchy();
   }
 
   /**
-   * Check if a folder exists on the IMAP server
+   * Connect an ImapFlow instance
    *
-   * @param {string} folderPath - Folder path to check (can include nested folders with delimiter)
-   * @returns {Promise<boolean>} - True if folder exists, false otherwise
+   * ImapFlow's connect() never settles when the connection is closed while
+   * connecting, as #abortConnection does, so closing rejects it here.
+   *
+   * @private
+   * @param {ImapFlow} client - Connection to open
+   * @returns {Promise<void>}
    */
-  async folderExists(folderPath) {
-    await this.connect();
-    
+  async #connectClient(client) {
+    let onClose;
+    const closed = new Promise((resolve, reject) => {
+      onClose = () => reject(new ImapConnectionError('Connection closed while connecting'));
+      client.once('close', onClose);
+    });
+
     try {
-      // Normalize path to account for different separators if needed
-      const normalizedPath = folderPath.replace(/[\/\\]/g, this.delimiter);
-      
-      // Use status to check if the mailbox exists
-      // Request minimal status info (messages count is sufficient to check existence)
-      const status = await this.client.status(normalizedPath, {uidValidity: true});
-      console.log(`folderExists status for ${normalizedPath}`, status);
-      // If we get a status response, the mailbox exists
-      return status !== null;
-    } catch (error) {
-      // If the error is specifically about the mailbox not existing
-      if (error.code === 'NONEXISTENT') {
-        return false;
-      }
-      
-      // For other errors, log and return false
-      console.error(`Error checking if folder exists: ${error.message}`);
-      return false;
+      await Promise.race([client.connect(), closed]);
+    } finally {
+      client.off('close', onClose);
     }
   }
 
   /**
-   * Create a folder and all intermediate folders if they don't exist
+   * Merge the settings of the credentials provider into the configuration, if one is configured
    *
-   * @param {string} folderPath - Path of the folder to create
-   * @returns {Promise<boolean>} - True if created successfully, false otherwise
+   * @private
+   * @param {boolean} forceRefresh - Whether to ignore cached credentials
+   * @returns {Promise<void>}
+   * @throws {ImapAuthError} - If the provider failed
    */
-  async folderMake(folderPath) {
-    await this.connect();
-    
+  async #resolveCredentials(forceRefresh) {
+    const provider = this.config.credentialsProvider;
+
+    if (!provider || (!forceRefresh && Date.now() < this.credentialsExpireAt)) {
+      return;
+    }
+
+    let credentials;
     try {
-      // Normalize and sanitize the path:
-      // 1. Replace all forward/backward slashes with the IMAP delimiter
-      // 2. Split by delimiter and filter out empty parts to handle:
-      //    - Leading delimiters (e.g., "/folder/subfolder")
-      //    - Trailing delimiters (e.g., "folder/subfolder/")
-      //    - Multiple consecutive delimiters (e.g., "folder//subfolder")
-      // 3. Rejoin with the IMAP delimiter
-      const normalizedPath = folderPath
-        .replace(/[\/\\]/g, this.delimiter)
-        .split(this.delimiter)
-        .filter(Boolean)
-        .join(this.delimiter);
-      
-      // First check if the full path already exists
-      if (await this.folderExists(normalizedPath)) {
-        return true;
-      }
-      
-      // Split the sanitized path into components
-      const parts = normalizedPath.split(this.delimiter);
-      
-      // Start with the full path and work backwards
-      let currentPath = normalizedPath;
-      
-      while (parts.length > 0) {
-        // Remove the last part of the path
-        parts.pop();
-        currentPath = parts.join(this.delimiter);
-        
-        // Check if the current path exists
-        if (await this.folderExists(currentPath)) {
-          // Found the deepest existing parent, now create the remaining folders
-          for (let i = parts.length; i < normalizedPath.split(this.delimiter).length; i++) {
-            currentPath = currentPath ? 
-              currentPath + this.delimiter + normalizedPath.split(this.delimiter)[i] :
-              normalizedPath.split(this.delimiter)[i];
-            await this.client.mailboxCreate(currentPath);
-          }
-          return true;
-        }
-      }
-      
-      // If we get here, we need to create the entire path from root
-      currentPath = '';
-      for (const part of normalizedPath.split(this.delimiter)) {
-        currentPath = currentPath ? currentPath + this.delimiter + part : part;
-        await this.client.mailboxCreate(currentPath);
-      }
-      
-      return true;
+      credentials = await provider();
     } catch (error) {
-      console.error(`Error creating folder structure: ${error.message}`);
-      return false;
+      throw new ImapAuthError(`Credentials provider failed: ${error.message}`, {
+        code: 'CredentialsProviderFailed',
+        retryable: true,
+        cause: error,
+      });
+    }
+
+    if (!credentials || !credentials.auth) {
+      throw new ImapAuthError('Credentials provider returned no auth', { code: 'CredentialsProviderFailed' });
     }
+
+    this.config = { ...this.config, ...credentials };
+    this.credentialsExpireAt = Date.now() + this.credentialsTtl;
   }
 
   /**
-   * Search for a message by Message-ID
+   * Get fresh credentials from the token provider, if one is configured
    *
-   * @param {string} folder - Folder to search in
-   * @param {string} messageId - Message-ID to search for
-   * @returns {Promise<Object|null>} - Message object or null if not found
+   * @private
+   * @param {boolean} forceRefresh - Whether the provider must not return a cached token
+   * @returns {Promise<Object|null>} - Auth object with user and accessToken, or null without a token provider
+   * @throws {ImapAuthError} - If the provider failed or returned no token
    */
-  async findMessageByMessageId(folder, messageId) {
-    await this.connect();
-
-    // Clean the Message-ID if it includes angle brackets
-    const cleanMessageId = messageId.replace(/^<|>$/g, "");
+  async #resolveAuth(forceRefresh) {
+    const { user, tokenProvider } = this.config.auth || {};
 
-    // Get a lock on the mailbox
-    const lock = await this.client.getMailboxLock(folder);
+    if (!tokenProvider) {
+      return null;
+    }
 
+    let accessToken;
     try {
-      // Search for the message
-      const searchResults = await this.client.search({
-        header: ["message-id", cleanMessageId],
+      accessToken = await tokenProvider({ user, forceRefresh });
+    } catch (error) {
+      throw new ImapAuthError(`Token provider failed: ${error.message}`, {
+        code: 'TokenProviderFailed',
+        retryable: true,
+        cause: error,
       });
+    }
 
-      if (!searchResults.length) {
-        return null;
-      }
+    if (!accessToken || typeof accessToken !== 'string') {
+      throw new ImapAuthError('Token provider did not return an access token', { code: 'TokenProviderFailed' });
+    }
 
-      // Get the first matching message
-      const uid = searchResults[0];
+    return { user, accessToken };
+  }
 
-      // Fetch the message details
-      const message = await this.client.fetchOne(uid, {
-        uid: true,
-        flags: true,
-        envelope: true,
-        bodyStructure: true,
-        source: true,
-      });
+  /**
+   * Create the ImapFlow instance and track its close and error events
+   *
+   * @private
+   * @param {Object} [auth] - Credentials to use instead of config.auth
+   * @returns {ImapFlow} - New ImapFlow instance
+   */
+  #createConnection(auth) {
+    // Route ImapFlow's protocol logging through the same logger
+    const client = new ImapFlow({
+      ...this.config,
+      auth: auth || this.config.auth,
+      // Reports expunged UIDs to syncMailbox, but changes how expunges are reported
+      // for the whole connection, so it is opt-in
+      qresync: this.config.qresync ?? false,
+      logger: toImapFlowLogger(() => this.logger),
+    });
+
+    client.on('close', () => {
+      // Ignore events of connections that were already replaced
+      if (client === this.client && this.isConnected) {
+        this.isConnected = false;
+        this.logger.info({ msg: 'Connection closed', host: this.config.host });
+      }
+    });
 
-      return message;
-    } finally {
-      // Always release the lock
-      lock.release();
-    }
+    // Without a listener, socket errors would crash the process
+    client.on('error', (error) => {
+      this.logger.warn({ msg: 'Connection error', host: this.config.host, err: error });
+      if (client === this.client) {
+        this.isConnected = false;
+      }
+    });
+
+    return client;
   }
 
   /**
-   * Move a message from one folder to another
+   * Check that the connection still works
    *
-   * @param {string} sourceFolder - Source folder
-   * @param {string} targetFolder - Target folder
-   * @param {string} messageId - Message-ID of the message to move
-   * @returns {Promise<boolean>} - True if successful, false if message not found
+   * Connections that were used recently are trusted. After an idle gap, as
+   * after a frozen Lambda, NOOP is sent and must be answered in time.
+   *
+   * @private
+   * @returns {Promise<boolean>} - True if the connection can be used
    */
-  async moveMessage(sourceFolder, targetFolder, uid) {
-    await this.connect();
+  async #isAlive() {
+    if (!this.client.usable) {
+      return false;
+    }
+
+    if (Date.now() - this.lastActivity < this.livenessCheckAfter) {
+      return true;
+    }
 
-    // Find the message first
-    const lock = await this.client.getMailboxLock(sourceFolder);
+    let timer;
+    const timeout = new Promise((resolve) => {
+      timer = setTimeout(() => resolve(false), this.livenessTimeout);
+    });
 
     try {
-      // Move the message with uid option
-      await this.client.messageMove(uid, targetFolder, { uid: true });
-
-      return true;
+      // run() resolves false instead of throwing when NOOP fails
+      const alive = await Promise.race([this.client.run('NOOP'), timeout]);
+      return alive !== false && this.client.usable;
+    } catch (error) {
+      return false;
     } finally {
-      // Always release the lock
-      lock.release();
+      clearTimeout(timer);
     }
   }
 
   /**
-   * List all folders
+   * Forget the current connection so that the next operation reconnects
    *
-   * @returns {Promise<Array>} - Array of folder objects
+   * @private
+   * @param {string} reason - Reason to log
+   * @returns {void}
    */
-  async listFolders() {
-    await this.connect();
-
-    const tree = await this.client.listTree();
-    return tree;
+  #dropConnection(reason) {
+    this.logger.info({ msg: reason, host: this.config.host });
+    this.isConnected = false;
+    try {
+      this.client.close();
+    } catch (error) {
+      // The socket is already gone
+    }
   }
 
-
   /**
-   * List messages in a folder
+   * Replace the logger used by the client and its ImapFlow connection
    *
-   * @param {string} folder - Folder to list messages from
-   * @param {number} limit - Maximum number of messages to return (default: 10)
-   * @returns {Promise<Array>} - Array of message objects
+   * @param {Object|false} [logger] - Logger with debug, info, warn and error methods, false to disable logging, or undefined for the default JSON-lines logger
+   * @returns {void}
    */
-  async listMessages(folder, limit = 10) {
-    await this.connect();
+  setLogger(logger) {
+    if (logger === false) {
+      this.logger = silentLogger;
+      return;
+    }
 
-    const lock = await this.client.getMailboxLock(folder);
+    if (!logger) {
+      this.logger = createLogger({ fields: { component: 'imap-client' } });
+      return;
+    }
 
-    try {
-      const messages = [];
+    for (const level of ['debug', 'info', 'warn', 'error']) {
+      if (typeof logger[level] !== 'function') {
+        throw new TypeError(`Logger is missing a ${level} method`);
+      }
+    }
 
-      // Get the total number of messages
-      const mailbox = this.client.mailbox;
+    this.logger = logger;
+  }
 
-      if (!mailbox.exists) {
-        return [];
-      }
+  /**
+   * Pick up the hierarchy delimiter and personal namespace prefix of the server
+   *
+   * ImapFlow issues NAMESPACE (or derives it from LIST when unsupported) while
+   * connecting. If that did not yield a delimiter, LIST is used as a fallback.
+   *
+   * @private
+   * @returns {Promise<void>}
+   */
+  async #discoverHierarchy() {
+    const namespace = this.client.namespace || {};
 
-      // Calculate the range to fetch (most recent messages first)
-      const from = Math.max(1, mailbox.exists - limit + 1);
-      const to = mailbox.exists;
+    this.namespacePrefix = namespace.prefix || '';
 
-      // Fetch messages
-      for await (const message of this.client.fetch(`${from}:${to}`, {
-        uid: true,
-        flags: true,
-        envelope: true,
-      })) {
-        messages.push(message);
-      }
+    if (namespace.delimiter) {
+      this.delimiter = namespace.delimiter;
+      return;
+    }
 
-      return messages.reverse(); // Return newest first
-    } finally {
-      // Always release the lock
-      lock.release();
+    const folders = await this.client.list();
+    const withDelimiter = (folders || []).find((folder) => folder.delimiter);
+    if (withDelimiter) {
+      this.delimiter = withDelimiter.delimiter;
     }
   }
 
+  /**
+   * Normalize a folder path to the server's hierarchy delimiter and namespace
+   *
+   * Forward and backward slashes are accepted as separators on every server.
+   * Leading, trailing and repeated separators are dropped, and the personal
+   * namespace prefix (e.g. "INBOX.") is added unless the path already has it.
+   *
+   * @private
+   * @param {string} folderPath - Folder path as given by the caller
+   * @returns {string} - Folder path as understood by the server
+   */
+  #normalizePath(folderPath) {
+    const path = folderPath
+      .replace(/[\/\\]/g, this.delimiter)
+      .split(this.delimiter)
+      .filter(Boolean)
+      .join(this.delimiter);
+
+    if (!path || path.toUpperCase() === 'INBOX') {
+      return path;
+    }
+
+    const prefix = this.namespacePrefix;
+    if (prefix && !path.startsWith(prefix) && `${path}${this.delimiter}` !== prefix) {
+      return prefix + path;
+    }
 
+    return path;
+  }
 
   /**
-   * List AWS SES messages in a folder
+   * Connect if needed and run an operation, converting any failure into a typed ImapError
    *
-   * @param {string} folder - Folder to list messages from
-   * @param {number} limit - Maximum number of messages to return (default: 10)
-   * @returns {Promise<Array>} - Array of message objects with sesId property
+   * Idempotent reads are retried once, on a new connection, when the connection
+   * failed while they ran. Anything that changes the mailbox is never replayed,
+   * as it may already have been applied by the server.
+   *
+   * When the signal or deadline of the call fires, the connection is logged out
+   * (or closed, if LOGOUT is not answered in time). That interrupts the running
+   * command and releases the mailbox lock, and an ImapTimeoutError is thrown
+   * with whatever the operation recorded in `progress` as `details.progress`.
+   *
+   * @private
+   * @param {Function} operation - Async function to run once connected, receives {signal, progress}
+   * @param {Object} [details] - Details attached to errors, such as the folder involved
+   * @param {Object} [options] - Execution options, including the CallOptions of the caller
+   * @param {boolean} [options.idempotent] - Whether the operation can safely be run again (default: false)
+   * @returns {Promise<*>} - Result of the operation
+   * @throws {ImapTimeoutError} - If the signal or deadline fired before the operation completed
    */
-  async listSESMessages(folder, limit = 10) {
-    await this.connect();
+  async #execute(operation, details, options = {}) {
+    const attempts = options.idempotent ? 2 : 1;
+    const signal = this.#signalFor(options);
+    const progress = {};
+    const onAbort = () => {
+      this.#abortConnection();
+    };
+
+    for (let attempt = 1; ; attempt++) {
+      if (signal && signal.aborted) {
+        throw this.#abortError(signal, details, progress);
+      }
+
+      try {
+        if (signal) {
+          signal.addEventListener('abort', onAbort, { once: true });
+        }
+        await this.connect();
+        return await operation({ signal, progress });
+      } catch (error) {
+        if (signal && signal.aborted) {
+          // Make sure the connection is gone before reporting the timeout
+          await this.#abortConnection();
+          throw this.#abortError(signal, details, progress, error);
+        }
 
-    const lock = await this.client.getMailboxLock(folder);
+        let imapError = toImapError(error, details);
 
-    try {
-      const messages = [];
+        // ImapFlow reports some commands cut off by a closed connection as plain failures
+        if (imapError.code === 'CommandFailed' && !this.client.usable) {
+          imapError = new ImapConnectionError('Connection closed while running the command', { cause: imapError, details });
+        }
 
-      // Get the total number of messages
-      const mailbox = this.client.mailbox;
+        const connectionLost = imapError instanceof ImapConnectionError || imapError instanceof ImapTimeoutError;
 
-      if (!mailbox.exists) {
-        return [];
-      }
+        if (connectionLost && this.isConnected) {
+          this.#dropConnection('Dropping failed connection');
+        }
 
-      // Calculate the range to fetch (most recent messages first)
-      const from = Math.max(1, mailbox.exists - limit + 1);
-      const to = mailbox.exists;
+        if (connectionLost && attempt < attempts) {
+          this.logger.warn({ msg: 'Retrying operation', ...details, attempt, err: imapError });
+          await new Promise((resolve) => setTimeout(resolve, this.retryDelay * attempt));
+          continue;
+        }
 
-      // Fetch messages
-      for await (const message of this.client.fetch(`${from}:${to}`, {
-        uid: true,
-        flags: true,
-        envelope: true,
-        headers: ['received'],
-      })) {
-        console.log(' A message', message);
-        message.headers = message.headers.toString('utf8');
-        const headerStr = message.headers;
-        const sesId = this.#extractSesIdFromHeaders(headerStr);
-        if (sesId) {
-          message.sesId = sesId;
+        this.logger.debug({ msg: 'Operation failed', ...details, err: imapError });
+        throw imapError;
+      } finally {
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
         }
-        messages.push(message);
+        this.lastActivity = Date.now();
       }
-
-      return messages.reverse(); // Return newest first
-    } finally {
-      // Always release the lock
-      lock.release();
     }
   }
 
   /**
-   * Extract SES ID from email headers
-   * 
+   * Combine the signal and deadline of a call into a single signal
+   *
    * @private
-   * @param {string} headerStr - Raw header string to parse
-   * @returns {string|null} - Extracted SES ID or null if not found
+   * @param {CallOptions} options - Call options
+   * @returns {AbortSignal|null} - Signal to observe, or null if the call is not bounded
    */
-  #extractSesIdFromHeaders(headerStr) {
-    if (headerStr.includes('amazonaws.com') && headerStr.includes('SMTP id')) {
-      const smtpIdIndex = headerStr.indexOf('SMTP id');
-      if (smtpIdIndex > 0) {
-        const afterSmtpId = headerStr.substring(smtpIdIndex + 8).trim();
-        let extractedSesId;            
-        // The SES ID is the next word (until whitespace, newline, or semicolon)
-        const endOfIdSpace = afterSmtpId.indexOf(' ');
-        const endOfIdNewline = afterSmtpId.indexOf('\n');
-        const endOfIdSemicolon = afterSmtpId.indexOf(';');
-        
-        if (endOfIdSpace > 0) {
-          extractedSesId = afterSmtpId.substring(0, endOfIdSpace).trim();
-        } else if (endOfIdNewline > 0) {
-          extractedSesId = afterSmtpId.substring(0, endOfIdNewline).trim();
-        } else if (endOfIdSemicolon > 0) {
-          extractedSesId = afterSmtpId.substring(0, endOfIdSemicolon).trim();
-        } else {
-          extractedSesId = afterSmtpId.trim();
-        }
+  #signalFor(options) {
+    const signals = [];
 
-        return extractedSesId;
+    if (options.signal) {
+      signals.push(options.signal);
+    }
+
+    if (options.deadline !== undefined && options.deadline !== null) {
+      const deadline = options.deadline instanceof Date ? options.deadline.getTime() : Number(options.deadline);
+      if (Number.isNaN(deadline)) {
+        throw new TypeError(`Invalid deadline: ${options.deadline}`);
       }
+      // A timeout of 0 only fires on a later tick, a deadline that has passed must stop the call right away
+      signals.push(
+        deadline > Date.now()
+          ? AbortSignal.timeout(deadline - Date.now())
+          : AbortSignal.abort(new DOMException('The operation was aborted due to timeout', 'TimeoutError'))
+      );
     }
-    return null;
+
+    return signals.length > 1 ? AbortSignal.any(signals) : signals[0] || null;
   }
 
   /**
-   * Search for a message by its AWS SES ID
+   * Log out after an aborted operation, closing the socket if LOGOUT is not answered in time
    *
-   * @param {string} folder - Folder to search in
-   * @param {string} sesId - SES ID to search for
-   * @returns {Promise<Object|null>} - Message object if found, null otherwise
+   * @private
+   * @returns {Promise<void>}
+   */
+  #abortConnection() {
+    if (!this.aborting) {
+      const client = this.client;
+      const wasConnected = this.isConnected;
+      this.isConnected = false;
+
+      this.aborting = (async () => {
+        if (!wasConnected) {
+          // Still connecting, there is nothing to log out from
+          client.close();
+          return;
+        }
+
+        this.logger.warn({ msg: 'Operation aborted, logging out', host: this.config.host });
+        // LOGOUT is queued behind the running command, so it may never be sent
+        const timer = setTimeout(() => client.close(), ABORT_LOGOUT_TIMEOUT);
+        try {
+          await client.logout();
+        } catch (error) {
+          client.close();
+        } finally {
+          clearTimeout(timer);
+        }
+      })().finally(() => {
+        this.aborting = null;
+      });
+    }
+
+    return this.aborting;
+  }
+
+  /**
+   * Create the error thrown for an aborted operation
+   *
+   * @private
+   * @param {AbortSignal} signal - Signal that fired
+   * @param {Object} [details] - Details of the operation, such as the folder involved
+   * @param {Object} progress - Partial progress recorded by the operation
+   * @param {Error} [cause] - Error the operation failed with after the abort
+   * @returns {ImapTimeoutError} - Timeout error
+   */
+  #abortError(signal, details, progress, cause) {
+    const reason = signal.reason instanceof Error ? signal.reason.message : 'The operation was aborted';
+    return new ImapTimeoutError(`Operation did not complete in time: ${reason}`, {
+      cause: cause || signal.reason,
+      details: { ...details, progress },
+    });
+  }
+
+  /**
+   * Run an operation while holding the lock of a mailbox
+   *
+   * @private
+   * @param {string} folder - Folder to lock (normalized to the server's delimiter and namespace)
+   * @param {Function} operation - Async function to run while the mailbox is selected
+   * @param {Object} [options] - Execution options, see #execute
+   * @returns {Promise<*>} - Result of the operation
+   */
+  async #withMailbox(folder, operation, options) {
+    return this.#execute(async (context) => {
+      const lock = await this.client.getMailboxLock(this.#normalizePath(folder));
+
+      try {
+        return await operation(context);
+      } finally {
+        // Always release the lock
+        lock.release();
+      }
+    }, { folder }, options);
+  }
+
+  /**
+   * Disconnect from the IMAP server
+   *
+   * @returns {Promise<void>}
+   */
+  async disconnect() {
+    if (this.isConnected) {
+      this.isConnected = false;
+      try {
+        await this.client.logout();
+      } catch (error) {
+        // The server already dropped the connection, there is nothing to log out from
+        this.client.close();
+      }
+      this.logger.info({ msg: 'Disconnected', host: this.config.host });
+    }
+  }
+
+  /**
+   * Check if a folder exists on the IMAP server
+   *
+   * @param {string} folderPath - Folder path to check (can include nested folders with delimiter)
+   * @param {CallOptions} [options] - Abort signal or deadline
+   * @returns {Promise<boolean>} - True if folder exists, false otherwise
+   * @throws {ImapError} - If the check itself failed (authentication, connection, ...)
+   */
+  async folderExists(folderPath, options = {}) {
+    return this.#execute(async () => {
+      // Normalize path to the server's delimiter and namespace
+      const normalizedPath = this.#normalizePath(folderPath);
+
+      try {
+        // Use status to check if the mailbox exists
+        // Request minimal status info (messages count is sufficient to check existence)
+        const status = await this.client.status(normalizedPath, {uidValidity: true});
+
+        if (!status) {
+          throw new ImapError(`Failed to get status of folder ${normalizedPath}`);
+        }
+
+        // If we get a status response, the mailbox exists
+        return true;
+      } catch (error) {
+        // Only a missing mailbox means "does not exist", anything else is a real failure
+        const imapError = toImapError(error, { folder: folderPath });
+        if (imapError instanceof MailboxNotFoundError) {
+          return false;
+        }
+        throw imapError;
+      }
+    }, { folder: folderPath }, { ...options, idempotent: true });
+  }
+
+  /**
+   * Create a folder and all intermediate folders if they don't exist
+   *
+   * @param {string} folderPath - Path of the folder to create
+   * @param {CallOptions} [options] - Abort signal or deadline
+   * @returns {Promise<boolean>} - True once the folder exists
+   * @throws {ImapError} - If the folder could not be created
+   */
+  async folderMake(folderPath, options = {}) {
+    return this.#execute(async ({ signal }) => {
+      // Normalize and sanitize the path to the server's delimiter and namespace,
+      // dropping leading, trailing and repeated separators
+      const normalizedPath = this.#normalizePath(folderPath);
+      
+      // First check if the full path already exists
+      if (await this.folderExists(normalizedPath, { signal })) {
+        return true;
+      }
+      
+      // Split the sanitized path into components
+      const parts = normalizedPath.split(this.delimiter);
+      
+      // Start with the full path and work backwards
+      let currentPath = normalizedPath;
+      
+      while (parts.length > 0) {
+        // Remove the last part of the path
+        parts.pop();
+        currentPath = parts.join(this.delimiter);
+        
+        // Check if the current path exists (the empty root path never does)
+        if (currentPath && await this.folderExists(currentPath, { signal })) {
+          // Found the deepest existing parent, now create the remaining folders
+          for (let i = parts.length; i < normalizedPath.split(this.delimiter).length; i++) {
+            currentPath = currentPath ? 
+              currentPath + this.delimiter + normalizedPath.split(this.delimiter)[i] :
+              normalizedPath.split(this.delimiter)[i];
+            await this.client.mailboxCreate(currentPath);
+          }
+          this.specialFolders = null;
+          return true;
+        }
+      }
+      
+      // If we get here, we need to create the entire path from root
+      currentPath = '';
+      for (const part of normalizedPath.split(this.delimiter)) {
+        currentPath = currentPath ? currentPath + this.delimiter + part : part;
+        await this.client.mailboxCreate(currentPath);
+      }
+      this.specialFolders = null;
+      
+      return true;
+    }, { folder: folderPath }, options);
+  }
+
+  /**
+   * Rename (or move) a folder, creating the new parent folders if needed
+   *
+   * @param {string} folderPath - Current path of the folder
+   * @param {string} newFolderPath - New path of the folder
+   * @param {CallOptions} [options] - Abort signal or deadline
+   * @returns {Promise<Object>} - Object with the normalized path and newPath
+   */
+  async folderRename(folderPath, newFolderPath, options = {}) {
+    return this.#execute(async ({ signal }) => {
+      const path = this.#normalizePath(folderPath);
+      const newPath = this.#normalizePath(newFolderPath);
+
+      // Not every server creates missing parents on RENAME
+      const parent = newPath.split(this.delimiter).slice(0, -1).join(this.delimiter);
+      if (parent && `${parent}${this.delimiter}` !== this.namespacePrefix) {
+        await this.folderMake(parent, { signal });
+      }
+
+      const response = await this.client.mailboxRename(path, newPath);
+      this.specialFolders = null;
+
+      return { path: response.path || path, newPath: response.newPath || newPath };
+    }, { folder: folderPath }, options);
+  }
+
+  /**
+   * Delete a folder, optionally together with all of its subfolders
+   *
+   * Every check is done before anything is deleted, so a refused deletion
+   * leaves the whole subtree untouched. Subfolders are deleted deepest first.
+   *
+   * @param {string} folderPath - Path of the folder to delete
+   * @param {Object} [options] - Delete options
+   * @param {boolean} [options.recursive] - Also delete all subfolders (default: false)
+   * @param {boolean} [options.onlyIfEmpty] - Refuse to delete if the folder or any deleted subfolder contains messages (default: false)
+   * @param {AbortSignal} [options.signal] - Abort signal, see CallOptions
+   * @param {number|Date} [options.deadline] - Deadline, see CallOptions
+   * @returns {Promise<Array<string>>} - Paths of the deleted folders, in deletion order
+   */
+  async folderDelete(folderPath, options = {}) {
+    return this.#execute(async ({ progress }) => {
+      const path = this.#normalizePath(folderPath);
+
+      if (!path || path.toUpperCase() === 'INBOX') {
+        throw new ImapError('Refusing to delete INBOX', { code: 'InboxNotDeletable' });
+      }
+
+      const folders = (await this.client.list()) || [];
+      const children = folders
+        .filter((folder) => folder.path.startsWith(path + this.delimiter))
+        .map((folder) => folder.path);
+
+      if (children.length && !options.recursive) {
+        throw new ImapError(
+          `Folder ${path} has ${children.length} subfolder(s), use the recursive option to delete them`,
+          { code: 'FolderHasSubfolders', details: { folder: path, subfolders: children } }
+        );
+      }
+
+      // Deepest folders first, the folder itself last
+      const targets = children
+        .sort((a, b) => b.split(this.delimiter).length - a.split(this.delimiter).length)
+        .concat(path);
+
+      if (options.onlyIfEmpty) {
+        for (const target of targets) {
+          const status = await this.client.status(target, { messages: true });
+          if (status && status.messages) {
+            throw new ImapError(`Folder ${target} is not empty (${status.messages} messages)`, {
+              code: 'FolderNotEmpty',
+              details: { folder: target, messages: status.messages },
+            });
+          }
+        }
+      }
+
+      const deleted = [];
+      progress.deleted = deleted;
+      for (const target of targets) {
+        await this.client.mailboxDelete(target);
+        deleted.push(target);
+      }
+      this.specialFolders = null;
+
+      return deleted;
+    }, { folder: folderPath }, options);
+  }
+
+  /**
+   * Subscribe to a folder
+   *
+   * @param {string} folderPath - Path of the folder
+   * @param {CallOptions} [options] - Abort signal or deadline
+   * @returns {Promise<boolean>} - True if the subscription succeeded
+   */
+  async folderSubscribe(folderPath, options = {}) {
+    return this.#execute(async () => {
+      return this.client.mailboxSubscribe(this.#normalizePath(folderPath));
+    }, { folder: folderPath }, options);
+  }
+
+  /**
+   * Unsubscribe from a folder
+   *
+   * @param {string} folderPath - Path of the folder
+   * @param {CallOptions} [options] - Abort signal or deadline
+   * @returns {Promise<boolean>} - True if the unsubscription succeeded
+   */
+  async folderUnsubscribe(folderPath, options = {}) {
+    return this.#execute(async () => {
+      return this.client.mailboxUnsubscribe(this.#normalizePath(folderPath));
+    }, { folder: folderPath }, options);
+  }
+
+  /**
+   * Get message counters and UID/modseq state of a folder without selecting it
+   *
+   * @param {string} folderPath - Path of the folder
+   * @param {CallOptions} [options] - Abort signal or deadline
+   * @returns {Promise<Object>} - Object with path, messages, unseen, recent, uidNext, uidValidity and highestModseq
+   *   (uidValidity and highestModseq are strings, highestModseq is null unless the server supports CONDSTORE)
+   */
+  async folderStatus(folderPath, options = {}) {
+    return this.#execute(async () => {
+      const path = this.#normalizePath(folderPath);
+      const status = await this.client.status(path, {
+        messages: true,
+        unseen: true,
+        recent: true,
+        uidNext: true,
+        uidValidity: true,
+        highestModseq: true,
+      });
+
+      if (!status) {
+        throw new ImapError(`Failed to get status of folder ${path}`);
+      }
+
+      return {
+        path: status.path || path,
+        messages: status.messages || 0,
+        unseen: status.unseen || 0,
+        recent: status.recent || 0,
+        uidNext: status.uidNext || null,
+        uidValidity: status.uidValidity ? status.uidValidity.toString() : null,
+        highestModseq: status.highestModseq ? status.highestModseq.toString() : null,
+      };
+    }, { folder: folderPath }, { ...options, idempotent: true });
+  }
+
+  /**
+   * Resolve all special-use folders of the account
+   *
+   * Uses the RFC 6154 flags advertised by LIST and falls back to well-known
+   * (localized) folder names on servers that do not advertise them. The
+   * result is cached until the folder structure is changed through this client.
+   *
+   * @param {CallOptions} [options] - Abort signal or deadline
+   * @returns {Promise<Object>} - Map of special-use flag (e.g. "\\Trash") to folder path
+   */
+  async getSpecialFolders(options = {}) {
+    return this.#execute(async () => {
+      if (this.specialFolders) {
+        return { ...this.specialFolders };
+      }
+
+      const folders = (await this.client.list()) || [];
+      const specialFolders = {};
+
+      // ImapFlow resolves advertised flags first and known names second
+      for (const folder of folders) {
+        if (SPECIAL_USE_FLAGS.includes(folder.specialUse) && !specialFolders[folder.specialUse]) {
+          specialFolders[folder.specialUse] = folder.path;
+        }
+      }
+
+      for (const [flag, names] of Object.entries(SPECIAL_USE_NAMES)) {
+        const folder = !specialFolders[flag] &&
+          folders.find((candidate) => !candidate.specialUse && names.includes(candidate.name.toLowerCase().trim()));
+        if (folder) {
+          specialFolders[flag] = folder.path;
+        }
+      }
+
+      this.specialFolders = specialFolders;
+      return { ...specialFolders };
+    }, undefined, { ...options, idempotent: true });
+  }
+
+  /**
+   * Resolve a special-use folder such as Trash, Sent or Junk
+   *
+   * @param {string} specialUse - Special-use flag ("\\Trash", "\\Sent", "\\Junk", "\\Archive", "\\Drafts",
+   *   "\\All" or "\\Flagged"), the leading backslash and case are optional
+   * @param {CallOptions} [options] - Abort signal or deadline
+   * @returns {Promise<string|null>} - Folder path or null if the account has no such folder
+   */
+  async getSpecialFolder(specialUse, options = {}) {
+    const name = String(specialUse).replace(/^\\/, '').toLowerCase();
+    const flag = SPECIAL_USE_FLAGS.find((candidate) => candidate.slice(1).toLowerCase() === name);
+
+    if (!flag) {
+      throw new TypeError(
+        `Unknown special-use flag "${specialUse}", expected one of: ${SPECIAL_USE_FLAGS.join(', ')}`
+      );
+    }
+
+    const specialFolders = await this.getSpecialFolders(options);
+    return specialFolders[flag] || null;
+  }
+
+  /**
+   * Move messages into a special-use folder
+   *
+   * @param {string} folder - Folder containing the messages
+   * @param {string} specialUse - Special-use flag of the target folder (see getSpecialFolder)
+   * @param {string|number|Array<string|number>} identifiers - Message-ID, UID, or an array of them
+   * @param {CallOptions} [options] - Abort signal or deadline
+   * @returns {Promise<Array<Object>>} - Per-item results as returned by moveMessages
+   */
+  async moveToSpecialFolder(folder, specialUse, identifiers, options = {}) {
+    const targetFolder = await this.getSpecialFolder(specialUse, options);
+
+    if (!targetFolder) {
+      throw new MailboxNotFoundError(`No ${specialUse} folder found on the server`, {
+        details: { specialUse },
+      });
+    }
+
+    return this.moveMessages(folder, targetFolder, [].concat(identifiers), options);
+  }
+
+  /**
+   * Move messages into the Trash folder, whatever it is called on the server
+   *
+   * @param {string} folder - Folder containing the messages
+   * @param {string|number|Array<string|number>} identifiers - Message-ID, UID, or an array of them
+   * @param {CallOptions} [options] - Abort signal or deadline
+   * @returns {Promise<Array<Object>>} - Per-item results as returned by moveMessages
+   */
+  async moveToTrash(folder, identifiers, options = {}) {
+    return this.moveToSpecialFolder(folder, '\\Trash', identifiers, options);
+  }
+
+  /**
+   * Search for a message by Message-ID
+   *
+   * @param {string} folder - Folder to search in
+   * @param {string} messageId - Message-ID to search for
+   * @param {CallOptions} [options] - Abort signal or deadline
+   * @returns {Promise<Object>} - Message object
+   * @throws {MessageNotFoundError} - If there is no message with this Message-ID in the folder
+   */
+  async findMessageByMessageId(folder, messageId, options = {}) {
+    // Run under a lock on the mailbox
+    return this.#withMailbox(folder, async () => {
+      // Search for the message, the Message-ID may include angle brackets
+      const uid = await this.#resolveUid(messageId);
+
+      // Fetch the message details
+      const message = uid && await this.client.fetchOne(uid, {
+        uid: true,
+        flags: true,
+        envelope: true,
+        bodyStructure: true,
+        source: true,
+      }, { uid: true });
+
+      if (!message) {
+        throw new MessageNotFoundError(`Message ${messageId} not found in ${folder}`, {
+          details: { folder, identifier: messageId },
+        });
+      }
+
+      return message;
+    }, { ...options, idempotent: true });
+  }
+
+  /**
+   * Find messages that exist more than once, within or across folders
+   *
+   * Duplicates are matched by Message-ID, or by a SHA-256 hash of the body
+   * and the From, To, Cc, Subject, Date and Message-ID headers. The hash
+   * ignores trace headers such as Received, so that copies delivered twice by
+   * SES retries are matched, but downloads every body.
+   *
+   * @param {Object} [options] - Search options
+   * @param {Array<string>} [options.folders] - Folders to search, copies with the same internal date are ordered
+   *   by their folder's position (default: all folders except Trash, Junk and the virtual All Mail, Starred
+   *   and Important folders; required on Gmail)
+   * @param {string} [options.by] - "message-id" or "content-hash" (default: "message-id")
+   * @param {AbortSignal} [options.signal] - Abort signal, see CallOptions
+   * @param {number|Date} [options.deadline] - Deadline, see CallOptions
+   * @returns {Promise<Object>} - Object with by, folders, scanned (number of messages) and groups, each with the
+   *   key and the messages ({folder, uid, messageId, internalDate, size}) sharing it, oldest first
+   * @throws {TypeError} - If the key is unknown, or folders is missing on Gmail
+   */
+  async findDuplicates(options = {}) {
+    const by = options.by || 'message-id';
+    if (!DUPLICATE_KEYS.includes(by)) {
+      throw new TypeError(`Unknown duplicate key ${by}, expected one of: ${DUPLICATE_KEYS.join(', ')}`);
+    }
+
+    const callOptions = { signal: options.signal, deadline: options.deadline };
+    const folders = options.folders || (await this.#duplicateFolders(callOptions));
+    const messagesByKey = new Map();
+    let scanned = 0;
+
+    for (const folder of folders) {
+      for (const message of await this.#fingerprintFolder(folder, by, callOptions)) {
+        scanned++;
+        if (!messagesByKey.has(message.key)) {
+          messagesByKey.set(message.key, []);
+        }
+        const { key, ...entry } = message;
+        messagesByKey.get(key).push(entry);
+      }
+    }
+
+    // Copies with the same internal date are ordered by the position of their folder in folders
+    const rank = new Map(folders.map((folder, index) => [folder, index]));
+    const groups = [];
+    for (const [key, messages] of messagesByKey) {
+      if (messages.length > 1) {
+        messages.sort((a, b) => compareAge(a, b) || rank.get(a.folder) - rank.get(b.folder) || a.uid - b.uid);
+        groups.push({ key, messages });
+      }
+    }
+
+    return { by, folders, scanned, groups };
+  }
+
+  /**
+   * Keep one copy of every duplicate message and move the others into the Trash folder
+   *
+   * @param {Object} [options] - Options, including those of findDuplicates
+   * @param {string} [options.keep] - Which copy to keep: "oldest", "newest" (by internal date) or "folder"
+   *   (default: "oldest")
+   * @param {string} [options.preferredFolder] - Folder whose copy is kept with keep "folder", the oldest copy
+   *   is kept if the folder has none
+   * @param {boolean} [options.dryRun] - Report what would be moved without changing anything (default: false)
+   * @returns {Promise<Object>} - Object with by, keep, dryRun, removed (number of messages) and groups, each with
+   *   the key, the kept message and the removed messages with a status ("planned", "moved", "not_found" or "failed")
+   * @throws {MailboxNotFoundError} - If the server has no Trash folder
+   */
+  async dedupe(options = {}) {
+    const keep = options.keep || 'oldest';
+    if (!['oldest', 'newest', 'folder'].includes(keep)) {
+      throw new TypeError(`Unknown keep policy ${keep}, expected oldest, newest or folder`);
+    }
+    if (keep === 'folder' && !options.preferredFolder) {
+      throw new TypeError('Keep policy "folder" requires a preferredFolder');
+    }
+
+    const callOptions = { signal: options.signal, deadline: options.deadline };
+    const duplicates = await this.findDuplicates(options);
+    const preferred = keep === 'folder' ? this.#normalizePath(options.preferredFolder) : null;
+
+    const groups = duplicates.groups.map(({ key, messages }) => {
+      // Messages are sorted oldest first, and by folder for equal dates, where the first folder is preferred
+      const newest = messages[messages.length - 1];
+      let kept = keep === 'newest' ? messages.find((message) => compareAge(message, newest) === 0) : messages[0];
+      if (preferred) {
+        kept = messages.find((message) => this.#normalizePath(message.folder) === preferred) || kept;
+      }
+
+      return {
+        key,
+        kept,
+        removed: messages.filter((message) => message !== kept).map((message) => ({ ...message, status: 'planned' })),
+      };
+    });
+
+    const removals = groups.flatMap((group) => group.removed);
+
+    if (!options.dryRun && removals.length) {
+      const byFolder = new Map();
+      for (const message of removals) {
+        if (!byFolder.has(message.folder)) {
+          byFolder.set(message.folder, []);
+        }
+        byFolder.get(message.folder).push(message);
+      }
+
+      for (const [folder, messages] of byFolder) {
+        const results = await this.moveToTrash(folder, messages.map((message) => message.uid), callOptions);
+        // Results are in the order of the UIDs
+        results.forEach((result, index) => {
+          messages[index].status = result.status;
+          if (result.reason) {
+            messages[index].reason = result.reason;
+          }
+        });
+      }
+    }
+
+    return { by: duplicates.by, keep, dryRun: options.dryRun || false, removed: removals.length, groups };
+  }
+
+  /**
+   * Folders searched by findDuplicates by default: every selectable folder except Trash, Junk and virtual folders
+   *
+   * @private
+   * @param {CallOptions} options - Abort signal or deadline
+   * @returns {Promise<Array<string>>} - Folder paths
+   * @throws {TypeError} - On Gmail, where every folder is a label and a message with two labels is in two folders
+   */
+  async #duplicateFolders(options) {
+    const special = await this.getSpecialFolders(options);
+    const excluded = new Set(NON_DUPLICATE_FOLDER_FLAGS.map((flag) => special[flag]).filter(Boolean));
+
+    return this.#execute(async () => {
+      if (this.client.capabilities.has('X-GM-EXT-1')) {
+        throw new TypeError('Gmail folders are labels sharing their messages, pass the folders to search explicitly');
+      }
+
+      const folders = await this.client.list();
+      return folders
+        .filter((folder) => !folder.flags.has('\\Noselect') && !folder.flags.has('\\NonExistent'))
+        .filter((folder) => !NON_DUPLICATE_FOLDER_FLAGS.some((flag) => folder.flags.has(flag)))
+        .map((folder) => folder.path)
+        .filter((path) => !excluded.has(path));
+    }, undefined, { ...options, idempotent: true });
+  }
+
+  /**
+   * Compute the duplicate key of every message in a folder
+   *
+   * @private
+   * @param {string} folder - Folder to read
+   * @param {string} by - "message-id" or "content-hash"
+   * @param {CallOptions} options - Abort signal or deadline
+   * @returns {Promise<Array<Object>>} - Messages with key, folder, uid, messageId, internalDate and size;
+   *   messages without Message-ID are left out when matching by Message-ID
+   */
+  async #fingerprintFolder(folder, by, options) {
+    return this.#withMailbox(folder, async ({ progress }) => {
+      const messages = [];
+      progress.messages = messages;
+
+      if (!this.client.mailbox.exists) {
+        return messages;
+      }
+
+      const query = { uid: true, envelope: true, internalDate: true, size: true };
+      if (by === 'content-hash') {
+        query.headers = HASHED_HEADERS;
+        query.bodyParts = ['text'];
+      }
+
+      for await (const message of this.client.fetch('1:*', query, { uid: true })) {
+        const messageId = (message.envelope && message.envelope.messageId) || null;
+        let key = messageId && messageId.replace(/^<|>$/g, '').trim();
+
+        if (by === 'content-hash') {
+          const headers = this.#parseHeaders(message.headers, HASHED_HEADERS);
+          const hash = createHash('sha256').update(JSON.stringify(HASHED_HEADERS.map((name) => headers[name])));
+          const body = message.bodyParts && message.bodyParts.get('text');
+          if (body) {
+            hash.update(body);
+          }
+          key = hash.digest('hex');
+        }
+
+        if (key) {
+          messages.push({
+            key,
+            folder,
+            uid: message.uid,
+            messageId,
+            internalDate: message.internalDate ? new Date(message.internalDate) : null,
+            size: message.size,
+          });
+        }
+      }
+
+      return messages;
+    }, { ...options, idempotent: true });
+  }
+
+  /**
+   * Get the conversation a message belongs to
+   *
+   * @param {string|Array<string>} folder - Folder, or folders such as ["INBOX", "Sent"], to build the thread from
+   * @param {string|number} identifier - Message-ID, or UID in the first folder
+   * @param {Object} [options] - Thread options
+   * @param {Object} [options.criteria] - Criteria as for searchMessages that limit the messages threaded,
+   *   e.g. {since} to avoid reading every message of large folders
+   * @param {AbortSignal} [options.signal] - Abort signal, see CallOptions
+   * @param {number|Date} [options.deadline] - Deadline, see CallOptions
+   * @returns {Promise<Object>} - Root node of the thread, see listThreads
+   * @throws {MessageNotFoundError} - If the message is not in the folders or does not match the criteria
+   */
+  async getThread(folder, identifier, options = {}) {
+    const criteria = options.criteria || {};
+    this.#validateCriteria(criteria);
+
+    const [thread] = await this.#threads([].concat(folder), criteria, { identifier }, options);
+
+    if (!thread) {
+      throw new MessageNotFoundError(`Message ${identifier} not found in ${[].concat(folder).join(', ')}`, {
+        details: { folder, identifier },
+      });
+    }
+
+    return thread;
+  }
+
+  /**
+   * List the conversations in one or more folders, the one with the most recent message first
+   *
+   * A single folder is threaded by the server where it supports
+   * THREAD=REFERENCES. Otherwise, and always for several folders, the
+   * Message-ID, In-Reply-To and References headers of every matching message
+   * are read and threaded on the client.
+   *
+   * @param {string|Array<string>} folder - Folder, or folders such as ["INBOX", "Sent"], to list threads of
+   * @param {Object} [options] - Listing options
+   * @param {Object} [options.criteria] - Criteria as for searchMessages that limit the messages threaded
+   * @param {number} [options.limit] - Maximum number of threads to return (default: 10)
+   * @param {AbortSignal} [options.signal] - Abort signal, see CallOptions
+   * @param {number|Date} [options.deadline] - Deadline, see CallOptions
+   * @returns {Promise<Array<Object>>} - Root nodes, each with folder, uid, envelope and children (nodes of the
+   *   replies, oldest first). A root without message (folder, uid and envelope null) joins messages whose
+   *   common parent is missing
+   */
+  async listThreads(folder, options = {}) {
+    const criteria = options.criteria || {};
+    this.#validateCriteria(criteria);
+
+    return this.#threads([].concat(folder), criteria, { limit: options.limit || 10 }, options);
+  }
+
+  /**
+   * Build threads, on the server if possible, and select the ones to return
+   *
+   * @private
+   * @param {Array<string>} folders - Folders to thread
+   * @param {Object} criteria - Validated search criteria
+   * @param {Object} selection - Either {identifier} for the thread of a message, or {limit}
+   * @param {CallOptions} options - Abort signal or deadline
+   * @returns {Promise<Array<Object>>} - Selected root nodes
+   */
+  async #threads(folders, criteria, selection, options) {
+    if (folders.length === 1) {
+      const threads = await this.#withMailbox(folders[0], async ({ progress }) => {
+        if (!this.client.capabilities.has('THREAD=REFERENCES')) {
+          return null;
+        }
+
+        let trees = await this.#threadOnServer(criteria);
+
+        if (selection.identifier !== undefined) {
+          const uid = await this.#resolveUid(selection.identifier);
+          trees = trees.filter((tree) => uid && threadUids(tree).includes(uid)).slice(0, 1);
+        } else {
+          // UIDs grow with arrival, so the highest UID is the most recent message
+          trees = trees
+            .map((tree) => ({ tree, latest: Math.max(...threadUids(tree)) }))
+            .sort((a, b) => b.latest - a.latest)
+            .slice(0, selection.limit)
+            .map(({ tree }) => tree);
+        }
+
+        const uids = trees.flatMap(threadUids);
+        const envelopes = new Map();
+        progress.threads = trees.length;
+
+        if (uids.length) {
+          for await (const message of this.client.fetch(uids, { uid: true, envelope: true }, { uid: true })) {
+            envelopes.set(message.uid, message.envelope);
+          }
+        }
+
+        const toNode = (tree) => ({
+          folder: tree.uid ? folders[0] : null,
+          uid: tree.uid,
+          envelope: tree.uid ? envelopes.get(tree.uid) || null : null,
+          children: tree.children.map(toNode),
+        });
+        return trees.map(toNode);
+      }, { ...options, idempotent: true });
+
+      if (threads) {
+        return threads;
+      }
+    }
+
+    const messages = [];
+    for (const folder of folders) {
+      messages.push(...(await this.#threadingHeaders(folder, criteria, options)));
+    }
+
+    const toNode = ({ message, children }) => ({
+      folder: message ? message.folder : null,
+      uid: message ? message.uid : null,
+      envelope: message ? message.envelope : null,
+      children: children.map(toNode),
+    });
+    let trees = threadMessages(messages).map(toNode);
+
+    if (selection.identifier !== undefined) {
+      const matches = typeof selection.identifier === 'number'
+        ? (node) => node.folder === folders[0] && node.uid === selection.identifier
+        : (node) => node.envelope && parseMessageIds(node.envelope.messageId)[0] === parseMessageIds(selection.identifier)[0];
+      const contains = (node) => matches(node) || node.children.some(contains);
+      return trees.filter(contains).slice(0, 1);
+    }
+
+    return trees.slice(0, selection.limit);
+  }
+
+  /**
+   * Thread the messages matching the criteria in the currently locked mailbox with UID THREAD REFERENCES
+   *
+   * @private
+   * @param {Object} criteria - Validated search criteria
+   * @returns {Promise<Array<Object>>} - Trees of UIDs as returned by parseThreadList
+   */
+  async #threadOnServer(criteria) {
+    let search = [{ type: 'ATOM', value: 'ALL' }];
+
+    if (Object.keys(criteria).length) {
+      const uids = Array.from(await this.#runSearch(criteria)).sort((a, b) => a - b);
+      if (!uids.length) {
+        return [];
+      }
+      search = [{ type: 'ATOM', value: 'UID' }, { type: 'SEQUENCE', value: this.#encodeUidSet(uids) }];
+    }
+
+    // ImapFlow has no THREAD command, so the untagged THREAD response is collected here
+    const trees = [];
+    const response = await this.client.exec('UID THREAD', [
+      { type: 'ATOM', value: 'REFERENCES' },
+      { type: 'ATOM', value: 'UTF-8' },
+      ...search,
+    ], {
+      untagged: {
+        THREAD: async (untagged) => {
+          for (const list of untagged.attributes || []) {
+            if (Array.isArray(list)) {
+              trees.push(parseThreadList(list));
+            }
+          }
+        },
+      },
+    });
+    response.next();
+
+    return trees;
+  }
+
+  /**
+   * Read the envelopes and References headers of the messages matching the criteria in a folder
+   *
+   * @private
+   * @param {string} folder - Folder to read
+   * @param {Object} criteria - Validated search criteria
+   * @param {CallOptions} options - Abort signal or deadline
+   * @returns {Promise<Array<Object>>} - Messages as expected by threadMessages, with folder, uid and envelope
+   */
+  async #threadingHeaders(folder, criteria, options) {
+    return this.#withMailbox(folder, async ({ progress }) => {
+      const messages = [];
+      progress.messages = messages;
+
+      const uids = Array.from(await this.#runSearch(criteria));
+      if (!uids.length) {
+        return messages;
+      }
+
+      for await (const message of this.client.fetch(uids, {
+        uid: true,
+        envelope: true,
+        internalDate: true,
+        headers: ['references'],
+      }, { uid: true })) {
+        const envelope = message.envelope || {};
+        messages.push({
+          folder,
+          uid: message.uid,
+          envelope: message.envelope || null,
+          messageId: envelope.messageId,
+          inReplyTo: envelope.inReplyTo,
+          references: this.#parseHeaders(message.headers, ['references']).references.join(' '),
+          subject: envelope.subject,
+          date: envelope.date || message.internalDate,
+        });
+      }
+
+      return messages;
+    }, { ...options, idempotent: true });
+  }
+
+  /**
+   * Move a message from one folder to another
+   *
+   * @param {string} sourceFolder - Source folder
+   * @param {string} targetFolder - Target folder
+   * @param {number} uid - UID of the message to move
+   * @param {CallOptions} [options] - Abort signal or deadline
+   * @returns {Promise<boolean>} - True if successful
+   * @throws {MessageNotFoundError} - If there is no message with this UID in the source folder
+   */
+  async moveMessage(sourceFolder, targetFolder, uid, options = {}) {
+    return this.#withMailbox(sourceFolder, async () => {
+      // Find the message first, as MOVE silently ignores unknown UIDs
+      const found = await this.#searchUids({ uid: String(uid) });
+
+      if (!found.length) {
+        throw new MessageNotFoundError(`Message ${uid} not found in ${sourceFolder}`, {
+          details: { folder: sourceFolder, uid },
+        });
+      }
+
+      // Move the message with uid option
+      const response = await this.client.messageMove(uid, this.#normalizePath(targetFolder), { uid: true });
+
+      if (!response) {
+        throw new ImapError(`Failed to move message ${uid} to ${targetFolder}`);
+      }
+
+      return true;
+    }, options);
+  }
+
+  /**
+   * Move several messages from one folder to another in a single batch
+   *
+   * @param {string} sourceFolder - Source folder
+   * @param {string} targetFolder - Target folder
+   * @param {Array<string|number>} identifiers - Message-ID strings and/or UID numbers
+   * @param {CallOptions} [options] - Abort signal or deadline
+   * @returns {Promise<Array<Object>>} - Per-item results ({identifier, uid, status, newUid, reason}) in input order,
+   *   with status "moved", "not_found" or "failed"
+   */
+  async moveMessages(sourceFolder, targetFolder, identifiers, options = {}) {
+    return this.#bulkOperation(sourceFolder, identifiers, 'moved', (uids) =>
+      this.client.messageMove(uids, this.#normalizePath(targetFolder), { uid: true }),
+      options
+    );
+  }
+
+  /**
+   * Copy several messages from one folder to another in a single batch
+   *
+   * @param {string} sourceFolder - Source folder
+   * @param {string} targetFolder - Target folder
+   * @param {Array<string|number>} identifiers - Message-ID strings and/or UID numbers
+   * @param {CallOptions} [options] - Abort signal or deadline
+   * @returns {Promise<Array<Object>>} - Per-item results ({identifier, uid, status, newUid, reason}) in input order,
+   *   with status "copied", "not_found" or "failed"
+   */
+  async copyMessages(sourceFolder, targetFolder, identifiers, options = {}) {
+    return this.#bulkOperation(sourceFolder, identifiers, 'copied', (uids) =>
+      this.client.messageCopy(uids, this.#normalizePath(targetFolder), { uid: true }),
+      options
+    );
+  }
+
+  /**
+   * Permanently delete several messages from a folder in a single batch
+   *
+   * @param {string} folder - Folder containing the messages
+   * @param {Array<string|number>} identifiers - Message-ID strings and/or UID numbers
+   * @param {CallOptions} [options] - Abort signal or deadline
+   * @returns {Promise<Array<Object>>} - Per-item results ({identifier, uid, status, reason}) in input order,
+   *   with status "deleted", "not_found" or "failed"
+   */
+  async deleteMessages(folder, identifiers, options = {}) {
+    return this.#bulkOperation(folder, identifiers, 'deleted', (uids) =>
+      this.client.messageDelete(uids, { uid: true }),
+      options
+    );
+  }
+
+  /**
+   * Resolve a list of identifiers under a single mailbox lock and run one batched command for all found UIDs
+   *
+   * @private
+   * @param {string} folder - Folder containing the messages
+   * @param {Array<string|number>} identifiers - Message-ID strings and/or UID numbers
+   * @param {string} status - Status reported for items the command succeeded for
+   * @param {Function} operation - Receives the list of UIDs and runs the ImapFlow command
+   * @param {CallOptions} [options] - Abort signal or deadline
+   * @returns {Promise<Array<Object>>} - Per-item results in input order
+   */
+  async #bulkOperation(folder, identifiers, status, operation, options) {
+    return this.#withMailbox(folder, async () => {
+      // UIDs are verified with a single search, Message-IDs are looked up one by one
+      const requestedUids = identifiers.filter((identifier) => typeof identifier === 'number');
+      const existingUids = new Set(
+        requestedUids.length
+          ? await this.#searchUids({ uid: requestedUids.join(',') })
+          : []
+      );
+
+      const items = [];
+      for (const identifier of identifiers) {
+        const uid =
+          typeof identifier === 'number'
+            ? existingUids.has(identifier) ? identifier : null
+            : await this.#resolveUid(identifier);
+        items.push({ identifier, uid });
+      }
+
+      const uids = Array.from(new Set(items.filter((item) => item.uid).map((item) => item.uid)));
+
+      let response = null;
+      let reason = null;
+      if (uids.length) {
+        try {
+          response = await operation(uids);
+          if (!response) {
+            reason = 'Server rejected the command';
+          }
+        } catch (error) {
+          reason = error.message;
+        }
+      }
+
+      return items.map(({ identifier, uid }) => {
+        if (!uid) {
+          return { identifier, uid: null, status: 'not_found' };
+        }
+
+        if (reason) {
+          return { identifier, uid, status: 'failed', reason };
+        }
+
+        const result = { identifier, uid, status };
+        // COPYUID from UIDPLUS servers maps source UIDs to the new UIDs
+        if (response.uidMap && response.uidMap.has(uid)) {
+          result.newUid = response.uidMap.get(uid);
+        }
+        return result;
+      });
+    }, options);
+  }
+
+  /**
+   * Append a message to a folder, creating the folder if it does not exist
+   *
+   * @param {string} folder - Folder to append the message to
+   * @param {Buffer|string|Object} message - Raw RFC 822 message, or a structured message
+   *   ({from, to, cc, bcc, subject, text, html, attachments, headers}) to compose into MIME
+   * @param {Object} [options] - Append options
+   * @param {Array<string>} [options.flags] - Flags to set on the appended message (e.g. ['\\Seen', '\\Draft'])
+   * @param {Date|string} [options.internalDate] - Internal date of the appended message (default: now)
+   * @param {AbortSignal} [options.signal] - Abort signal, see CallOptions
+   * @param {number|Date} [options.deadline] - Deadline, see CallOptions
+   * @returns {Promise<Object>} - Object with folder, uid and uidValidity (uid is null unless the server supports UIDPLUS)
+   */
+  async appendMessage(folder, message, options = {}) {
+    return this.#execute(async ({ signal }) => {
+      const raw =
+        Buffer.isBuffer(message) || typeof message === 'string'
+          ? message
+          : await new MailComposer(message).compile().build();
+
+      if (!(await this.folderExists(folder, { signal }))) {
+        await this.folderMake(folder, { signal });
+      }
+
+      const response = await this.client.append(
+        this.#normalizePath(folder),
+        raw,
+        options.flags || [],
+        options.internalDate
+      );
+
+      if (!response) {
+        throw new ImapError(`Failed to append message to ${folder}`);
+      }
+
+      return {
+        folder: response.destination || folder,
+        uid: response.uid || null,
+        uidValidity: response.uidValidity ? response.uidValidity.toString() : null,
+      };
+    }, { folder: folder }, options);
+  }
+
+  /**
+   * Add flags or keywords to messages
+   *
+   * @param {string} folder - Folder containing the messages
+   * @param {string|number|Array<number>} identifier - Message-ID string, UID number or array of UIDs
+   * @param {Array<string>} flags - Flags or keywords to add (e.g. ['\\Seen', '$Processed'])
+   * @param {CallOptions} [options] - Abort signal or deadline
+   * @returns {Promise<Array<Object>>} - Resulting flags as [{uid, flags}]
+   * @throws {MessageNotFoundError} - If the Message-ID was not found
+   */
+  async addFlags(folder, identifier, flags, options = {}) {
+    return this.#updateFlags('messageFlagsAdd', folder, identifier, flags, options);
+  }
+
+  /**
+   * Remove flags or keywords from messages
+   *
+   * @param {string} folder - Folder containing the messages
+   * @param {string|number|Array<number>} identifier - Message-ID string, UID number or array of UIDs
+   * @param {Array<string>} flags - Flags or keywords to remove
+   * @param {CallOptions} [options] - Abort signal or deadline
+   * @returns {Promise<Array<Object>>} - Resulting flags as [{uid, flags}]
+   * @throws {MessageNotFoundError} - If the Message-ID was not found
+   */
+  async removeFlags(folder, identifier, flags, options = {}) {
+    return this.#updateFlags('messageFlagsRemove', folder, identifier, flags, options);
+  }
+
+  /**
+   * Replace all flags and keywords of messages
+   *
+   * @param {string} folder - Folder containing the messages
+   * @param {string|number|Array<number>} identifier - Message-ID string, UID number or array of UIDs
+   * @param {Array<string>} flags - Complete set of flags and keywords to set
+   * @param {CallOptions} [options] - Abort signal or deadline
+   * @returns {Promise<Array<Object>>} - Resulting flags as [{uid, flags}]
+   * @throws {MessageNotFoundError} - If the Message-ID was not found
+   */
+  async setFlags(folder, identifier, flags, options = {}) {
+    return this.#updateFlags('messageFlagsSet', folder, identifier, flags, options);
+  }
+
+  /**
+   * Run an ImapFlow flag update and fetch the resulting flags
+   *
+   * @private
+   * @param {string} method - ImapFlow method name (messageFlagsAdd, messageFlagsRemove or messageFlagsSet)
+   * @param {string} folder - Folder containing the messages
+   * @param {string|number|Array<number>} identifier - Message-ID string, UID number or array of UIDs
+   * @param {Array<string>} flags - Flags to apply
+   * @param {CallOptions} [options] - Abort signal or deadline
+   * @returns {Promise<Array<Object>>} - Resulting flags as [{uid, flags}]
+   * @throws {MessageNotFoundError} - If the Message-ID was not found
+   */
+  async #updateFlags(method, folder, identifier, flags, options) {
+    return this.#withMailbox(folder, async () => {
+      const uids = await this.#resolveUids(identifier);
+
+      if (!uids) {
+        throw new MessageNotFoundError(`Message ${identifier} not found in ${folder}`, {
+          details: { folder, identifier },
+        });
+      }
+
+      if (!uids.length) {
+        return [];
+      }
+
+      await this.client[method](uids, flags, { uid: true });
+
+      const results = [];
+      for await (const message of this.client.fetch(uids, {
+        uid: true,
+        flags: true,
+      }, { uid: true })) {
+        results.push({ uid: message.uid, flags: Array.from(message.flags || []) });
+      }
+
+      return results;
+    }, options);
+  }
+
+  /**
+   * List all folders
+   *
+   * @param {CallOptions} [options] - Abort signal or deadline
+   * @returns {Promise<Array>} - Array of folder objects
+   */
+  async listFolders(options = {}) {
+    return this.#execute(async () => {
+      const tree = await this.client.listTree();
+      return tree;
+    }, undefined, { ...options, idempotent: true });
+  }
+
+
+  /**
+   * List messages in a folder, newest first
+   *
+   * Passing a number returns the newest messages as an array. Passing an
+   * options object returns a page of messages together with an opaque cursor
+   * that can be passed back to fetch the next (older) page.
+   *
+   * @param {string} folder - Folder to list messages from
+   * @param {number|Object} [options] - Maximum number of messages to return (default: 10), or paging options
+   * @param {number} [options.limit] - Maximum number of messages per page (default: 10)
+   * @param {string} [options.cursor] - Cursor returned by the previous page
+   * @param {AbortSignal} [options.signal] - Abort signal, see CallOptions
+   * @param {number|Date} [options.deadline] - Deadline, see CallOptions
+   * @returns {Promise<Array|Object>} - Array of message objects, or {messages, cursor} when called with options
+   */
+  async listMessages(folder, options = 10) {
+    const { limit, cursor, paged } = this.#pageOptions(options);
+
+    return this.#withMailbox(folder, async ({ progress }) => {
+      const messages = [];
+      progress.messages = messages;
+      const page = await this.#pageUids(limit, cursor);
+
+      if (page.uids.length) {
+        // Fetch messages
+        for await (const message of this.client.fetch(page.uids, {
+          uid: true,
+          flags: true,
+          envelope: true,
+        }, { uid: true })) {
+          messages.push(message);
+        }
+      }
+
+      // Return newest first
+      messages.sort((a, b) => b.uid - a.uid);
+
+      return paged ? { messages, cursor: page.cursor } : messages;
+    }, { ...options, idempotent: true });
+  }
+
+
+
+  /**
+   * List AWS SES messages in a folder, newest first
+   *
+   * Accepts the same paging options as listMessages.
+   *
+   * @param {string} folder - Folder to list messages from
+   * @param {number|Object} [options] - Maximum number of messages to return (default: 10), or paging options
+   * @param {number} [options.limit] - Maximum number of messages per page (default: 10)
+   * @param {string} [options.cursor] - Cursor returned by the previous page
+   * @param {AbortSignal} [options.signal] - Abort signal, see CallOptions
+   * @param {number|Date} [options.deadline] - Deadline, see CallOptions
+   * @returns {Promise<Array|Object>} - Array of message objects with sesId property, or {messages, cursor} when called with options
+   */
+  async listSESMessages(folder, options = 10) {
+    const { limit, cursor, paged } = this.#pageOptions(options);
+
+    return this.#withMailbox(folder, async ({ progress }) => {
+      const messages = [];
+      progress.messages = messages;
+      const page = await this.#pageUids(limit, cursor);
+
+      if (!page.uids.length) {
+        return paged ? { messages, cursor: page.cursor } : messages;
+      }
+
+      // Fetch messages
+      for await (const message of this.client.fetch(page.uids, {
+        uid: true,
+        flags: true,
+        envelope: true,
+        headers: ['received'],
+      }, { uid: true })) {
+        message.headers = message.headers.toString('utf8');
+        const headerStr = message.headers;
+        const sesId = this.#extractSesIdFromHeaders(headerStr);
+        if (sesId) {
+          message.sesId = sesId;
+        }
+        messages.push(message);
+      }
+
+      // Return newest first
+      messages.sort((a, b) => b.uid - a.uid);
+
+      return paged ? { messages, cursor: page.cursor } : messages;
+    }, { ...options, idempotent: true });
+  }
+
+  /**
+   * Get the changes in a folder since the previous sync
+   *
+   * The state token returned by each call is passed to the next one. It
+   * records UIDVALIDITY, UIDNEXT, HIGHESTMODSEQ and the UIDs known at the
+   * time. Flag changes are found with CONDSTORE (FETCH CHANGEDSINCE) and
+   * expunged messages with QRESYNC (VANISHED), where the server supports
+   * them and `config.qresync` is set. Without QRESYNC the known UIDs are checked with a UID SEARCH, and
+   * without CONDSTORE flag changes can not be detected and `changed` is null.
+   *
+   * The first sync, and every sync after UIDVALIDITY changed, reports all
+   * messages as added and sets `reset`, as previously known UIDs no longer
+   * refer to the same messages.
+   *
+   * @param {string} folder - Folder to sync
+   * @param {string|null} state - State token returned by the previous sync, or null for the first sync
+   * @param {CallOptions} [options] - Abort signal or deadline
+   * @returns {Promise<Object>} - Object with added, changed and expunged (arrays of UIDs in ascending order,
+   *   changed is null without CONDSTORE), reset (true if previous state was discarded) and state (token for the next sync)
+   * @throws {ImapError} - If the state token is malformed (code InvalidSyncState)
+   */
+  async syncMailbox(folder, state, options = {}) {
+    // Validate before connecting so that a corrupt token fails fast
+    const previous = state ? this.#decodeSyncState(state) : null;
+
+    return this.#withMailbox(folder, async () => {
+      const mailbox = this.client.mailbox;
+      // Mailbox values are not refreshed while it stays selected, so ask the server
+      const status = await this.client.status(mailbox.path, {
+        messages: true,
+        uidNext: true,
+        uidValidity: true,
+        highestModseq: true,
+      });
+
+      if (!status) {
+        throw new ImapError(`Failed to get status of folder ${mailbox.path}`);
+      }
+
+      const uidValidity = String(status.uidValidity);
+      const uidNext = status.uidNext;
+      const condstore = this.client.enabled.has('CONDSTORE') && !mailbox.noModseq && !!status.highestModseq;
+      const highestModseq = condstore ? status.highestModseq.toString() : null;
+      const result = { added: [], changed: condstore ? [] : null, expunged: [], reset: false };
+
+      if (!previous || previous.uidValidity !== uidValidity) {
+        result.reset = true;
+        if (status.messages) {
+          result.added = (await this.#searchUids({ all: true })).sort((a, b) => a - b);
+        }
+        result.state = this.#encodeSyncState({ uidValidity, uidNext, highestModseq, uids: result.added });
+        return result;
+      }
+
+      let known = previous.uids;
+      const unchanged =
+        uidNext === previous.uidNext &&
+        (condstore ? highestModseq === previous.highestModseq : status.messages === known.length);
+
+      if (!unchanged) {
+        if (status.messages && uidNext > previous.uidNext) {
+          // "*" matches the newest message even if it is older than the range
+          const newer = await this.#searchUids({ uid: `${previous.uidNext}:*` });
+          result.added = newer.filter((uid) => uid >= previous.uidNext).sort((a, b) => a - b);
+        }
+
+        if (known.length) {
+          const knownSet = this.#encodeUidSet(known);
+          const qresync = condstore && previous.highestModseq && this.client.enabled.has('QRESYNC');
+
+          if (condstore && previous.highestModseq) {
+            const vanished = [];
+            const onExpunge = (event) => {
+              if (event.vanished && event.uid) {
+                vanished.push(event.uid);
+              }
+            };
+
+            if (qresync) {
+              this.client.on('expunge', onExpunge);
+            }
+            try {
+              for await (const message of this.client.fetch(knownSet, { uid: true, flags: true }, {
+                uid: true,
+                changedSince: BigInt(previous.highestModseq),
+              })) {
+                result.changed.push(message.uid);
+              }
+            } finally {
+              this.client.off('expunge', onExpunge);
+            }
+
+            if (qresync) {
+              const knownUids = new Set(known);
+              result.expunged = vanished.filter((uid) => knownUids.has(uid));
+            }
+          }
+
+          if (!qresync) {
+            const remaining = new Set(await this.#searchUids({ uid: knownSet }));
+            result.expunged = known.filter((uid) => !remaining.has(uid));
+          }
+        }
+
+        const expunged = new Set(result.expunged);
+        known = known.filter((uid) => !expunged.has(uid)).concat(result.added);
+        result.changed = result.changed && result.changed.filter((uid) => !expunged.has(uid)).sort((a, b) => a - b);
+        result.expunged.sort((a, b) => a - b);
+      }
+
+      result.state = this.#encodeSyncState({ uidValidity, uidNext, highestModseq, uids: known });
+      return result;
+    }, { ...options, idempotent: true });
+  }
+
+  /**
+   * Wait for new messages to arrive in a folder
+   *
+   * Enters IDLE and checks for matching messages whenever the server reports
+   * new ones. Servers without IDLE are polled every `pollInterval` instead.
+   * Only messages that arrive after the call are considered. Unlike other
+   * methods, reaching the timeout, signal or deadline is not an error: the
+   * wait ends and the method resolves with an empty array. The mailbox stays
+   * locked while waiting, so other calls on the same client wait as well. As
+   * with other methods, a signal or deadline that fires during a command
+   * closes the connection, which is reopened by the next call.
+   *
+   * @param {string} folder - Folder to watch
+   * @param {Object} [options] - Wait options
+   * @param {Object} [options.criteria] - Search criteria new messages must match, as for searchMessages (default: all)
+   * @param {number} [options.timeoutMs] - Maximum time in ms to wait (default: 30000)
+   * @param {number} [options.pollInterval] - Time in ms between checks on servers without IDLE (default: 5000)
+   * @param {AbortSignal} [options.signal] - Ends the wait when signalled, e.g. from signalFromContext
+   * @param {number|Date} [options.deadline] - Absolute time at which the wait ends
+   * @returns {Promise<Array<number>>} - UIDs of the new matching messages in ascending order, empty if none arrived in time
+   */
+  async waitForMessages(folder, options = {}) {
+    const criteria = options.criteria || {};
+    this.#validateCriteria(criteria);
+
+    const timeoutMs = options.timeoutMs ?? 30000;
+    const pollInterval = options.pollInterval ?? 5000;
+    const callerSignal = this.#signalFor(options);
+    const signal = AbortSignal.any([AbortSignal.timeout(timeoutMs), ...[callerSignal].filter(Boolean)]);
+    // Kept across a reconnect, so that messages arriving meanwhile are not missed
+    let uidNext = null;
+
+    try {
+      // The caller's signal also ends a wait for the mailbox lock or a running search,
+      // the timeout only ends the wait between searches
+      return await this.#withMailbox(folder, async () => {
+        if (uidNext === null) {
+          const status = await this.client.status(this.client.mailbox.path, { uidNext: true });
+          if (!status) {
+            throw new ImapError(`Failed to get status of folder ${this.client.mailbox.path}`);
+          }
+          uidNext = status.uidNext;
+        }
+
+        const range = { uid: `${uidNext}:*` };
+        const query = criteria.uid ? { and: [range, criteria] } : { ...criteria, ...range };
+
+        while (!signal.aborted) {
+          // "*" matches the newest message even if it is older than the range
+          const uids = Array.from(await this.#runSearch(query)).filter((uid) => uid >= uidNext);
+          if (uids.length) {
+            return uids.sort((a, b) => a - b);
+          }
+
+          await this.#waitForChange(signal, pollInterval);
+        }
+
+        return [];
+      }, { signal: callerSignal, idempotent: true });
+    } catch (error) {
+      if (callerSignal && callerSignal.aborted && error instanceof ImapTimeoutError) {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Wait until the server reports new messages, the poll interval passed or the signal fired
+   *
+   * IDLE is left running on return, ImapFlow ends it before the next command.
+   *
+   * @private
+   * @param {AbortSignal} signal - Signal that ends the wait
+   * @param {number} pollInterval - Time in ms to wait on servers without IDLE
+   * @returns {Promise<void>}
+   */
+  async #waitForChange(signal, pollInterval) {
+    const client = this.client;
+    const idle = client.capabilities.has('IDLE');
+
+    await new Promise((resolve, reject) => {
+      const cleanup = () => {
+        clearTimeout(timer);
+        client.off('exists', done);
+        client.off('close', done);
+        signal.removeEventListener('abort', done);
+      };
+      const done = () => {
+        cleanup();
+        resolve();
+      };
+      const timer = idle ? null : setTimeout(done, pollInterval);
+
+      signal.addEventListener('abort', done, { once: true });
+      if (idle) {
+        client.on('exists', done);
+        client.on('close', done);
+        // Resolves when IDLE is broken, e.g. by the connection closing
+        client.idle().then(done, (error) => {
+          cleanup();
+          reject(error);
+        });
+      }
+    });
+  }
+
+  /**
+   * Search messages in a folder using a criteria object
+   *
+   * Criteria keys are combined with AND. Use `and`, `or` and `not` to compose
+   * nested criteria. Unknown keys and values of the wrong type throw a TypeError
+   * before anything is sent to the server.
+   *
+   * @param {string} folder - Folder to search in
+   * @param {Object} criteria - Search criteria (an empty object matches all messages)
+   * @param {string} [criteria.from] - Substring of the From address
+   * @param {string} [criteria.to] - Substring of the To address
+   * @param {string} [criteria.cc] - Substring of the Cc address
+   * @param {string} [criteria.bcc] - Substring of the Bcc address
+   * @param {string} [criteria.subject] - Substring of the subject
+   * @param {string} [criteria.body] - Substring of the message body
+   * @param {string} [criteria.text] - Substring of the headers or body
+   * @param {Date|string} [criteria.since] - Internal date on or after this date
+   * @param {Date|string} [criteria.before] - Internal date before this date
+   * @param {Date|string} [criteria.on] - Internal date on this date
+   * @param {number} [criteria.larger] - Size larger than this number of bytes (a positive integer)
+   * @param {number} [criteria.smaller] - Size smaller than this number of bytes (a positive integer)
+   * @param {boolean} [criteria.seen] - Has (true) or lacks (false) the \\Seen flag
+   * @param {boolean} [criteria.flagged] - Has (true) or lacks (false) the \\Flagged flag
+   * @param {boolean} [criteria.answered] - Has (true) or lacks (false) the \\Answered flag
+   * @param {boolean} [criteria.draft] - Has (true) or lacks (false) the \\Draft flag
+   * @param {boolean} [criteria.deleted] - Has (true) or lacks (false) the \\Deleted flag
+   * @param {string} [criteria.keyword] - Has this custom keyword, which the folder must allow (PERMANENTFLAGS)
+   * @param {string} [criteria.unKeyword] - Lacks this custom keyword, which the folder must allow (PERMANENTFLAGS)
+   * @param {Object} [criteria.header] - Header name/value pairs to match (value true matches any value)
+   * @param {string} [criteria.uid] - UID range (e.g. "100:200")
+   * @param {Array<Object>} [criteria.and] - Criteria that must all match
+   * @param {Array<Object>} [criteria.or] - Criteria of which at least one must match
+   * @param {Object} [criteria.not] - Criteria that must not match
+   * @param {Object} [options] - Search options
+   * @param {number} [options.limit] - Maximum number of messages to return (default: 10)
+   * @param {Array<string>} [options.headers] - Names of headers to include in each summary as `headers`,
+   *   an object mapping lowercase names to arrays of values
+   * @param {AbortSignal} [options.signal] - Abort signal, see CallOptions
+   * @param {number|Date} [options.deadline] - Deadline, see CallOptions
+   * @returns {Promise<Array>} - Array of message summaries, newest first
+   */
+  async searchMessages(folder, criteria, options = {}) {
+    // Validate before connecting so that typos fail fast
+    this.#validateCriteria(criteria);
+
+    const limit = options.limit || 10;
+    const headers = options.headers && options.headers.length ? options.headers.map((name) => name.toLowerCase()) : null;
+
+    return this.#withMailbox(folder, async ({ progress }) => {
+      const uids = Array.from(await this.#runSearch(criteria))
+        .sort((a, b) => b - a)
+        .slice(0, limit);
+
+      if (!uids.length) {
+        return [];
+      }
+
+      const messages = [];
+      progress.messages = messages;
+      for await (const message of this.client.fetch(uids, {
+        uid: true,
+        flags: true,
+        envelope: true,
+        size: true,
+        ...(headers && { headers }),
+      }, { uid: true })) {
+        const summary = this.#summarize(message);
+        if (headers) {
+          summary.headers = this.#parseHeaders(message.headers, headers);
+        }
+        messages.push(summary);
+      }
+
+      return messages.sort((a, b) => b.uid - a.uid);
+    }, { ...options, idempotent: true });
+  }
+
+  /**
+   * Search the currently locked mailbox for UIDs
+   *
+   * ImapFlow resolves a failed search, e.g. one cut off by a closed
+   * connection, with false, which must not be mistaken for no matches.
+   *
+   * @private
+   * @param {Object} query - ImapFlow search query
+   * @returns {Promise<Array<number>>} - Matching UIDs in ascending order
+   * @throws {ImapError} - If the search failed
+   */
+  async #searchUids(query) {
+    const results = await this.client.search(query, { uid: true });
+    if (!results) {
+      throw new ImapError('Search failed');
+    }
+    return results;
+  }
+
+  /**
+   * Validate a searchMessages criteria object, recursing into and/or/not
+   *
+   * @private
+   * @param {Object} criteria - Criteria object to validate
+   * @param {string} [path] - Location of the criteria object, used in error messages
+   * @throws {TypeError} - If a key is unknown or a value has the wrong type
+   */
+  #validateCriteria(criteria, path = 'criteria') {
+    if (!criteria || typeof criteria !== 'object' || Array.isArray(criteria)) {
+      throw new TypeError(`${path} must be an object`);
+    }
+
+    for (const [key, value] of Object.entries(criteria)) {
+      const type = SEARCH_CRITERIA[key];
+      const location = `${path}.${key}`;
+
+      if (!type) {
+        throw new TypeError(
+          `Unknown search criterion "${location}", expected one of: ${Object.keys(SEARCH_CRITERIA).join(', ')}`
+        );
+      }
+
+      switch (type) {
+        case 'date':
+          if (!(value instanceof Date || typeof value === 'string') || isNaN(new Date(value))) {
+            throw new TypeError(`${location} must be a valid date`);
+          }
+          break;
+
+        case 'number':
+          // ImapFlow leaves out a size of 0, which would match every message
+          if (!Number.isInteger(value) || value < 1) {
+            throw new TypeError(`${location} must be a positive integer`);
+          }
+          break;
+
+        case 'array':
+          if (!Array.isArray(value) || !value.length) {
+            throw new TypeError(`${location} must be a non-empty array of criteria`);
+          }
+          value.forEach((entry, i) => this.#validateCriteria(entry, `${location}[${i}]`));
+          break;
+
+        case 'object':
+          if (key === 'not') {
+            this.#validateCriteria(value, location);
+            break;
+          }
+          if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            throw new TypeError(`${location} must be an object of header name/value pairs`);
+          }
+          for (const [header, headerValue] of Object.entries(value)) {
+            if (typeof headerValue !== 'string' && headerValue !== true) {
+              throw new TypeError(`${location}.${header} must be a string or true`);
+            }
+          }
+          break;
+
+        default:
+          if (typeof value !== type || (type === 'string' && !value)) {
+            throw new TypeError(`${location} must be a non-empty ${type}`);
+          }
+      }
+    }
+  }
+
+  /**
+   * Run a validated criteria object against the currently locked mailbox
+   *
+   * Plain criteria are compiled into a single SEARCH command. Composite
+   * criteria (and/or/not) are resolved with separate searches and combined
+   * as UID sets, as ImapFlow does not group multi-key operands.
+   *
+   * @private
+   * @param {Object} criteria - Validated criteria object
+   * @returns {Promise<Set<number>>} - Set of matching UIDs
+   */
+  async #runSearch(criteria) {
+    const { and, or, not, ...plain } = criteria;
+
+    // ImapFlow leaves out keywords the mailbox can not store, which would widen the search
+    const mailbox = this.client.mailbox;
+    for (const keyword of [plain.keyword, plain.unKeyword].filter(Boolean)) {
+      const allowed =
+        !mailbox.permanentFlags ||
+        mailbox.permanentFlags.has('\\*') ||
+        mailbox.permanentFlags.has(keyword) ||
+        (mailbox.flags && mailbox.flags.has(keyword));
+
+      if (!allowed) {
+        throw new TypeError(`Keyword ${keyword} can not be searched in ${mailbox.path}, which does not allow it`);
+      }
+    }
+
+    const search = async (query) => new Set(await this.#searchUids(query));
+
+    const sets = [];
+
+    if (Object.keys(plain).length || (!and && !or && !not)) {
+      sets.push(await search(Object.keys(plain).length ? plain : { all: true }));
+    }
+
+    for (const entry of and || []) {
+      sets.push(await this.#runSearch(entry));
+    }
+
+    if (or) {
+      const union = new Set();
+      for (const entry of or) {
+        for (const uid of await this.#runSearch(entry)) {
+          union.add(uid);
+        }
+      }
+      sets.push(union);
+    }
+
+    if (not) {
+      const excluded = await this.#runSearch(not);
+      const all = await search({ all: true });
+      sets.push(new Set(Array.from(all).filter((uid) => !excluded.has(uid))));
+    }
+
+    return sets.reduce(
+      (result, set) => new Set(Array.from(result).filter((uid) => set.has(uid)))
+    );
+  }
+
+  /**
+   * Reduce a fetched message to a JSON-friendly envelope summary
+   *
+   * @private
+   * @param {Object} message - Message object as returned by ImapFlow fetch
+   * @returns {Object} - Summary with uid, messageId, subject, from, to, date, flags and size
+   */
+  #summarize(message) {
+    const envelope = message.envelope || {};
+
+    return {
+      uid: message.uid,
+      messageId: envelope.messageId || null,
+      subject: envelope.subject || null,
+      from: envelope.from || [],
+      to: envelope.to || [],
+      date: envelope.date || null,
+      flags: Array.from(message.flags || []),
+      size: message.size,
+    };
+  }
+
+  /**
+   * Parse fetched header lines into an object of unfolded values
+   *
+   * @private
+   * @param {Buffer} [headersBuf] - Header lines as returned by ImapFlow fetch
+   * @param {Array<string>} names - Lowercase names of the requested headers, present in the result even if missing
+   * @returns {Object} - Object mapping lowercase header names to arrays of values
+   */
+  #parseHeaders(headersBuf, names) {
+    const headers = Object.fromEntries(names.map((name) => [name, []]));
+    const lines = (headersBuf ? headersBuf.toString('utf8') : '').replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/);
+
+    for (const line of lines) {
+      const separator = line.indexOf(':');
+      if (separator > 0) {
+        const name = line.slice(0, separator).trim().toLowerCase();
+        (headers[name] = headers[name] || []).push(line.slice(separator + 1).trim());
+      }
+    }
+
+    return headers;
+  }
+
+  /**
+   * Normalize the limit-or-options argument of the listing methods
+   *
+   * @private
+   * @param {number|Object} options - Legacy numeric limit or paging options
+   * @returns {Object} - Object with limit, cursor and paged (true when called with an options object)
+   */
+  #pageOptions(options) {
+    if (typeof options === 'number') {
+      return { limit: options, cursor: null, paged: false };
+    }
+
+    return {
+      limit: (options && options.limit) || 10,
+      cursor: (options && options.cursor) || null,
+      paged: true,
+    };
+  }
+
+  /**
+   * Select the UIDs of the next page in the currently locked mailbox, newest first
+   *
+   * @private
+   * @param {number} limit - Maximum number of UIDs in the page
+   * @param {string|null} cursor - Cursor returned by the previous page, null for the first page
+   * @returns {Promise<Object>} - Object with uids (newest first) and cursor (null on the last page)
+   * @throws {ImapError} - If the cursor is malformed or UIDVALIDITY changed since it was issued
+   */
+  async #pageUids(limit, cursor) {
+    const uidValidity = String(this.client.mailbox.uidValidity);
+    let query = { all: true };
+
+    if (cursor) {
+      const position = this.#decodeCursor(cursor);
+
+      if (position.uidValidity !== uidValidity) {
+        throw new ImapError(
+          `Cursor is no longer valid: UIDVALIDITY of ${this.client.mailbox.path} changed from ${position.uidValidity} to ${uidValidity}`,
+          { code: 'UidValidityChanged' }
+        );
+      }
+
+      if (position.uid <= 1) {
+        return { uids: [], cursor: null };
+      }
+
+      query = { uid: `1:${position.uid - 1}` };
+    }
+
+    if (!this.client.mailbox.exists) {
+      return { uids: [], cursor: null };
+    }
+
+    const all = await this.#searchUids(query);
+    const uids = all.slice(-limit).reverse();
+    const last = uids[uids.length - 1];
+
+    return {
+      uids,
+      cursor: all.length > limit ? this.#encodeCursor({ uidValidity, uid: last }) : null,
+    };
+  }
+
+  /**
+   * Encode a paging position as an opaque cursor string
+   *
+   * @private
+   * @param {Object} position - Object with uidValidity and uid (oldest UID already returned)
+   * @returns {string} - Cursor string
+   */
+  #encodeCursor({ uidValidity, uid }) {
+    return Buffer.from(JSON.stringify({ v: uidValidity, u: uid })).toString('base64url');
+  }
+
+  /**
+   * Decode a cursor string created by #encodeCursor
+   *
+   * @private
+   * @param {string} cursor - Cursor string
+   * @returns {Object} - Object with uidValidity and uid
+   * @throws {ImapError} - If the cursor is malformed
+   */
+  #decodeCursor(cursor) {
+    let position;
+    try {
+      position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch (error) {
+      position = null;
+    }
+
+    if (!position || typeof position.v !== 'string' || !Number.isInteger(position.u)) {
+      throw new ImapError('Invalid cursor', { code: 'InvalidCursor' });
+    }
+
+    return { uidValidity: position.v, uid: position.u };
+  }
+
+  /**
+   * Encode the state of a folder after a sync as an opaque token
+   *
+   * @private
+   * @param {Object} state - Object with uidValidity, uidNext, highestModseq and uids (ascending)
+   * @returns {string} - State token
+   */
+  #encodeSyncState({ uidValidity, uidNext, highestModseq, uids }) {
+    const data = { v: uidValidity, n: uidNext, m: highestModseq, s: this.#encodeUidSet(uids) };
+    return Buffer.from(JSON.stringify(data)).toString('base64url');
+  }
+
+  /**
+   * Decode a state token created by #encodeSyncState
+   *
+   * @private
+   * @param {string} state - State token
+   * @returns {Object} - Object with uidValidity, uidNext, highestModseq and uids (ascending)
+   * @throws {ImapError} - If the token is malformed
+   */
+  #decodeSyncState(state) {
+    let data;
+    try {
+      data = JSON.parse(Buffer.from(String(state), 'base64url').toString('utf8'));
+    } catch (error) {
+      data = null;
+    }
+
+    if (
+      !data ||
+      typeof data.v !== 'string' ||
+      !Number.isInteger(data.n) ||
+      data.n < 1 ||
+      data.n > MAX_UID + 1 ||
+      typeof data.s !== 'string'
+    ) {
+      throw new ImapError('Invalid sync state', { code: 'InvalidSyncState' });
+    }
+
+    return {
+      uidValidity: data.v,
+      uidNext: data.n,
+      highestModseq: data.m || null,
+      uids: this.#decodeUidSet(data.s, data.n),
+    };
+  }
+
+  /**
+   * Compress ascending UIDs into an IMAP sequence set, e.g. [1, 2, 3, 7] into "1:3,7"
+   *
+   * @private
+   * @param {Array<number>} uids - UIDs in ascending order
+   * @returns {string} - Sequence set, empty for no UIDs
+   */
+  #encodeUidSet(uids) {
+    const ranges = [];
+
+    for (let i = 0; i < uids.length; i++) {
+      const start = uids[i];
+      while (i + 1 < uids.length && uids[i + 1] === uids[i] + 1) {
+        i++;
+      }
+      ranges.push(start === uids[i] ? `${start}` : `${start}:${uids[i]}`);
+    }
+
+    return ranges.join(',');
+  }
+
+  /**
+   * Expand a sequence set created by #encodeUidSet
+   *
+   * The set is validated completely before it is expanded, so that a corrupt
+   * token can not make the client allocate billions of UIDs.
+   *
+   * @private
+   * @param {string} set - Sequence set
+   * @param {number} uidNext - UIDNEXT recorded with the set, every UID must be below it
+   * @returns {Array<number>} - UIDs in ascending order
+   * @throws {ImapError} - If the set is malformed, has UIDs from uidNext on or more than MAX_SYNC_UIDS UIDs
+   */
+  #decodeUidSet(set, uidNext) {
+    const ranges = [];
+    let count = 0;
+
+    for (const range of set ? set.split(',') : []) {
+      const [start, end = start] = range.split(':').map(Number);
+      count += end - start + 1;
+      if (
+        !Number.isInteger(start) ||
+        !Number.isInteger(end) ||
+        start < 1 ||
+        end < start ||
+        end >= uidNext ||
+        count > MAX_SYNC_UIDS
+      ) {
+        throw new ImapError('Invalid sync state', { code: 'InvalidSyncState' });
+      }
+      ranges.push([start, end]);
+    }
+
+    const uids = [];
+    for (const [start, end] of ranges) {
+      for (let uid = start; uid <= end; uid++) {
+        uids.push(uid);
+      }
+    }
+
+    return uids;
+  }
+
+  /**
+   * Extract SES ID from email headers
+   * 
+   * @private
+   * @param {string} headerStr - Raw header string to parse
+   * @returns {string|null} - Extracted SES ID or null if not found
+   */
+  #extractSesIdFromHeaders(headerStr) {
+    if (headerStr.includes('amazonaws.com') && headerStr.includes('SMTP id')) {
+      const smtpIdIndex = headerStr.indexOf('SMTP id');
+      if (smtpIdIndex > 0) {
+        const afterSmtpId = headerStr.substring(smtpIdIndex + 8).trim();
+        let extractedSesId;            
+        // The SES ID is the next word (until whitespace, newline, or semicolon)
+        const endOfIdSpace = afterSmtpId.indexOf(' ');
+        const endOfIdNewline = afterSmtpId.indexOf('\n');
+        const endOfIdSemicolon = afterSmtpId.indexOf(';');
+        
+        if (endOfIdSpace > 0) {
+          extractedSesId = afterSmtpId.substring(0, endOfIdSpace).trim();
+        } else if (endOfIdNewline > 0) {
+          extractedSesId = afterSmtpId.substring(0, endOfIdNewline).trim();
+        } else if (endOfIdSemicolon > 0) {
+          extractedSesId = afterSmtpId.substring(0, endOfIdSemicolon).trim();
+        } else {
+          extractedSesId = afterSmtpId.trim();
+        }
+
+        return extractedSesId;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Resolve a UID-or-Message-ID identifier to a UID in the currently locked mailbox
+   *
+   * @private
+   * @param {string|number} identifier - Either a Message-ID string or a UID number
+   * @returns {Promise<number|null>} - UID of the message or null if not found
+   */
+  async #resolveUid(identifier) {
+    // Check if identifier is a UID (number) or Message-ID (string)
+    if (typeof identifier === "number") {
+      return identifier;
+    }
+
+    // Clean the Message-ID if it includes angle brackets
+    const cleanMessageId = identifier.replace(/^<|>$/g, "");
+
+    // Search for the message by Message-ID
+    const searchResults = await this.#searchUids({ header: { "message-id": cleanMessageId } });
+
+    if (!searchResults.length) {
+      return null;
+    }
+
+    return searchResults[0];
+  }
+
+  /**
+   * Resolve a UID, a list of UIDs or a Message-ID to a list of UIDs in the currently locked mailbox
+   *
+   * @private
+   * @param {string|number|Array<number>} identifier - Message-ID string, UID number or array of UIDs
+   * @returns {Promise<Array<number>|null>} - List of UIDs or null if the Message-ID was not found
    */
-  async searchMessageBySesId(folder, sesId) {
-    await this.connect();
+  async #resolveUids(identifier) {
+    if (Array.isArray(identifier)) {
+      return identifier;
+    }
 
-    const lock = await this.client.getMailboxLock(folder);
+    const uid = await this.#resolveUid(identifier);
+    return uid ? [uid] : null;
+  }
 
-    try {
-      // Get the total number of messages
-      const mailbox = this.client.mailbox;
+  /**
+   * Search for a message by its AWS SES ID
+   *
+   * Candidates are first narrowed with a server-side search for the SES ID in
+   * the Received headers, then confirmed by parsing those headers. Some
+   * servers do not search Received headers; with `scan` the newest messages
+   * are inspected directly when the server search finds nothing, up to
+   * `maxScan` messages.
+   *
+   * @param {string} folder - Folder to search in
+   * @param {string} sesId - SES ID to search for
+   * @param {Object} [options] - Search options
+   * @param {Date|string} [options.since] - Only consider messages received on or after this date
+   * @param {Date|string} [options.before] - Only consider messages received before this date
+   * @param {boolean} [options.scan] - Inspect the newest messages when the server search finds nothing (default: false)
+   * @param {number} [options.maxScan] - Maximum number of messages to inspect (default: 500)
+   * @param {AbortSignal} [options.signal] - Abort signal, see CallOptions
+   * @param {number|Date} [options.deadline] - Deadline, see CallOptions
+   * @returns {Promise<Object>} - Object with message (or null), scanned (messages inspected)
+   *   and truncated (true if the search gave up before inspecting every candidate)
+   */
+  async searchMessageBySesId(folder, sesId, options = {}) {
+    const maxScan = options.maxScan || 500;
+    const dateRange = {};
+    if (options.since) {
+      dateRange.since = options.since;
+    }
+    if (options.before) {
+      dateRange.before = options.before;
+    }
 
-      if (!mailbox.exists) {
-        return null;
+    return this.#withMailbox(folder, async ({ progress }) => {
+      const result = { message: null, scanned: 0, truncated: false };
+
+      if (!this.client.mailbox.exists) {
+        return result;
+      }
+
+      // Let the server narrow the candidates down first
+      let candidates = await this.#searchUids({ ...dateRange, header: { received: sesId } });
+
+      if (!candidates.length && options.scan) {
+        // Fall back to scanning the newest messages for servers that do not match Received headers
+        candidates = await this.#searchUids(Object.keys(dateRange).length ? dateRange : { all: true });
+      }
+
+      // Inspect from newest to oldest, in batches to save round trips
+      candidates = candidates.reverse();
+      if (candidates.length > maxScan) {
+        candidates = candidates.slice(0, maxScan);
+        result.truncated = true;
       }
 
-      // Search from newest to oldest
-      for (let i = mailbox.exists; i > 0; i--) {
-        const message = await this.client.fetchOne(i, {
+      for (let i = 0; i < candidates.length; i += 100) {
+        const batch = [];
+        for await (const message of this.client.fetch(candidates.slice(i, i + 100), {
           uid: true,
           flags: true,
           envelope: true,
           headers: ['received'],
-        });
+        }, { uid: true })) {
+          batch.push(message);
+        }
+        result.scanned += batch.length;
+        progress.scanned = result.scanned;
 
-        if (message) {
+        for (const message of batch.sort((a, b) => b.uid - a.uid)) {
           message.headers = message.headers.toString('utf8');
-          const headerStr = message.headers;
-          const extractedSesId = this.#extractSesIdFromHeaders(headerStr);
-          
+          const extractedSesId = this.#extractSesIdFromHeaders(message.headers);
+
           if (extractedSesId === sesId) {
             message.sesId = extractedSesId;
-            return message;
+            // A match makes the remaining candidates irrelevant
+            return { ...result, message, truncated: false };
           }
         }
       }
 
-      return null;
-    } finally {
-      // Always release the lock
-      lock.release();
-    }
+      return result;
+    }, { ...options, idempotent: true });
   }
 
   /**
@@ -415,63 +2707,43 @@ export class ImapClient {
    *
    * @param {string} folder - Folder containing the message
    * @param {string|number} identifier - Either a Message-ID string or a UID number
-   * @param {string} [headerName] - Optional specific header name to extract
-   * @returns {Promise<Object|string|null>} - All headers as object, specific header as string, or null if not found
+   * @param {string} [headerName] - Optional specific header name to extract (case-insensitive)
+   * @param {CallOptions} [options] - Abort signal or deadline
+   * @returns {Promise<Object|string|null>} - All headers as object of lowercase names to unfolded values (arrays for
+   *   headers that occur more than once), or the first value of the specific header (null if the message has no
+   *   such header)
+   * @throws {MessageNotFoundError} - If the message does not exist
    */
-  async getMessageHeaders(folder, identifier, headerName = null) {
-    await this.connect();
-
-    const lock = await this.client.getMailboxLock(folder);
-
-    try {
-      let uid;
-
-      // Check if identifier is a UID (number) or Message-ID (string)
-      if (typeof identifier === "number") {
-        uid = identifier;
-      } else {
-        // Clean the Message-ID if it includes angle brackets
-        const cleanMessageId = identifier.replace(/^<|>$/g, "");
-
-        // Search for the message by Message-ID
-        const searchResults = await this.client.search({
-          header: ["message-id", cleanMessageId],
-        });
-
-        if (!searchResults.length) {
-          return null;
-        }
-
-        uid = searchResults[0];
-      }
+  async getMessageHeaders(folder, identifier, headerName = null, options = {}) {
+    return this.#withMailbox(folder, async () => {
+      const uid = await this.#resolveUid(identifier);
 
       // Fetch only the headers
-      const message = await this.client.fetchOne(uid, {
+      const message = uid && await this.client.fetchOne(uid, {
         uid: true,
         headers: true,
-      });
+      }, { uid: true });
 
       if (!message) {
-        return null;
+        throw new MessageNotFoundError(`Message ${identifier} not found in ${folder}`, {
+          details: { folder, identifier },
+        });
       }
 
+      // ImapFlow returns the header lines as a Buffer
+      const headers = this.#parseHeaders(message.headers, []);
+
       // If a specific header is requested, return just that header
       if (headerName) {
-        const headerValue = message.headers.get(headerName);
-        return headerValue;
-      }
-
-      // Convert headers Map to a plain object for easier handling
-      const headersObject = {};
-      for (const [key, value] of message.headers) {
-        headersObject[key] = value;
+        const values = headers[headerName.toLowerCase()];
+        return values ? values[0] : null;
       }
 
-      return headersObject;
-    } finally {
-      // Always release the lock
-      lock.release();
-    }
+      // Headers that occur more than once, such as Received, keep all their values
+      return Object.fromEntries(
+        Object.entries(headers).map(([name, values]) => [name, values.length > 1 ? values : values[0]])
+      );
+    }, { ...options, idempotent: true });
   }
 
   /**
@@ -480,43 +2752,25 @@ export class ImapClient {
    * @param {string} folder - Folder containing the message
    * @param {string|number} identifier - Either a Message-ID string or a UID number
    * @param {string} [headerName] - Optional specific header name to extract (case-insensitive)
-   * @returns {Promise<string|null>} - Raw headers as string, specific header line, or null if not found
+   * @param {CallOptions} [options] - Abort signal or deadline
+   * @returns {Promise<string|null>} - Raw headers as string, or the specific header line (null if the message has
+   *   no such header)
+   * @throws {MessageNotFoundError} - If the message does not exist
    */
-  async getRawMessageHeaders(folder, identifier, headerName = null) {
-    await this.connect();
-
-    const lock = await this.client.getMailboxLock(folder);
-
-    try {
-      let uid;
-
-      // Check if identifier is a UID (number) or Message-ID (string)
-      if (typeof identifier === "number") {
-        uid = identifier;
-      } else {
-        // Clean the Message-ID if it includes angle brackets
-        const cleanMessageId = identifier.replace(/^<|>$/g, "");
-
-        // Search for the message by Message-ID
-        const searchResults = await this.client.search({
-          header: ["message-id", cleanMessageId],
-        });
-
-        if (!searchResults.length) {
-          return null;
-        }
-
-        uid = searchResults[0];
-      }
+  async getRawMessageHeaders(folder, identifier, headerName = null, options = {}) {
+    return this.#withMailbox(folder, async () => {
+      const uid = await this.#resolveUid(identifier);
 
       // Fetch the message with headersBuf which gives us a Buffer with raw headers
-      const message = await this.client.fetchOne(uid, {
+      const message = uid && await this.client.fetchOne(uid, {
         uid: true,
         headersBuf: true,
-      });
+      }, { uid: true });
 
       if (!message || !message.headersBuf) {
-        return null;
+        throw new MessageNotFoundError(`Message ${identifier} not found in ${folder}`, {
+          details: { folder, identifier },
+        });
       }
 
       // Convert buffer to string
@@ -533,10 +2787,525 @@ export class ImapClient {
       }
 
       return headersString;
-    } finally {
-      // Always release the lock
-      lock.release();
+    }, { ...options, idempotent: true });
+  }
+
+  /**
+   * Get the parsed content of a message identified by UID or Message-ID
+   *
+   * Text and HTML bodies are downloaded part by part and returned decoded
+   * (transfer encoding and charset). Attachments and inline parts are only
+   * described, their content is not downloaded.
+   *
+   * @param {string} folder - Folder containing the message
+   * @param {string|number} identifier - Either a Message-ID string or a UID number
+   * @param {CallOptions} [options] - Abort signal or deadline
+   * @returns {Promise<Object>} - Message content object
+   * @throws {MessageNotFoundError} - If the message does not exist
+   */
+  async getMessageContent(folder, identifier, options = {}) {
+    return this.#withMailbox(folder, async () => {
+      const uid = await this.#resolveUid(identifier);
+
+      const message = uid && await this.client.fetchOne(uid, {
+        uid: true,
+        flags: true,
+        envelope: true,
+        bodyStructure: true,
+      }, { uid: true });
+
+      if (!message) {
+        throw new MessageNotFoundError(`Message ${identifier} not found in ${folder}`, {
+          details: { folder, identifier },
+        });
+      }
+
+      const parts = this.#classifyParts(message.bodyStructure);
+
+      return {
+        uid: message.uid,
+        envelope: message.envelope,
+        flags: Array.from(message.flags || []),
+        text: await this.#downloadText(uid, parts.text),
+        html: await this.#downloadText(uid, parts.html),
+        inline: parts.inline,
+        attachments: parts.attachments,
+      };
+    }, { ...options, idempotent: true });
+  }
+
+  /**
+   * Stream a single attachment of a message into a writable sink
+   *
+   * Only the requested body part is fetched from the server, so the rest of the
+   * message is never loaded into memory. If the decoded content grows past
+   * `maxBytes` the transfer is aborted and the sink is destroyed.
+   *
+   * @param {string} folder - Folder containing the message
+   * @param {string|number} identifier - Either a Message-ID string or a UID number
+   * @param {string} attachment - Body part number (e.g. "2" or "1.3") or attachment filename
+   * @param {Writable|Function} sink - Writable stream, or a function that receives the attachment
+   *   description and returns (a promise of) a writable stream
+   * @param {Object} [options] - Download options
+   * @param {number} [options.maxBytes] - Maximum number of decoded bytes to accept (default: unlimited)
+   * @param {AbortSignal} [options.signal] - Abort signal, see CallOptions
+   * @param {number|Date} [options.deadline] - Deadline, see CallOptions
+   * @returns {Promise<Object|null>} - Attachment description with the number of bytes written, or null if the
+   *   message has no such attachment
+   * @throws {MessageNotFoundError} - If the message does not exist
+   * @throws {ImapError} - With code "MaxBytesExceeded" if the attachment is larger than maxBytes
+   */
+  async downloadAttachment(folder, identifier, attachment, sink, options = {}) {
+    const maxBytes = options.maxBytes || Infinity;
+
+    return this.#withMailbox(folder, async ({ signal, progress }) => {
+      const uid = await this.#resolveUid(identifier);
+      const message = uid && await this.client.fetchOne(uid, {
+        uid: true,
+        bodyStructure: true,
+      }, { uid: true });
+
+      if (!message) {
+        throw new MessageNotFoundError(`Message ${identifier} not found in ${folder}`, {
+          details: { folder, identifier },
+        });
+      }
+
+      // Part numbers look like "2" or "1.2", anything else is matched as a filename
+      const key = /^\d+(\.\d+)*$/.test(attachment) ? 'part' : 'filename';
+      const parts = this.#classifyParts(message.bodyStructure);
+      const entry = parts.attachments
+        .concat(parts.inline)
+        .find((candidate) => candidate[key] === attachment);
+
+      if (!entry) {
+        return null;
+      }
+
+      // Let ImapFlow fetch one byte past the limit so an oversized part is detected
+      // below, while it still stops requesting further chunks from the server
+      const { content } = await this.client.download(uid, entry.part, {
+        uid: true,
+        maxBytes: maxBytes === Infinity ? undefined : maxBytes + 1,
+      });
+
+      if (!content) {
+        return null;
+      }
+
+      let written = 0;
+      const limiter = new Transform({
+        transform(chunk, encoding, callback) {
+          written += chunk.length;
+          progress.bytesWritten = written;
+          if (written > maxBytes) {
+            return callback(new ImapError(
+              `Attachment ${entry.filename || entry.part} exceeds the limit of ${maxBytes} bytes`,
+              { code: 'MaxBytesExceeded', details: { part: entry.part, maxBytes } }
+            ));
+          }
+          callback(null, chunk);
+        },
+      });
+
+      const target = typeof sink === 'function' ? await sink(entry) : sink;
+      await pipeline(content, limiter, target, signal ? { signal } : {});
+
+      return { ...entry, bytesWritten: written };
+    }, options);
+  }
+
+  /**
+   * Export the messages of a folder to mbox or to one .eml file per message
+   *
+   * Messages are exported in UID order, one at a time, with their flags and
+   * internal dates. Large folders can be exported across several invocations:
+   * pass the returned cursor, or `details.progress.cursor` of the timeout
+   * error, as `cursor` to continue after the last exported message.
+   *
+   * With the "mbox" format the sink receives mboxrd entries and is not ended,
+   * so that later invocations can append to it. With "eml-dir" the sink is a
+   * directory, where `<uid>.eml` files are written (with the internal date as
+   * modification time) and a line with uid, file, flags and internalDate is
+   * appended to `manifest.jsonl` for each message, or a function that receives
+   * {uid, filename, flags, internalDate, size} and returns (a promise of) a
+   * writable stream for the message, which is ended after writing.
+   *
+   * @param {string} folder - Folder to export
+   * @param {Writable|string|Function} sink - Writable stream for "mbox", directory path or function for "eml-dir"
+   * @param {Object} [options] - Export options
+   * @param {string} [options.format] - "mbox" or "eml-dir" (default: "mbox")
+   * @param {Object} [options.criteria] - Search criteria selecting the messages, as for searchMessages (default: all)
+   * @param {string} [options.cursor] - Cursor returned by the previous export
+   * @param {number} [options.limit] - Maximum number of messages to export in this call (default: unlimited)
+   * @param {AbortSignal} [options.signal] - Abort signal, see CallOptions
+   * @param {number|Date} [options.deadline] - Deadline, see CallOptions
+   * @returns {Promise<Object>} - Object with exported (number of messages), lastUid and cursor (null when the
+   *   folder has been exported completely)
+   * @throws {ImapError} - With code "UidValidityChanged" if the folder changed since the cursor was issued
+   */
+  async exportFolder(folder, sink, options = {}) {
+    const format = options.format || 'mbox';
+    if (!['mbox', 'eml-dir'].includes(format)) {
+      throw new TypeError(`Unknown export format ${format}, expected mbox or eml-dir`);
+    }
+
+    const criteria = options.criteria || {};
+    this.#validateCriteria(criteria);
+    const position = options.cursor ? this.#decodeCursor(options.cursor) : null;
+    const limit = options.limit || Infinity;
+
+    if (format === 'eml-dir' && typeof sink === 'string') {
+      await mkdir(sink, { recursive: true });
+    }
+
+    // Kept across a reconnect, so that a retry continues after the last exported message
+    const result = { exported: 0, lastUid: position ? position.uid : null, cursor: null };
+    let cursor = options.cursor || null;
+
+    return this.#withMailbox(folder, async ({ progress }) => {
+      const uidValidity = String(this.client.mailbox.uidValidity);
+      if (position && position.uidValidity !== uidValidity) {
+        throw new ImapError(
+          `Cursor is no longer valid: UIDVALIDITY of ${this.client.mailbox.path} changed from ${position.uidValidity} to ${uidValidity}`,
+          { code: 'UidValidityChanged' }
+        );
+      }
+
+      progress.exported = result.exported;
+      progress.cursor = cursor;
+
+      if (!this.client.mailbox.exists) {
+        return result;
+      }
+
+      const after = result.lastUid || 0;
+      const range = { uid: `${after + 1}:*` };
+      const query = criteria.uid ? { and: [range, criteria] } : { ...criteria, ...range };
+      // "*" matches the newest message even if it was exported already
+      const uids = Array.from(await this.#runSearch(query))
+        .filter((uid) => uid > after)
+        .sort((a, b) => a - b);
+      const selected = uids.slice(0, limit - result.exported);
+
+      const checkpoint = (uid) => {
+        result.lastUid = uid;
+        cursor = this.#encodeCursor({ uidValidity, uid });
+        progress.cursor = cursor;
+      };
+
+      for (let i = 0; i < selected.length; i += 50) {
+        const batch = selected.slice(i, i + 50);
+        const written = new Set();
+        let next = 0;
+
+        // ImapFlow waits for each message to be consumed, so only one message is held in memory
+        for await (const message of this.client.fetch(batch, {
+          uid: true,
+          flags: true,
+          internalDate: true,
+          envelope: true,
+          source: true,
+        }, { uid: true })) {
+          const flags = Array.from(message.flags || []).filter((flag) => flag !== '\\Recent');
+          const internalDate = message.internalDate ? new Date(message.internalDate) : null;
+
+          if (format === 'mbox') {
+            const sender = message.envelope && message.envelope.from && message.envelope.from[0];
+            await writeChunk(sink, formatMboxEntry({
+              source: message.source,
+              flags,
+              internalDate,
+              uid: message.uid,
+              sender: sender && sender.address,
+            }));
+          } else {
+            await this.#writeEml(sink, message.source, {
+              uid: message.uid,
+              filename: `${message.uid}.eml`,
+              flags,
+              internalDate,
+              size: message.source.length,
+            });
+          }
+
+          result.exported++;
+          progress.exported = result.exported;
+
+          // The cursor only passes UIDs that were all written, in case the server answers out of order
+          written.add(message.uid);
+          while (next < batch.length && written.has(batch[next])) {
+            checkpoint(batch[next++]);
+          }
+        }
+
+        // Messages expunged since the search are not returned and are skipped
+        if (next < batch.length) {
+          checkpoint(batch[batch.length - 1]);
+        }
+      }
+
+      result.cursor = uids.length > selected.length ? cursor : null;
+      return result;
+    }, { ...options, idempotent: true });
+  }
+
+  /**
+   * Write one message of an eml-dir export
+   *
+   * @private
+   * @param {string|Function} sink - Directory path, or function returning a writable stream for the message
+   * @param {Buffer} source - Raw message
+   * @param {Object} entry - Object with uid, filename, flags, internalDate and size
+   * @returns {Promise<void>}
+   */
+  async #writeEml(sink, source, entry) {
+    if (typeof sink === 'function') {
+      const target = await sink(entry);
+      await writeChunk(target, source);
+      target.end();
+      await finished(target);
+      return;
+    }
+
+    const path = join(sink, entry.filename);
+    await writeFile(path, source);
+    if (entry.internalDate) {
+      await utimes(path, entry.internalDate, entry.internalDate);
+    }
+    await appendFile(join(sink, 'manifest.jsonl'), JSON.stringify({
+      uid: entry.uid,
+      file: entry.filename,
+      flags: entry.flags,
+      internalDate: entry.internalDate,
+    }) + '\n');
+  }
+
+  /**
+   * Append the messages of an mbox file to a folder, creating the folder if it does not exist
+   *
+   * Flags, keywords and internal dates stored by exportFolder (or by Dovecot
+   * and mutt) are restored. Large files can be imported across several
+   * invocations: pass the returned cursor, or `details.progress.cursor` of the
+   * timeout error, as `cursor` together with the same source. Messages are
+   * skipped by their X-UID header where the file has one, by position otherwise.
+   *
+   * @param {string} folder - Folder to append the messages to
+   * @param {Readable|AsyncIterable|Buffer|string} source - Mbox content
+   * @param {Object} [options] - Import options
+   * @param {string} [options.cursor] - Cursor returned by the previous import of the same source
+   * @param {number} [options.limit] - Maximum number of messages to import in this call (default: unlimited)
+   * @param {AbortSignal} [options.signal] - Abort signal, see CallOptions
+   * @param {number|Date} [options.deadline] - Deadline, see CallOptions
+   * @returns {Promise<Object>} - Object with imported (number of messages), lastUid (X-UID of the last imported
+   *   message, null without X-UID headers) and cursor (null when the whole source has been imported)
+   * @throws {ImapError} - With code "InvalidCursor" if the cursor is malformed
+   */
+  async importMbox(folder, source, options = {}) {
+    const position = options.cursor ? this.#decodeImportCursor(options.cursor) : { count: 0, uid: null };
+    const limit = options.limit || Infinity;
+
+    return this.#execute(async ({ signal, progress }) => {
+      if (!(await this.folderExists(folder, { signal }))) {
+        await this.folderMake(folder, { signal });
+      }
+
+      const path = this.#normalizePath(folder);
+      const result = { imported: 0, lastUid: position.uid, cursor: null };
+      let count = 0;
+      progress.imported = 0;
+      progress.cursor = options.cursor || null;
+
+      for await (const message of parseMbox(source)) {
+        count++;
+
+        // Messages exported with their UID are matched by UID, others by position
+        const done = message.uid !== null && position.uid !== null ? message.uid <= position.uid : count <= position.count;
+        if (done) {
+          continue;
+        }
+
+        if (result.imported >= limit) {
+          result.cursor = progress.cursor;
+          break;
+        }
+
+        const response = await this.client.append(path, message.raw, message.flags, message.internalDate || undefined);
+        if (!response) {
+          throw new ImapError(`Failed to append message ${count} to ${folder}`);
+        }
+
+        result.imported++;
+        if (message.uid !== null) {
+          result.lastUid = message.uid;
+        }
+        progress.imported = result.imported;
+        progress.cursor = this.#encodeImportCursor({ count, uid: result.lastUid });
+      }
+
+      return result;
+    }, { folder }, options);
+  }
+
+  /**
+   * Encode an import position as an opaque cursor string
+   *
+   * @private
+   * @param {Object} position - Object with count (messages read from the source) and uid (last X-UID or null)
+   * @returns {string} - Cursor string
+   */
+  #encodeImportCursor({ count, uid }) {
+    return Buffer.from(JSON.stringify({ c: count, u: uid })).toString('base64url');
+  }
+
+  /**
+   * Decode a cursor string created by #encodeImportCursor
+   *
+   * @private
+   * @param {string} cursor - Cursor string
+   * @returns {Object} - Object with count and uid
+   * @throws {ImapError} - If the cursor is malformed
+   */
+  #decodeImportCursor(cursor) {
+    let position;
+    try {
+      position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch (error) {
+      position = null;
+    }
+
+    if (!position || !Number.isInteger(position.c) || (position.u !== null && !Number.isInteger(position.u))) {
+      throw new ImapError('Invalid cursor', { code: 'InvalidCursor' });
+    }
+
+    return { count: position.c, uid: position.u };
+  }
+
+  /**
+   * Sort the leaf nodes of a body structure into text bodies, HTML bodies,
+   * inline parts and attachments
+   *
+   * @private
+   * @param {Object} bodyStructure - Body structure as returned by ImapFlow
+   * @returns {Object} - Object with text, html, inline and attachments arrays
+   */
+  #classifyParts(bodyStructure) {
+    const parts = { text: [], html: [], inline: [], attachments: [] };
+
+    const walk = (node) => {
+      // Embedded messages are reported as attachments, not descended into
+      if (node.childNodes && node.type !== 'message/rfc822') {
+        node.childNodes.forEach(walk);
+        return;
+      }
+
+      const filename =
+        (node.dispositionParameters && node.dispositionParameters.filename) ||
+        (node.parameters && node.parameters.name) ||
+        null;
+      const isBody =
+        ['text/plain', 'text/html'].includes(node.type) &&
+        node.disposition !== 'attachment' &&
+        !filename;
+
+      if (isBody) {
+        parts[node.type === 'text/html' ? 'html' : 'text'].push(node.part || '1');
+        return;
+      }
+
+      const entry = {
+        part: node.part || '1',
+        filename,
+        contentType: node.type,
+        size: node.size || 0,
+        contentId: node.id ? node.id.replace(/^<|>$/g, '') : null,
+      };
+
+      if (node.disposition === 'inline' || (node.id && node.disposition !== 'attachment')) {
+        parts.inline.push(entry);
+      } else {
+        parts.attachments.push(entry);
+      }
+    };
+
+    if (bodyStructure) {
+      walk(bodyStructure);
+    }
+
+    return parts;
+  }
+
+  /**
+   * Download and decode text parts of a message, joining them with newlines
+   *
+   * @private
+   * @param {number} uid - UID of the message in the currently locked mailbox
+   * @param {Array<string>} partNumbers - Body part numbers to download
+   * @returns {Promise<string|null>} - Decoded text or null if there are no parts
+   */
+  async #downloadText(uid, partNumbers) {
+    if (!partNumbers.length) {
+      return null;
+    }
+
+    const texts = [];
+
+    for (const part of partNumbers) {
+      // ImapFlow decodes the transfer encoding and converts the charset to UTF-8
+      const { content } = await this.client.download(uid, part, { uid: true });
+
+      if (!content) {
+        continue;
+      }
+
+      const chunks = [];
+      for await (const chunk of content) {
+        chunks.push(chunk);
+      }
+      texts.push(Buffer.concat(chunks).toString('utf8'));
     }
+
+    return texts.join('\n');
+  }
+}
+
+/**
+ * Order messages by internal date, oldest first
+ *
+ * @private
+ * @param {Object} a - Message with internalDate
+ * @param {Object} b - Message with internalDate
+ * @returns {number} - Sort order, 0 for equal dates
+ */
+function compareAge(a, b) {
+  const dateA = a.internalDate ? a.internalDate.getTime() : 0;
+  const dateB = b.internalDate ? b.internalDate.getTime() : 0;
+  return dateA - dateB;
+}
+
+/**
+ * UIDs of the messages in a tree returned by parseThreadList
+ *
+ * @private
+ * @param {Object} tree - Node with uid and children
+ * @returns {Array<number>} - UIDs, parents before their children
+ */
+function threadUids(tree) {
+  return (tree.uid ? [tree.uid] : []).concat(...tree.children.map(threadUids));
+}
+
+/**
+ * Write a chunk to a stream, waiting for it to drain when its buffer is full
+ *
+ * @private
+ * @param {Writable} stream - Stream to write to
+ * @param {Buffer} chunk - Data to write
+ * @returns {Promise<void>}
+ * @throws {Error} - If the stream fails while draining
+ */
+async function writeChunk(stream, chunk) {
+  if (!stream.write(chunk)) {
+    await once(stream, 'drain');
   }
 }
 
@@ -547,18 +3316,54 @@ let clientInstances = new Map();
  * Get a cached IMAP client instance or create a new one
  *
  * @param {Object} config - IMAP connection configuration
+ * @param {Object} config.auth - Authentication details (see ImapClient). Also replaces the credentials of a cached instance,
+ *   which are used from its next reconnect on
+ * @param {Object|false} config.logger - Logger to use (see ImapClient). Also replaces the logger of a cached instance
+ * @param {Function} config.credentialsProvider - Credentials provider (see ImapClient). Clients are cached per provider,
+ *   and a client whose credentials were rejected is replaced by a new one
  * @returns {ImapClient} - IMAP client instance
  */
 export function getImapClient(config) {
-  const key = `${config.host}:${config.port}:${config.auth.user}`;
-
-  if (!clientInstances.has(key)) {
+  // Clients with a credentials provider only learn their user on connect
+  const key = config.credentialsProvider || `${config.host}:${config.port}:${config.auth.user}`;
+  const cached = clientInstances.get(key);
+
+  if (!cached || cached.authFailed) {
+    // Rebuild clients whose credentials were rejected, instead of reusing stale credentials
+    if (cached) {
+      cached.disconnect().catch(() => {});
+    }
     clientInstances.set(key, new ImapClient(config));
+  } else {
+    // Rotated passwords or tokens are used from the next (re)connect on
+    if (config.auth && !config.credentialsProvider) {
+      cached.config = { ...cached.config, auth: config.auth };
+    }
+    if (config.logger !== undefined) {
+      cached.setLogger(config.logger);
+    }
   }
 
   return clientInstances.get(key);
 }
 
+/**
+ * Create an AbortSignal that fires shortly before a Lambda invocation times out
+ *
+ * Pass the signal to any ImapClient method, so that a long operation is
+ * aborted, and the connection logged out, while there is still time left to
+ * return a response.
+ *
+ * @param {Object} context - Lambda context object
+ * @param {Object} [options] - Signal options
+ * @param {number} [options.margin] - Time in ms to keep in reserve before the Lambda timeout (default: 2000)
+ * @returns {AbortSignal} - Signal that aborts when the remaining time drops below the margin
+ */
+export function signalFromContext(context, options = {}) {
+  const margin = options.margin ?? 2000;
+  return AbortSignal.timeout(Math.max(context.getRemainingTimeInMillis() - margin, 0));
+}
+
 /**
  * Clear all cached IMAP client instances
  *
@@ -571,7 +3376,7 @@ export async function clearImapClientCache() {
     disconnectPromises.push(
       client
         .disconnect()
-        .catch((err) => console.error("Error disconnecting client:", err))
+        .catch((err) => client.logger.error({ msg: 'Error disconnecting client', err }))
     );
   }
 
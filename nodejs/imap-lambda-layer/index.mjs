@@ -5,10 +5,45 @@
  * It provides simplified IMAP operations for common tasks.
  */
 
-import { ImapClient, getImapClient, clearImapClientCache } from './imap-client.mjs';
+import { ImapClient, getImapClient, clearImapClientCache, signalFromContext } from './imap-client.mjs';
+import {
+  ImapError,
+  ImapAuthError,
+  ImapConnectionError,
+  MailboxNotFoundError,
+  MessageNotFoundError,
+  ImapTimeoutError,
+  ImapQuotaError
+} from './errors.mjs';
+import { createLogger } from './logger.mjs';
+import { envCredentials, fileCredentials, secretsManagerCredentials } from './credentials.mjs';
+import { createImapHandler } from './handler.mjs';
+import { createSesReceiptHandler, parseSesEvent } from './ses.mjs';
+import { memoryStateStore, fileStateStore, dynamoDbStateStore } from './state-store.mjs';
+import { applyRules, validateRules } from './rules.mjs';
 
 export {
   ImapClient,
   getImapClient,
-  clearImapClientCache
+  clearImapClientCache,
+  signalFromContext,
+  createImapHandler,
+  createSesReceiptHandler,
+  parseSesEvent,
+  applyRules,
+  validateRules,
+  ImapError,
+  ImapAuthError,
+  ImapConnectionError,
+  MailboxNotFoundError,
+  MessageNotFoundError,
+  ImapTimeoutError,
+  ImapQuotaError,
+  createLogger,
+  envCredentials,
+  fileCredentials,
+  secretsManagerCredentials,
+  memoryStateStore,
+  fileStateStore,
+  dynamoDbStateStore
 };
@@ -0,0 +1,293 @@
+/**
+ * IMAP Logger
+ *
+ * A minimal structured logger that writes one JSON object per line, which is
+ * what CloudWatch Logs Insights expects. Entries are redacted before they are
+ * written so that addresses, subjects and credentials do not end up in logs.
+ */
+
+/**
+ * Log levels in order of severity
+ */
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+/**
+ * Keys whose values are always credentials
+ */
+const CREDENTIAL_KEYS = new Set([
+  'pass',
+  'password',
+  'accesstoken',
+  'refreshtoken',
+  'token',
+  'secret',
+  'clientsecret',
+  'authorization',
+]);
+
+/**
+ * Keys whose values are message subjects
+ */
+const SUBJECT_KEYS = new Set(['subject']);
+
+const ADDRESS_PATTERN = /[^\s<>()[\]"',;:]+@[^\s<>()[\]"',;:]+\.[^\s<>()[\]"',;:]+/g;
+
+// SEARCH SUBJECT "..." and LOGIN/AUTHENTICATE arguments in protocol lines
+const SUBJECT_COMMAND_PATTERN = /(\bSUBJECT\s+)("(?:[^"\\]|\\.)*"|\S+)/gi;
+const CREDENTIAL_COMMAND_PATTERN = /(\b(?:LOGIN\s+\S+|AUTHENTICATE\s+\S+)\s+)(.+)$/i;
+// ENVELOPE (...) in FETCH responses, which holds the subject and every address
+const ENVELOPE_PATTERN = /\bENVELOPE\s*\(/gi;
+
+const REDACTED = '[REDACTED]';
+
+/**
+ * Create a JSON-lines logger
+ *
+ * @param {Object} [options] - Logger options
+ * @param {string} [options.level] - Minimum level to write: debug, info, warn or error (default: IMAP_LOG_LEVEL or "info")
+ * @param {Object} [options.redact] - What to redact from entries
+ * @param {boolean} [options.redact.addresses] - Mask email addresses (default: true)
+ * @param {boolean} [options.redact.subjects] - Mask message subjects (default: true)
+ * @param {boolean} [options.redact.credentials] - Mask passwords and tokens (default: true)
+ * @param {Object} [options.fields] - Fields added to every entry, e.g. {component: "imap"}
+ * @param {Function} [options.write] - Function receiving each line (default: writes to stdout)
+ * @returns {Object} - Logger with debug, info, warn and error methods
+ */
+export function createLogger(options = {}) {
+  const level = (options.level || process.env.IMAP_LOG_LEVEL || 'info').toLowerCase();
+  const threshold = LEVELS.indexOf(level);
+  if (threshold < 0) {
+    throw new TypeError(`Unknown log level ${level}, expected one of ${LEVELS.join(', ')}`);
+  }
+
+  const redact = { addresses: true, subjects: true, credentials: true, ...options.redact };
+  const fields = options.fields || {};
+  const write = options.write || ((line) => process.stdout.write(`${line}\n`));
+
+  const logger = {};
+  for (const [index, name] of LEVELS.entries()) {
+    logger[name] = (entry, ...args) => {
+      if (index < threshold) {
+        return;
+      }
+
+      // Accept both logger.info({msg, ...}) and logger.info('message', {...})
+      let data;
+      if (entry instanceof Error) {
+        data = { msg: entry.message, err: entry };
+      } else if (typeof entry === 'object' && entry !== null) {
+        data = entry;
+      } else {
+        data = { msg: String(entry), ...args[0] };
+      }
+
+      const record = {
+        time: new Date().toISOString(),
+        level: name,
+        ...fields,
+        ...redactValue(data, redact),
+      };
+
+      write(JSON.stringify(record));
+    };
+  }
+
+  return logger;
+}
+
+/**
+ * Create a logger that can be passed to ImapFlow
+ *
+ * The logger is looked up on every call, so that replacing the logger of a
+ * client also applies to the ImapFlow connection it already created.
+ * ImapFlow also calls trace and fatal. Trace entries carry every FETCH
+ * response, including message content, and are only forwarded when the
+ * logger implements trace itself. Fatal entries are logged as errors.
+ *
+ * @param {Function} getLogger - Function returning the current logger
+ * @returns {Object} - Logger accepted by ImapFlow
+ */
+export function toImapFlowLogger(getLogger) {
+  const forward = (level) => (entry) => {
+    const logger = getLogger();
+    if (typeof logger[level] === 'function') {
+      logger[level]({ component: 'imapflow', ...entry });
+    }
+  };
+
+  return {
+    trace: forward('trace'),
+    debug: forward('debug'),
+    info: forward('info'),
+    warn: forward('warn'),
+    error: forward('error'),
+    fatal: forward('error'),
+  };
+}
+
+/**
+ * A logger that discards every entry
+ */
+export const silentLogger = {
+  debug() {},
+  info() {},
+  warn() {},
+  error() {},
+};
+
+/**
+ * Redact a value according to the redaction options
+ *
+ * @private
+ * @param {*} value - Value to redact
+ * @param {Object} redact - Redaction options
+ * @param {string} [key] - Key the value is stored under
+ * @param {number} [depth] - Nesting depth, to stop on circular structures
+ * @returns {*} - Redacted copy of the value
+ */
+function redactValue(value, redact, key = '', depth = 0) {
+  const lowerKey = key.toLowerCase();
+
+  if (value === null || value === undefined) {
+    return value;
+  }
+
+  if (redact.credentials && CREDENTIAL_KEYS.has(lowerKey)) {
+    return REDACTED;
+  }
+
+  if (redact.subjects && SUBJECT_KEYS.has(lowerKey)) {
+    return REDACTED;
+  }
+
+  if (typeof value === 'string') {
+    return redactString(value, redact);
+  }
+
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+
+  if (Buffer.isBuffer(value)) {
+    return `(${value.length}B buffer)`;
+  }
+
+  if (typeof value !== 'object') {
+    return value;
+  }
+
+  if (depth > 8) {
+    return '[Truncated]';
+  }
+
+  if (value instanceof Error) {
+    const error = { name: value.name, message: redactString(value.message, redact) };
+    for (const prop of ['code', 'retryable', 'serverResponseCode']) {
+      if (value[prop] !== undefined) {
+        error[prop] = value[prop];
+      }
+    }
+    if (value.stack) {
+      error.stack = redactString(value.stack, redact);
+    }
+    return error;
+  }
+
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item) => redactValue(item, redact, key, depth + 1));
+  }
+
+  if (value instanceof Set) {
+    return Array.from(value, (item) => redactValue(item, redact, key, depth + 1));
+  }
+
+  const result = {};
+  for (const [name, item] of Object.entries(value)) {
+    result[name] = redactValue(item, redact, name, depth + 1);
+  }
+  return result;
+}
+
+/**
+ * Redact addresses, subjects and credentials inside free text, such as IMAP protocol lines
+ *
+ * @private
+ * @param {string} value - Text to redact
+ * @param {Object} redact - Redaction options
+ * @returns {string} - Redacted text
+ */
+function redactString(value, redact) {
+  let result = value;
+
+  if (redact.credentials) {
+    result = result.replace(CREDENTIAL_COMMAND_PATTERN, `$1${REDACTED}`);
+  }
+
+  if (redact.subjects || redact.addresses) {
+    result = redactEnvelopes(result);
+  }
+
+  if (redact.subjects) {
+    result = result.replace(SUBJECT_COMMAND_PATTERN, `$1"${REDACTED}"`);
+  }
+
+  if (redact.addresses) {
+    result = result.replace(ADDRESS_PATTERN, REDACTED);
+  }
+
+  return result;
+}
+
+/**
+ * Replace the contents of ENVELOPE lists in FETCH responses
+ *
+ * The list ends at its balanced closing parenthesis. Parentheses inside
+ * quoted strings and literals do not count, and a list cut off by the end
+ * of the text is redacted up to the end.
+ *
+ * @private
+ * @param {string} value - Text to redact
+ * @returns {string} - Text with every envelope replaced
+ */
+function redactEnvelopes(value) {
+  let result = '';
+  let last = 0;
+
+  for (const match of value.matchAll(ENVELOPE_PATTERN)) {
+    if (match.index < last) {
+      continue;
+    }
+
+    let depth = 0;
+    let end = match.index + match[0].length - 1;
+    for (; end < value.length; end++) {
+      const char = value[end];
+      if (char === '"') {
+        // Skip the quoted string, including escaped quotes
+        for (end++; end < value.length && value[end] !== '"'; end++) {
+          if (value[end] === '\\') {
+            end++;
+          }
+        }
+      } else if (char === '{') {
+        const literal = /^\{(\d+)\+?\}\r?\n/.exec(value.slice(end));
+        if (literal) {
+          end += literal[0].length + Number(literal[1]) - 1;
+        }
+      } else if (char === '(') {
+        depth++;
+      } else if (char === ')' && --depth === 0) {
+        break;
+      }
+    }
+
+    result += `${value.slice(last, match.index)}ENVELOPE ${REDACTED}`;
+    last = end + 1;
+  }
+
+  return result + value.slice(last);
+}
@@ -0,0 +1,188 @@
+/**
+ * Mbox Format
+ *
+ * Reading and writing of mboxrd files as used by exportFolder and
+ * importMbox. Flags are kept in the Status, X-Status and X-Keywords headers
+ * and the UID in X-UID, as Dovecot and mutt do, and the internal date in the
+ * "From " separator line. These headers are removed again on import.
+ *
+ * Messages are handled as latin1 strings, which map every byte to one
+ * character, so that 8-bit content passes through unchanged.
+ */
+
+/**
+ * System flags stored in the X-Status header, by their letter
+ */
+const X_STATUS_FLAGS = {
+  A: '\\Answered',
+  F: '\\Flagged',
+  T: '\\Draft',
+  D: '\\Deleted',
+};
+
+const FLAG_HEADERS = ['status', 'x-status', 'x-keywords', 'x-uid'];
+
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Format a message as an mbox entry
+ *
+ * @param {Object} message - Message to format
+ * @param {Buffer} message.source - Raw RFC 822 message
+ * @param {Array<string>} [message.flags] - Flags and keywords of the message
+ * @param {Date} [message.internalDate] - Internal date, written to the "From " line (default: now)
+ * @param {number} [message.uid] - UID, written to the X-UID header
+ * @param {string} [message.sender] - Envelope sender for the "From " line (default: "MAILER-DAEMON")
+ * @returns {Buffer} - Mbox entry, ending with an empty line
+ */
+export function formatMboxEntry(message) {
+  const flags = message.flags || [];
+  const headers = [];
+
+  if (message.uid) {
+    headers.push(`X-UID: ${message.uid}`);
+  }
+  headers.push(`Status: ${flags.includes('\\Seen') ? 'RO' : 'O'}`);
+
+  const xStatus = Object.entries(X_STATUS_FLAGS)
+    .filter(([, flag]) => flags.includes(flag))
+    .map(([letter]) => letter)
+    .join('');
+  if (xStatus) {
+    headers.push(`X-Status: ${xStatus}`);
+  }
+
+  const keywords = flags.filter((flag) => !flag.startsWith('\\'));
+  if (keywords.length) {
+    headers.push(`X-Keywords: ${keywords.join(' ')}`);
+  }
+
+  const body = message.source
+    .toString('latin1')
+    .replace(/\r\n/g, '\n')
+    // mboxrd: quote "From " lines, and lines that already are quoted
+    .replace(/^(>*From )/gm, '>$1')
+    .replace(/\n*$/, '\n');
+
+  const separator = `From ${message.sender || 'MAILER-DAEMON'} ${asctime(message.internalDate || new Date())}`;
+
+  return Buffer.from(`${separator}\n${headers.join('\n')}\n${body}\n`, 'latin1');
+}
+
+/**
+ * Read the messages of an mbox file
+ *
+ * @param {Readable|AsyncIterable|Buffer|string} source - Mbox content
+ * @returns {AsyncGenerator<Object>} - Messages with raw (Buffer with CRLF line endings), flags, internalDate and uid
+ *   (null without X-UID header)
+ */
+export async function* parseMbox(source) {
+  const chunks = Buffer.isBuffer(source) || typeof source === 'string' ? [source] : source;
+
+  let rest = '';
+  let separator = null;
+  let lines = [];
+  let previousBlank = true;
+
+  for await (const chunk of chunks) {
+    const text = rest + (Buffer.isBuffer(chunk) ? chunk.toString('latin1') : Buffer.from(chunk).toString('latin1'));
+    const parts = text.split('\n');
+    rest = parts.pop();
+
+    for (const part of parts) {
+      const line = part.replace(/\r$/, '');
+
+      if (previousBlank && line.startsWith('From ')) {
+        if (separator !== null) {
+          yield toMessage(separator, lines);
+        }
+        separator = line;
+        lines = [];
+      } else if (separator !== null) {
+        lines.push(line);
+      }
+
+      previousBlank = line === '';
+    }
+  }
+
+  if (rest) {
+    lines.push(rest.replace(/\r$/, ''));
+  }
+  if (separator !== null) {
+    yield toMessage(separator, lines);
+  }
+}
+
+/**
+ * Turn the lines of an mbox entry back into a message
+ *
+ * @private
+ * @param {string} separator - "From " line
+ * @param {Array<string>} lines - Lines after the "From " line
+ * @returns {Object} - Message with raw, flags, internalDate and uid
+ */
+function toMessage(separator, lines) {
+  // The empty line before the next "From " line belongs to the mbox format
+  if (lines.length && lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+
+  const flags = [];
+  let uid = null;
+  let inHeaders = true;
+  const kept = [];
+
+  for (const line of lines) {
+    if (inHeaders && line === '') {
+      inHeaders = false;
+    }
+
+    const separatorIndex = inHeaders ? line.indexOf(':') : -1;
+    const name = separatorIndex > 0 ? line.slice(0, separatorIndex).toLowerCase() : null;
+
+    if (name && FLAG_HEADERS.includes(name)) {
+      const value = line.slice(separatorIndex + 1).trim();
+      if (name === 'status' && value.includes('R')) {
+        flags.push('\\Seen');
+      } else if (name === 'x-status') {
+        for (const letter of value) {
+          if (X_STATUS_FLAGS[letter]) {
+            flags.push(X_STATUS_FLAGS[letter]);
+          }
+        }
+      } else if (name === 'x-keywords') {
+        flags.push(...value.split(/[\s,]+/).filter(Boolean));
+      } else if (name === 'x-uid' && /^\d+$/.test(value)) {
+        uid = Number(value);
+      }
+      continue;
+    }
+
+    kept.push(inHeaders ? line : line.replace(/^>(>*From )/, '$1'));
+  }
+
+  const date = new Date(`${separator.split(' ').slice(2).join(' ')} UTC`);
+
+  return {
+    raw: Buffer.from(kept.join('\r\n') + '\r\n', 'latin1'),
+    flags,
+    internalDate: isNaN(date) ? null : date,
+    uid,
+  };
+}
+
+/**
+ * Format a date as in the "From " line, e.g. "Thu Oct  2 09:15:00 2025" (UTC)
+ *
+ * @private
+ * @param {Date} date - Date to format
+ * @returns {string} - Formatted date
+ */
+function asctime(date) {
+  const pad = (value) => String(value).padStart(2, '0');
+  const time = `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())}`;
+
+  return `${DAYS[date.getUTCDay()]} ${MONTHS[date.getUTCMonth()]} ${String(date.getUTCDate()).padStart(2, ' ')} ${time} ${date.getUTCFullYear()}`;
+}
@@ -0,0 +1,467 @@
+/**
+ * IMAP Filing Rules
+ *
+ * A small rules engine that files messages according to a JSON rule set.
+ * Rules are checked in order against every message. The actions of each
+ * matching rule run in order, until an action removes the message from the
+ * folder (move, delete) or a stop action ends the evaluation.
+ */
+
+/**
+ * Condition names accepted in `when`
+ */
+const CONDITIONS = ['header', 'senderDomain', 'subject', 'size', 'sesVerdict'];
+
+/**
+ * Action types and whether they remove the message from the folder
+ */
+const ACTIONS = {
+  move: true,
+  copy: false,
+  flag: false,
+  delete: true,
+  stop: false,
+};
+
+/**
+ * SES verdicts, mapped to the header that reports them or the Authentication-Results method
+ */
+const SES_VERDICT_HEADERS = {
+  spam: 'x-ses-spam-verdict',
+  virus: 'x-ses-virus-verdict',
+};
+const AUTHENTICATION_METHODS = ['spf', 'dkim', 'dmarc'];
+
+/**
+ * Validate a rule set and compile its patterns
+ *
+ * @param {Array<Object>|Object} ruleSet - Array of rules, or an object with a rules array
+ * @returns {Array<Object>} - Compiled rules
+ * @throws {TypeError} - If a rule, condition or action is malformed
+ */
+export function validateRules(ruleSet) {
+  const rules = Array.isArray(ruleSet) ? ruleSet : ruleSet && ruleSet.rules;
+
+  if (!Array.isArray(rules) || !rules.length) {
+    throw new TypeError('Rule set must be a non-empty array of rules');
+  }
+
+  return rules.map((rule, i) => {
+    const path = `rules[${i}]`;
+
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      throw new TypeError(`${path} must be an object`);
+    }
+
+    return {
+      name: rule.name || path,
+      when: compileConditions(rule.when || {}, `${path}.when`),
+      actions: validateActions(rule.actions, `${path}.actions`),
+    };
+  });
+}
+
+/**
+ * Apply a rule set to the messages of a folder
+ *
+ * Matching actions are grouped, so that each group of messages with the same
+ * action is handled with a single command. Target folders are created with
+ * folderMake before anything is moved or copied. In dry-run mode nothing is
+ * changed and every action is reported as "planned".
+ *
+ * @param {ImapClient} client - IMAP client
+ * @param {string} folder - Folder to apply the rules to
+ * @param {Array<Object>|Object} ruleSet - Rule set, see validateRules
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.dryRun] - Report what would happen without changing anything (default: false)
+ * @param {Object} [options.criteria] - Search criteria selecting the messages, as for searchMessages (default: all)
+ * @param {number} [options.limit] - Maximum number of messages to process, newest first (default: 50)
+ * @param {AbortSignal} [options.signal] - Abort signal, see CallOptions
+ * @param {number|Date} [options.deadline] - Deadline, see CallOptions
+ * @returns {Promise<Object>} - Report with folder, dryRun, folders (target folders with a created flag, or a
+ *   wouldCreate flag in dry-run mode) and messages
+ *   ({uid, messageId, matched, actions}), where each action has a status "planned", "done", "not_found",
+ *   "failed" or "skipped"
+ */
+export async function applyRules(client, folder, ruleSet, options = {}) {
+  const rules = validateRules(ruleSet);
+  const dryRun = options.dryRun || false;
+  const callOptions = { signal: options.signal, deadline: options.deadline };
+
+  const headers = new Set();
+  for (const rule of rules) {
+    for (const condition of rule.when.header || []) {
+      headers.add(condition.name);
+    }
+    if (rule.when.sesVerdict) {
+      Object.values(SES_VERDICT_HEADERS).forEach((name) => headers.add(name));
+      headers.add('authentication-results');
+    }
+  }
+
+  const messages = await client.searchMessages(folder, options.criteria || {}, {
+    ...callOptions,
+    limit: options.limit || 50,
+    headers: Array.from(headers),
+  });
+
+  const report = messages.map((message) => {
+    const entry = { uid: message.uid, messageId: message.messageId, matched: [], actions: [] };
+
+    for (const rule of rules) {
+      if (!matches(rule.when, message)) {
+        continue;
+      }
+      entry.matched.push(rule.name);
+
+      let stopped = false;
+      for (const action of rule.actions) {
+        if (action.type === 'stop' || ACTIONS[action.type]) {
+          stopped = true;
+        }
+        if (action.type !== 'stop') {
+          entry.actions.push({ ...action, status: 'planned' });
+        }
+        if (stopped) {
+          break;
+        }
+      }
+      if (stopped) {
+        break;
+      }
+    }
+
+    return entry;
+  });
+
+  const targets = new Set();
+  for (const entry of report) {
+    for (const action of entry.actions) {
+      if (action.folder) {
+        targets.add(action.folder);
+      }
+    }
+  }
+
+  const folders = [];
+  for (const target of targets) {
+    const exists = await client.folderExists(target, callOptions);
+    if (dryRun) {
+      folders.push({ path: target, wouldCreate: !exists });
+      continue;
+    }
+    if (!exists) {
+      await client.folderMake(target, callOptions);
+    }
+    folders.push({ path: target, created: !exists });
+  }
+
+  if (!dryRun) {
+    await runActions(client, folder, report, callOptions);
+  }
+
+  return { folder, dryRun, folders, messages: report };
+}
+
+/**
+ * Run the planned actions, the n-th action of every message in the n-th round
+ *
+ * @private
+ * @param {ImapClient} client - IMAP client
+ * @param {string} folder - Folder the messages are in
+ * @param {Array<Object>} report - Report entries with planned actions, updated with the outcome
+ * @param {Object} callOptions - Signal and deadline
+ * @returns {Promise<void>}
+ */
+async function runActions(client, folder, report, callOptions) {
+  const rounds = Math.max(0, ...report.map((entry) => entry.actions.length));
+
+  for (let round = 0; round < rounds; round++) {
+    const groups = new Map();
+
+    for (const entry of report) {
+      const action = entry.actions[round];
+      if (!action) {
+        continue;
+      }
+
+      // Later actions of a message depend on the earlier ones
+      if (round > 0 && entry.actions[round - 1].status !== 'done') {
+        action.status = 'skipped';
+        continue;
+      }
+
+      const key = JSON.stringify([action.type, action.folder, action.flags]);
+      if (!groups.has(key)) {
+        groups.set(key, { action, entries: [] });
+      }
+      groups.get(key).entries.push(entry);
+    }
+
+    for (const { action, entries } of groups.values()) {
+      const uids = entries.map((entry) => entry.uid);
+      const outcomes = new Map();
+
+      try {
+        let items;
+        switch (action.type) {
+          case 'move':
+            items = await client.moveMessages(folder, action.folder, uids, callOptions);
+            break;
+          case 'copy':
+            items = await client.copyMessages(folder, action.folder, uids, callOptions);
+            break;
+          case 'delete':
+            items = await client.deleteMessages(folder, uids, callOptions);
+            break;
+          case 'flag':
+            await client.addFlags(folder, uids, action.flags, callOptions);
+            items = uids.map((uid) => ({ uid, status: 'done' }));
+            break;
+        }
+
+        for (const item of items) {
+          outcomes.set(item.identifier ?? item.uid, item);
+        }
+      } catch (error) {
+        // A timeout or lost connection ends the run, the report so far is attached to the error
+        if (error.retryable) {
+          error.details = { ...error.details, report };
+          throw error;
+        }
+        uids.forEach((uid) => outcomes.set(uid, { status: 'failed', reason: error.message }));
+      }
+
+      for (const entry of entries) {
+        const outcome = outcomes.get(entry.uid) || { status: 'failed', reason: 'No result for message' };
+        const target = entry.actions[round];
+
+        target.status = outcome.status === 'not_found' || outcome.status === 'failed' ? outcome.status : 'done';
+        if (outcome.reason) {
+          target.reason = outcome.reason;
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Check the conditions of a rule against a message summary
+ *
+ * @private
+ * @param {Object} when - Compiled conditions
+ * @param {Object} message - Message summary with headers
+ * @returns {boolean} - True if every condition matches
+ */
+function matches(when, message) {
+  if (when.header) {
+    for (const { name, regex } of when.header) {
+      if (!(message.headers[name] || []).some((value) => regex.test(value))) {
+        return false;
+      }
+    }
+  }
+
+  if (when.senderDomain) {
+    const domains = message.from.map((address) => (address.address || '').split('@').pop().toLowerCase());
+    const match = domains.some((domain) =>
+      when.senderDomain.some((expected) => domain === expected || domain.endsWith(`.${expected}`))
+    );
+    if (!match) {
+      return false;
+    }
+  }
+
+  if (when.subject && !when.subject.test(message.subject || '')) {
+    return false;
+  }
+
+  if (when.size) {
+    const size = message.size || 0;
+    if ((when.size.min !== undefined && size < when.size.min) || (when.size.max !== undefined && size > when.size.max)) {
+      return false;
+    }
+  }
+
+  if (when.sesVerdict) {
+    const verdicts = sesVerdicts(message.headers);
+    for (const [name, expected] of Object.entries(when.sesVerdict)) {
+      if (!expected.includes(verdicts[name])) {
+        return false;
+      }
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Read the SES verdicts from the headers SES adds to received messages
+ *
+ * @private
+ * @param {Object} headers - Headers by lowercase name
+ * @returns {Object} - Uppercase verdicts by name (spam, virus, spf, dkim, dmarc), null where not reported
+ */
+function sesVerdicts(headers) {
+  const verdicts = {};
+
+  for (const [name, header] of Object.entries(SES_VERDICT_HEADERS)) {
+    const value = (headers[header] || [])[0];
+    verdicts[name] = value ? value.trim().toUpperCase() : null;
+  }
+
+  const results = (headers['authentication-results'] || []).find((value) => /^\s*amazonses\.com\b/i.test(value)) || '';
+  for (const method of AUTHENTICATION_METHODS) {
+    const match = new RegExp(`\\b${method}=(\\w+)`, 'i').exec(results);
+    verdicts[method] = match ? match[1].toUpperCase() : null;
+  }
+
+  return verdicts;
+}
+
+/**
+ * Validate and compile the conditions of a rule
+ *
+ * @private
+ * @param {Object} when - Conditions
+ * @param {string} path - Location of the conditions, used in error messages
+ * @returns {Object} - Compiled conditions
+ * @throws {TypeError} - If a condition is malformed
+ */
+function compileConditions(when, path) {
+  if (typeof when !== 'object' || Array.isArray(when)) {
+    throw new TypeError(`${path} must be an object`);
+  }
+
+  const compiled = {};
+
+  for (const [key, value] of Object.entries(when)) {
+    const location = `${path}.${key}`;
+
+    switch (key) {
+      case 'header':
+        compiled.header = [].concat(value).map((condition, i) => {
+          if (!condition || typeof condition.name !== 'string' || !condition.name) {
+            throw new TypeError(`${location}[${i}].name must be a non-empty string`);
+          }
+          // test() with these flags starts where the previous message matched
+          if (/[gy]/.test(condition.flags || '')) {
+            throw new TypeError(`${location}[${i}].flags must not include "g" or "y"`);
+          }
+          return {
+            name: condition.name.toLowerCase(),
+            regex: compilePattern(condition.pattern, condition.flags, `${location}[${i}].pattern`),
+          };
+        });
+        break;
+
+      case 'senderDomain':
+        compiled.senderDomain = [].concat(value).map((domain, i) => {
+          if (typeof domain !== 'string' || !domain) {
+            throw new TypeError(`${location}[${i}] must be a non-empty string`);
+          }
+          return domain.toLowerCase().replace(/^@/, '');
+        });
+        break;
+
+      case 'subject':
+        compiled.subject = compilePattern(value, undefined, location);
+        break;
+
+      case 'size':
+        if (!value || typeof value !== 'object') {
+          throw new TypeError(`${location} must be an object with min and/or max`);
+        }
+        for (const bound of ['min', 'max']) {
+          if (value[bound] !== undefined && (typeof value[bound] !== 'number' || value[bound] < 0)) {
+            throw new TypeError(`${location}.${bound} must be a non-negative number`);
+          }
+        }
+        compiled.size = { min: value.min, max: value.max };
+        break;
+
+      case 'sesVerdict':
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+          throw new TypeError(`${location} must be an object of verdict statuses`);
+        }
+        compiled.sesVerdict = {};
+        for (const [name, status] of Object.entries(value)) {
+          if (!SES_VERDICT_HEADERS[name] && !AUTHENTICATION_METHODS.includes(name)) {
+            throw new TypeError(`Unknown verdict "${location}.${name}", expected one of: spam, virus, spf, dkim, dmarc`);
+          }
+          compiled.sesVerdict[name] = [].concat(status).map((entry) => String(entry).toUpperCase());
+        }
+        break;
+
+      default:
+        throw new TypeError(`Unknown condition "${location}", expected one of: ${CONDITIONS.join(', ')}`);
+    }
+  }
+
+  return compiled;
+}
+
+/**
+ * Compile a case-insensitive regular expression
+ *
+ * @private
+ * @param {string} pattern - Regular expression source
+ * @param {string} [flags] - Regular expression flags (default: "i")
+ * @param {string} location - Location of the pattern, used in error messages
+ * @returns {RegExp} - Compiled expression
+ * @throws {TypeError} - If the pattern is not a valid regular expression
+ */
+function compilePattern(pattern, flags, location) {
+  if (typeof pattern !== 'string' || !pattern) {
+    throw new TypeError(`${location} must be a non-empty string`);
+  }
+
+  try {
+    return new RegExp(pattern, flags ?? 'i');
+  } catch (error) {
+    throw new TypeError(`${location} is not a valid regular expression: ${error.message}`);
+  }
+}
+
+/**
+ * Validate the actions of a rule
+ *
+ * @private
+ * @param {Array<Object>} actions - Actions
+ * @param {string} path - Location of the actions, used in error messages
+ * @returns {Array<Object>} - Actions reduced to type, folder and flags
+ * @throws {TypeError} - If an action is malformed, or follows an action that removes the message
+ */
+function validateActions(actions, path) {
+  if (!Array.isArray(actions) || !actions.length) {
+    throw new TypeError(`${path} must be a non-empty array of actions`);
+  }
+
+  return actions.map((action, i) => {
+    const location = `${path}[${i}]`;
+
+    if (!action || !Object.hasOwn(ACTIONS, action.type)) {
+      throw new TypeError(`${location}.type must be one of: ${Object.keys(ACTIONS).join(', ')}`);
+    }
+
+    if (i > 0 && ACTIONS[actions[i - 1].type]) {
+      throw new TypeError(`${location} follows ${actions[i - 1].type}, which removes the message from the folder`);
+    }
+
+    if (action.type === 'move' || action.type === 'copy') {
+      if (typeof action.folder !== 'string' || !action.folder) {
+        throw new TypeError(`${location}.folder must be a non-empty string`);
+      }
+      return { type: action.type, folder: action.folder };
+    }
+
+    if (action.type === 'flag') {
+      if (!Array.isArray(action.flags) || !action.flags.length || action.flags.some((flag) => typeof flag !== 'string')) {
+        throw new TypeError(`${location}.flags must be a non-empty array of strings`);
+      }
+      return { type: action.type, flags: action.flags };
+    }
+
+    return { type: action.type };
+  });
+}
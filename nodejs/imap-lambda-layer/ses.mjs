@@ -0,0 +1,223 @@
+/**
+ * SES Receipt Events
+ *
+ * Helpers for Lambda functions triggered by SES receipt rules, either directly
+ * (Lambda action) or through SNS (SNS action). They find the message SES
+ * delivered in the IMAP mailbox by its SES ID.
+ */
+
+import { getImapClient, signalFromContext } from "./imap-client.mjs";
+
+/**
+ * SES verdicts reported in the receipt, mapped to the receipt property they are read from
+ */
+const VERDICTS = {
+  spam: 'spamVerdict',
+  virus: 'virusVerdict',
+  spf: 'spfVerdict',
+  dkim: 'dkimVerdict',
+  dmarc: 'dmarcVerdict',
+};
+
+/**
+ * Extract the received mails from an SES receipt event or an SNS event wrapping SES notifications
+ *
+ * @param {Object} event - Lambda event
+ * @returns {Array<Object>} - One entry per record with sesId, messageId, timestamp, source, destination,
+ *   subject, verdicts ({spam, virus, spf, dkim, dmarc, dmarcPolicy}) and action
+ * @throws {TypeError} - If the event contains no SES receipt
+ */
+export function parseSesEvent(event) {
+  const records = (event && event.Records) || [];
+  const receipts = [];
+
+  for (const record of records) {
+    let notification = null;
+
+    if (record.eventSource === 'aws:ses' && record.ses) {
+      notification = record.ses;
+    } else if (record.EventSource === 'aws:sns' && record.Sns) {
+      try {
+        notification = JSON.parse(record.Sns.Message);
+      } catch (error) {
+        throw new TypeError(`SNS message is not an SES notification: ${error.message}`);
+      }
+    }
+
+    if (!notification || !notification.mail || !notification.mail.messageId) {
+      throw new TypeError('Event record is not an SES receipt');
+    }
+
+    const { mail, receipt = {} } = notification;
+    const headers = mail.commonHeaders || {};
+
+    const verdicts = {};
+    for (const [name, property] of Object.entries(VERDICTS)) {
+      verdicts[name] = receipt[property] ? receipt[property].status : null;
+    }
+    verdicts.dmarcPolicy = receipt.dmarcPolicy || null;
+
+    receipts.push({
+      sesId: mail.messageId,
+      messageId: headers.messageId || null,
+      timestamp: mail.timestamp || null,
+      source: mail.source || null,
+      destination: mail.destination || [],
+      subject: headers.subject || null,
+      verdicts,
+      action: receipt.action ? receipt.action.type : null,
+    });
+  }
+
+  if (!receipts.length) {
+    throw new TypeError('Event contains no SES receipt records');
+  }
+
+  return receipts;
+}
+
+/**
+ * Create a Lambda handler for SES receipt events that finds each received message in the mailbox
+ *
+ * SES stores or forwards the message at the same time as it invokes the
+ * function, so the message may not have reached the mailbox yet. The search
+ * is repeated with an increasing delay until the message is found, the
+ * attempts are used up or the Lambda is about to time out.
+ *
+ * @param {Object} options - Handler options
+ * @param {Object} options.config - ImapClient configuration, passed to getImapClient on every invocation
+ * @param {string} [options.folder] - Folder the messages are delivered to (default: "INBOX")
+ * @param {number} [options.maxAttempts] - Maximum number of searches per message (default: 5)
+ * @param {number} [options.retryDelay] - Delay in ms before the second search, doubled for every further one (default: 1000)
+ * @param {boolean} [options.scan] - Inspect the newest messages when the server does not find the SES ID in the
+ *   Received headers, see searchMessageBySesId (default: false)
+ * @param {number} [options.maxScan] - Maximum number of messages to inspect per search (default: 500)
+ * @param {number} [options.margin] - Time in ms to keep in reserve before the Lambda timeout (default: 2000)
+ * @param {Function} [options.onMessage] - Async function (client, result, {signal, event, context}) called for
+ *   every message found, e.g. to move spam into the Junk folder
+ * @returns {Function} - Async Lambda handler (event, context) returning {results}, where every result has
+ *   sesId, messageId, uid (null if not found), folder, found, attempts and verdicts
+ */
+export function createSesReceiptHandler(options) {
+  if (!options || !options.config) {
+    throw new TypeError('createSesReceiptHandler requires a config');
+  }
+
+  const folder = options.folder || 'INBOX';
+  const maxAttempts = options.maxAttempts || 5;
+  const retryDelay = options.retryDelay ?? 1000;
+
+  return async (event, context) => {
+    const receipts = parseSesEvent(event);
+    const client = getImapClient(options.config);
+    const signal =
+      context && typeof context.getRemainingTimeInMillis === 'function'
+        ? signalFromContext(context, { margin: options.margin })
+        : undefined;
+
+    const results = [];
+    for (const receipt of receipts) {
+      const result = await locate(client, receipt, {
+        folder,
+        maxAttempts,
+        retryDelay,
+        scan: options.scan,
+        maxScan: options.maxScan,
+        signal,
+      });
+
+      if (result.found && options.onMessage) {
+        await options.onMessage(client, result, { signal, event, context });
+      }
+
+      results.push(result);
+    }
+
+    return { results };
+  };
+}
+
+/**
+ * Search for a received message, retrying while it may still be arriving
+ *
+ * @private
+ * @param {ImapClient} client - IMAP client
+ * @param {Object} receipt - Receipt as returned by parseSesEvent
+ * @param {Object} options - Search options
+ * @returns {Promise<Object>} - Result with sesId, messageId, uid, folder, found, attempts and verdicts
+ */
+async function locate(client, receipt, options) {
+  // IMAP dates have no time, and the mailbox may use another timezone than SES
+  const since = receipt.timestamp ? new Date(Date.parse(receipt.timestamp) - 24 * 60 * 60 * 1000) : undefined;
+
+  const result = {
+    sesId: receipt.sesId,
+    messageId: receipt.messageId,
+    uid: null,
+    folder: options.folder,
+    found: false,
+    attempts: 0,
+    verdicts: receipt.verdicts,
+  };
+
+  while (result.attempts < options.maxAttempts) {
+    if (result.attempts > 0) {
+      const stopped = await wait(options.retryDelay * 2 ** (result.attempts - 1), options.signal);
+      if (stopped) {
+        break;
+      }
+    }
+
+    result.attempts++;
+    const { message } = await client.searchMessageBySesId(options.folder, receipt.sesId, {
+      since,
+      scan: options.scan,
+      maxScan: options.maxScan,
+      signal: options.signal,
+    });
+
+    if (message) {
+      result.uid = message.uid;
+      result.messageId = (message.envelope && message.envelope.messageId) || result.messageId;
+      result.found = true;
+      break;
+    }
+  }
+
+  if (!result.found) {
+    client.logger.warn({ msg: 'SES message not found in mailbox', sesId: receipt.sesId, attempts: result.attempts });
+  }
+
+  return result;
+}
+
+/**
+ * Wait for a delay unless the signal fires first
+ *
+ * @private
+ * @param {number} delay - Delay in ms
+ * @param {AbortSignal} [signal] - Signal that ends the wait early
+ * @returns {Promise<boolean>} - True if the wait was ended by the signal
+ */
+function wait(delay, signal) {
+  if (signal && signal.aborted) {
+    return Promise.resolve(true);
+  }
+
+  return new Promise((resolve) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve(true);
+    };
+    const timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      resolve(false);
+    }, delay);
+
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+}
@@ -0,0 +1,108 @@
+/**
+ * Sync State Stores
+ *
+ * Stores for the state tokens returned by ImapClient.syncMailbox. A store
+ * is an object with async `get(key)` and `set(key, token)` methods, so that
+ * a token can be kept between Lambda invocations. Keys are chosen by the
+ * caller, e.g. the account and folder being synced.
+ */
+
+import { readFile, writeFile, rename } from "node:fs/promises";
+
+/**
+ * Keep tokens in memory
+ *
+ * Tokens survive as long as the Lambda container is reused, which is enough
+ * for tests and for pollers that can afford a full resync after a cold start.
+ *
+ * @returns {Object} - State store
+ */
+export function memoryStateStore() {
+  const tokens = new Map();
+
+  return {
+    async get(key) {
+      return tokens.get(key) ?? null;
+    },
+    async set(key, token) {
+      tokens.set(key, token);
+    },
+  };
+}
+
+/**
+ * Keep tokens in a JSON file, such as on an EFS mount
+ *
+ * The file maps keys to tokens and is replaced atomically on every write.
+ *
+ * @param {string} path - Path of the JSON file, created on the first write
+ * @returns {Object} - State store
+ */
+export function fileStateStore(path) {
+  const load = async () => {
+    try {
+      return JSON.parse(await readFile(path, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+      throw error;
+    }
+  };
+
+  return {
+    async get(key) {
+      return (await load())[key] ?? null;
+    },
+    async set(key, token) {
+      const tokens = await load();
+      tokens[key] = token;
+      // Write to a temporary file first so that readers never see a partial file
+      await writeFile(`${path}.tmp`, JSON.stringify(tokens));
+      await rename(`${path}.tmp`, path);
+    },
+  };
+}
+
+/**
+ * Keep tokens in a DynamoDB table
+ *
+ * Items are read and written through the given functions, so that the layer
+ * does not depend on the AWS SDK and tests can pass stubs. With the AWS SDK v3
+ * document client these are `(params) => client.get(params)` and
+ * `(params) => client.put(params)`.
+ *
+ * @param {Object} options - Store options
+ * @param {string} options.tableName - Name of the table
+ * @param {Function} options.getItem - Async function receiving {TableName, Key} and returning {Item}
+ * @param {Function} options.putItem - Async function receiving {TableName, Item}
+ * @param {string} [options.keyAttribute] - Name of the partition key attribute (default: "pk")
+ * @param {string} [options.tokenAttribute] - Name of the attribute holding the token (default: "state")
+ * @returns {Object} - State store
+ */
+export function dynamoDbStateStore(options) {
+  if (
+    !options ||
+    !options.tableName ||
+    typeof options.getItem !== 'function' ||
+    typeof options.putItem !== 'function'
+  ) {
+    throw new TypeError('dynamoDbStateStore requires a tableName and getItem and putItem functions');
+  }
+
+  const keyAttribute = options.keyAttribute || 'pk';
+  const tokenAttribute = options.tokenAttribute || 'state';
+
+  return {
+    async get(key) {
+      const response = await options.getItem({ TableName: options.tableName, Key: { [keyAttribute]: key } });
+      return (response && response.Item && response.Item[tokenAttribute]) ?? null;
+    },
+    async set(key, token) {
+      await options.putItem({
+        TableName: options.tableName,
+        Item: { [keyAttribute]: key, [tokenAttribute]: token, updatedAt: new Date().toISOString() },
+      });
+    },
+  };
+}
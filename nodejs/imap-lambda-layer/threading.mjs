@@ -0,0 +1,386 @@
+/**
+ * Conversation Threading
+ *
+ * Client-side threading for getThread and listThreads, used on servers
+ * without THREAD=REFERENCES and for threads spanning several folders. It
+ * follows the algorithm by Jamie Zawinski (https://www.jwz.org/doc/threading.html),
+ * which RFC 5256 also specifies for THREAD=REFERENCES: messages are linked by
+ * their Message-ID, In-Reply-To and References headers, and threads whose
+ * references were lost are joined by subject.
+ */
+
+/**
+ * Prefixes removed from subjects before comparing them, e.g. "Re:", "Fwd:", "AW:" and "[list]"
+ */
+const SUBJECT_PREFIX = /^\s*(?:(?:re|fwd?|aw|wg|sv|vs)(?:\[\d+\])?:|\[[^\]]*\])\s*/i;
+
+/**
+ * Prefixes that mark a subject as a reply or forward
+ */
+const REPLY_PREFIX = /^\s*(?:re|fwd?|aw|wg|sv|vs)(?:\[\d+\])?:/i;
+
+/**
+ * Group messages into conversation threads
+ *
+ * @param {Array<Object>} messages - Messages to thread
+ * @param {string} [messages[].messageId] - Message-ID header
+ * @param {string} [messages[].inReplyTo] - In-Reply-To header, used when References is missing
+ * @param {string} [messages[].references] - References header
+ * @param {string} [messages[].subject] - Subject, used to join threads whose references were lost
+ * @param {Date} [messages[].date] - Date used to order the messages
+ * @returns {Array<Object>} - Root nodes ({message, children}), the thread with the most recent message first.
+ *   Children are ordered oldest first. Nodes without message stand for messages that are referenced but were
+ *   not given, and have at least two children
+ */
+export function threadMessages(messages) {
+  const containers = new Map();
+  const unidentified = [];
+
+  const containerFor = (id) => {
+    if (!containers.has(id)) {
+      containers.set(id, createContainer());
+    }
+    return containers.get(id);
+  };
+
+  for (const message of messages) {
+    const id = parseMessageIds(message.messageId)[0];
+    let own = id && containerFor(id);
+
+    // Messages without Message-ID, and copies of a message in other folders, are threaded on their own
+    if (!own || own.message) {
+      own = createContainer();
+      unidentified.push(own);
+    }
+    own.message = message;
+
+    const references = parseMessageIds(message.references);
+    if (!references.length) {
+      references.push(...parseMessageIds(message.inReplyTo).slice(0, 1));
+    }
+
+    // Link the references to each other unless another message already did
+    let parent = null;
+    for (const reference of references) {
+      const container = containerFor(reference);
+      if (parent && !container.parent && !isDescendant(parent, container)) {
+        link(parent, container);
+      }
+      parent = container;
+    }
+
+    // The last reference is the parent, replacing a link guessed from other messages
+    if (own.parent) {
+      unlink(own);
+    }
+    if (parent && !isDescendant(parent, own)) {
+      link(parent, own);
+    }
+  }
+
+  const roots = [...containers.values(), ...unidentified].filter((container) => !container.parent);
+  const threads = groupBySubject(prune(roots, true));
+
+  for (const thread of threads) {
+    sortChildren(thread);
+  }
+
+  return threads
+    .sort((a, b) => latestTime(b) - latestTime(a))
+    .map(toNode);
+}
+
+/**
+ * Turn a list of a THREAD response into a tree of UIDs
+ *
+ * In "(1 2 (3)(4 5))" message 1 is the parent of 2, whose children are 3
+ * and 4, and 4 is the parent of 5. A list that starts with nested lists has
+ * no common parent, which is returned as a node without UID.
+ *
+ * @param {Array} list - Parsed thread list, containing number atoms and nested lists
+ * @returns {Object} - Root node ({uid, children})
+ */
+export function parseThreadList(list) {
+  let root = null;
+  let current = null;
+
+  for (const item of list) {
+    if (Array.isArray(item)) {
+      if (!current) {
+        root = current = { uid: null, children: [] };
+      }
+      current.children.push(parseThreadList(item));
+    } else {
+      const node = { uid: Number(item.value), children: [] };
+      if (current) {
+        current.children.push(node);
+      } else {
+        root = node;
+      }
+      current = node;
+    }
+  }
+
+  return root;
+}
+
+/**
+ * Extract the Message-IDs from a header value, without angle brackets
+ *
+ * @param {string} [value] - Header value, e.g. "<a@example.com> <b@example.com>"
+ * @returns {Array<string>} - Message-IDs in order of appearance
+ */
+export function parseMessageIds(value) {
+  if (!value) {
+    return [];
+  }
+
+  const ids = String(value).match(/<[^<>\s]+>/g);
+  if (ids) {
+    return ids.map((id) => id.slice(1, -1));
+  }
+
+  // Some mailers leave out the angle brackets
+  const id = String(value).trim();
+  return id && !/\s/.test(id) ? [id] : [];
+}
+
+/**
+ * Create an empty container
+ *
+ * @private
+ * @returns {Object} - Container with message, parent and children
+ */
+function createContainer() {
+  return { message: null, parent: null, children: [] };
+}
+
+/**
+ * Make a container the child of another
+ *
+ * @private
+ * @param {Object} parent - Parent container
+ * @param {Object} child - Child container without parent
+ */
+function link(parent, child) {
+  child.parent = parent;
+  parent.children.push(child);
+}
+
+/**
+ * Detach a container from its parent
+ *
+ * @private
+ * @param {Object} child - Container with a parent
+ */
+function unlink(child) {
+  child.parent.children = child.parent.children.filter((container) => container !== child);
+  child.parent = null;
+}
+
+/**
+ * Check whether a container is another one or below it, so that linking them would create a loop
+ *
+ * @private
+ * @param {Object} container - Container to check
+ * @param {Object} ancestor - Possible ancestor
+ * @returns {boolean} - True if the container is the ancestor or one of its descendants
+ */
+function isDescendant(container, ancestor) {
+  for (let current = container; current; current = current.parent) {
+    if (current === ancestor) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Remove containers without message, promoting their children
+ *
+ * Empty containers at the top are kept when they join several messages,
+ * since the messages have a common parent that was not found.
+ *
+ * @private
+ * @param {Array<Object>} containers - Containers to prune
+ * @param {boolean} top - Whether the containers are roots
+ * @returns {Array<Object>} - Remaining containers
+ */
+function prune(containers, top) {
+  const result = [];
+
+  for (const container of containers) {
+    container.children = prune(container.children, false);
+
+    if (container.message || (top && container.children.length > 1)) {
+      result.push(container);
+      continue;
+    }
+
+    for (const child of container.children) {
+      child.parent = container.parent;
+      result.push(child);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Join root threads with the same base subject, for replies from mailers that drop the references
+ *
+ * @private
+ * @param {Array<Object>} roots - Root containers
+ * @returns {Array<Object>} - Remaining root containers
+ */
+function groupBySubject(roots) {
+  const bySubject = new Map();
+
+  for (const root of roots) {
+    const subject = baseSubject(subjectOf(root));
+    const existing = subject && bySubject.get(subject);
+
+    // Prefer an empty container, then a message that is not a reply
+    if (
+      subject &&
+      (!existing ||
+        (!root.message && existing.message) ||
+        (root.message && existing.message && isReply(existing.message.subject) && !isReply(root.message.subject)))
+    ) {
+      bySubject.set(subject, root);
+    }
+  }
+
+  const result = [];
+
+  for (const root of roots) {
+    const subject = baseSubject(subjectOf(root));
+    const target = subject && bySubject.get(subject);
+
+    if (!target || target === root) {
+      result.push(root);
+    } else if (!target.message && !root.message) {
+      for (const child of root.children) {
+        link(target, child);
+      }
+    } else if (!target.message || (isReply(root.message.subject) && !isReply(target.message.subject))) {
+      link(target, root);
+    } else {
+      // Neither is a reply to the other, so both become children of a new empty container
+      const copy = { message: target.message, parent: null, children: target.children };
+      for (const child of copy.children) {
+        child.parent = copy;
+      }
+      target.message = null;
+      target.children = [];
+      link(target, copy);
+      link(target, root);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Subject of a thread, taken from its first message
+ *
+ * @private
+ * @param {Object} container - Root container
+ * @returns {string} - Subject, empty if unknown
+ */
+function subjectOf(container) {
+  if (container.message) {
+    return container.message.subject || '';
+  }
+  return container.children.length ? subjectOf(container.children[0]) : '';
+}
+
+/**
+ * Normalize a subject for comparison, removing reply and list prefixes
+ *
+ * @private
+ * @param {string} subject - Subject
+ * @returns {string} - Lowercase base subject
+ */
+function baseSubject(subject) {
+  let base = subject || '';
+  while (SUBJECT_PREFIX.test(base)) {
+    base = base.replace(SUBJECT_PREFIX, '');
+  }
+  return base.replace(/\s*\(fwd\)\s*$/i, '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Check whether a subject marks a reply or forward
+ *
+ * @private
+ * @param {string} subject - Subject
+ * @returns {boolean} - True for replies and forwards
+ */
+function isReply(subject) {
+  return REPLY_PREFIX.test(subject || '');
+}
+
+/**
+ * Order the children of a container and its descendants oldest first
+ *
+ * @private
+ * @param {Object} container - Container to sort
+ */
+function sortChildren(container) {
+  for (const child of container.children) {
+    sortChildren(child);
+  }
+  container.children.sort((a, b) => earliestTime(a) - earliestTime(b));
+}
+
+/**
+ * Time of the first message in a container, its own or that of its first child
+ *
+ * @private
+ * @param {Object} container - Container with sorted children
+ * @returns {number} - Time in ms, 0 if unknown
+ */
+function earliestTime(container) {
+  if (container.message) {
+    return timeOf(container.message);
+  }
+  return container.children.length ? earliestTime(container.children[0]) : 0;
+}
+
+/**
+ * Time of the most recent message in a container and its descendants
+ *
+ * @private
+ * @param {Object} container - Container
+ * @returns {number} - Time in ms, 0 if unknown
+ */
+function latestTime(container) {
+  return Math.max(
+    container.message ? timeOf(container.message) : 0,
+    ...container.children.map(latestTime)
+  );
+}
+
+/**
+ * Time of a message
+ *
+ * @private
+ * @param {Object} message - Message with date
+ * @returns {number} - Time in ms, 0 if unknown
+ */
+function timeOf(message) {
+  const time = message.date ? new Date(message.date).getTime() : 0;
+  return isNaN(time) ? 0 : time;
+}
+
+/**
+ * Strip the parent links from a container tree
+ *
+ * @private
+ * @param {Object} container - Container
+ * @returns {Object} - Node with message and children
+ */
+function toNode(container) {
+  return { message: container.message, children: container.children.map(toNode) };
+}
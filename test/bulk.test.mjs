@@ -0,0 +1,90 @@
+/**
+ * Tests for the bulk move, copy and delete operations and their per-item results
+ *
+ * The client runs against the in-process fake IMAP server.
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ImapClient } from '../nodejs/imap-lambda-layer/imap-client.mjs';
+import { MessageNotFoundError } from '../nodejs/imap-lambda-layer/errors.mjs';
+import { startFakeImap } from './fake-imap.mjs';
+
+let server;
+let client;
+
+beforeEach(async () => {
+  server = await startFakeImap({ folders: ['Archive'] });
+  for (const id of ['a', 'b', 'c']) {
+    server.addMessage('INBOX', `Subject: ${id}\nMessage-ID: <${id}@example.com>\n\nBody\n`);
+  }
+  // Takes UID 1 in Archive, so moved messages get different UIDs
+  server.addMessage('Archive', 'Subject: Old\n\nBody\n');
+  client = new ImapClient(server.config());
+});
+
+afterEach(async () => {
+  await client.disconnect();
+  await server.close();
+});
+
+/**
+ * Subjects of the messages in a folder
+ *
+ * @param {string} path - Folder path
+ * @returns {Array<string>} - Subjects in UID order
+ */
+function subjects(path) {
+  return server.folder(path).messages.map((message) => /Subject: (.*)/.exec(message.source)[1]);
+}
+
+test('moveMessages reports each item in input order with its new UID', async () => {
+  const results = await client.moveMessages('INBOX', 'Archive', [3, '<a@example.com>', 9, '<missing@example.com>', 3]);
+
+  assert.deepEqual(results, [
+    { identifier: 3, uid: 3, status: 'moved', newUid: 3 },
+    { identifier: '<a@example.com>', uid: 1, status: 'moved', newUid: 2 },
+    { identifier: 9, uid: null, status: 'not_found' },
+    { identifier: '<missing@example.com>', uid: null, status: 'not_found' },
+    { identifier: 3, uid: 3, status: 'moved', newUid: 3 },
+  ]);
+  assert.deepEqual(subjects('INBOX'), ['b']);
+  assert.deepEqual(subjects('Archive'), ['Old', 'a', 'c']);
+  // Both messages are moved with one command
+  assert.deepEqual(server.commands.filter((command) => command.startsWith('UID MOVE')), ['UID MOVE 3,1 Archive']);
+});
+
+test('copyMessages keeps the originals', async () => {
+  const results = await client.copyMessages('INBOX', 'Archive', [2]);
+
+  assert.deepEqual(results, [{ identifier: 2, uid: 2, status: 'copied', newUid: 2 }]);
+  assert.deepEqual(subjects('INBOX'), ['a', 'b', 'c']);
+  assert.deepEqual(subjects('Archive'), ['Old', 'b']);
+});
+
+test('deleteMessages expunges the messages that were found', async () => {
+  const results = await client.deleteMessages('INBOX', ['<b@example.com>', 7]);
+
+  assert.deepEqual(results, [
+    { identifier: '<b@example.com>', uid: 2, status: 'deleted' },
+    { identifier: 7, uid: null, status: 'not_found' },
+  ]);
+  assert.deepEqual(subjects('INBOX'), ['a', 'c']);
+});
+
+test('items are reported as failed when the server rejects the command', async () => {
+  const results = await client.moveMessages('INBOX', 'Missing', [1, 5]);
+
+  assert.deepEqual(results, [
+    { identifier: 1, uid: 1, status: 'failed', reason: 'Server rejected the command' },
+    { identifier: 5, uid: null, status: 'not_found' },
+  ]);
+  assert.deepEqual(subjects('INBOX'), ['a', 'b', 'c']);
+});
+
+test('moveMessage throws MessageNotFoundError for unknown UIDs', async () => {
+  await assert.rejects(client.moveMessage('INBOX', 'Archive', 9), MessageNotFoundError);
+  assert.equal(await client.moveMessage('INBOX', 'Archive', 1), true);
+  assert.deepEqual(subjects('Archive'), ['Old', 'a']);
+});
@@ -0,0 +1,114 @@
+/**
+ * Tests for connection handling: stale connections, reconnects and retries
+ *
+ * The client runs against the in-process fake IMAP server, which drops or
+ * stalls connections on demand.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ImapClient } from '../nodejs/imap-lambda-layer/imap-client.mjs';
+import { ImapConnectionError } from '../nodejs/imap-lambda-layer/errors.mjs';
+import { startFakeImap } from './fake-imap.mjs';
+
+/**
+ * Run a test body with a fake server and a client connected to it
+ *
+ * @param {Object} options - Fake server options
+ * @param {Object} config - Client configuration to add
+ * @param {Function} body - Receives the server and the client
+ * @returns {Promise<void>}
+ */
+async function withServer(options, config, body) {
+  const server = await startFakeImap(options);
+  const client = new ImapClient(server.config(config));
+  try {
+    await body(server, client);
+  } finally {
+    await client.disconnect();
+    await server.close();
+  }
+}
+
+/**
+ * Wait until a condition holds
+ *
+ * @param {Function} condition - Returns true once done
+ * @returns {Promise<void>}
+ */
+async function waitFor(condition) {
+  while (!condition()) {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+}
+
+test('a connection dropped by the server is replaced on the next call', async () => {
+  await withServer({}, {}, async (server, client) => {
+    assert.equal(await client.folderExists('INBOX'), true);
+
+    server.dropConnections();
+    await waitFor(() => !client.isConnected);
+
+    assert.equal(await client.folderExists('INBOX'), true);
+    assert.equal(server.connections, 2);
+  });
+});
+
+test('an idle connection that does not answer NOOP is replaced', async () => {
+  let stall = false;
+  const options = { onCommand: ({ command }) => (stall && command === 'NOOP' ? false : undefined) };
+
+  await withServer(options, { livenessCheckAfter: 0, livenessTimeout: 50 }, async (server, client) => {
+    await client.folderExists('INBOX');
+    assert.equal(await client.folderExists('INBOX'), true);
+    assert.equal(server.connections, 1);
+
+    stall = true;
+    assert.equal(await client.folderExists('INBOX'), true);
+    assert.equal(server.connections, 2);
+  });
+});
+
+test('connections used recently are not checked', async () => {
+  await withServer({}, { livenessCheckAfter: 60000 }, async (server, client) => {
+    await client.folderExists('INBOX');
+    await client.folderExists('INBOX');
+    assert.equal(server.commands.includes('NOOP'), false);
+  });
+});
+
+test('reads are retried once on a new connection, writes are not replayed', async () => {
+  let drop = [];
+  const options = {
+    onCommand: ({ command }) => {
+      if (drop.includes(command)) {
+        drop = drop.filter((name) => name !== command);
+        server.dropConnections();
+        return false;
+      }
+      return undefined;
+    },
+  };
+  const server = await startFakeImap({ ...options, folders: ['Archive'] });
+  const client = new ImapClient(server.config());
+  server.addMessage('INBOX', 'Subject: Hello\n\nBody\n');
+
+  try {
+    drop = ['UID SEARCH'];
+    assert.deepEqual((await client.searchMessages('INBOX', { subject: 'hello' })).map((message) => message.uid), [1]);
+    assert.equal(server.connections, 2);
+
+    drop = ['UID MOVE'];
+    await assert.rejects(client.moveMessage('INBOX', 'Archive', 1), (error) => {
+      assert.ok(error instanceof ImapConnectionError);
+      assert.equal(error.retryable, true);
+      return true;
+    });
+    assert.equal(server.commands.filter((command) => command.startsWith('UID MOVE')).length, 1);
+    assert.equal(server.folder('INBOX').messages.length, 1);
+  } finally {
+    await client.disconnect();
+    await server.close();
+  }
+});
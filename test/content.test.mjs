@@ -0,0 +1,165 @@
+/**
+ * Tests for reading message content and downloading attachments
+ *
+ * The client runs against the in-process fake IMAP server, so the body
+ * structure and part downloads go through ImapFlow as in production.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { Writable } from 'node:stream';
+
+import { ImapClient } from '../nodejs/imap-lambda-layer/imap-client.mjs';
+import { ImapError, MessageNotFoundError } from '../nodejs/imap-lambda-layer/errors.mjs';
+import { startFakeImap } from './fake-imap.mjs';
+
+const MESSAGE = [
+  'From: Alice <alice@example.com>',
+  'To: bob@example.com',
+  'Subject: Report',
+  'Message-ID: <report@example.com>',
+  'MIME-Version: 1.0',
+  'Content-Type: multipart/mixed; boundary="outer"',
+  '',
+  '--outer',
+  'Content-Type: multipart/related; boundary="inner"',
+  '',
+  '--inner',
+  'Content-Type: multipart/alternative; boundary="alt"',
+  '',
+  '--alt',
+  'Content-Type: text/plain; charset=iso-8859-1',
+  'Content-Transfer-Encoding: quoted-printable',
+  '',
+  'Gr=FC=DFe aus K=F6ln',
+  '--alt',
+  'Content-Type: text/html; charset=utf-8',
+  '',
+  '<p>Hello <img src="cid:logo@example.com"></p>',
+  '--alt--',
+  '--inner',
+  'Content-Type: image/png',
+  'Content-ID: <logo@example.com>',
+  'Content-Disposition: inline',
+  'Content-Transfer-Encoding: base64',
+  '',
+  Buffer.from('PNG logo').toString('base64'),
+  '--inner--',
+  '--outer',
+  'Content-Type: application/pdf; name="report.pdf"',
+  'Content-Disposition: attachment; filename="report.pdf"',
+  'Content-Transfer-Encoding: base64',
+  '',
+  Buffer.from('%PDF-1.4 quarterly report').toString('base64'),
+  '--outer--',
+  '',
+].join('\n');
+
+let server;
+let client;
+
+before(async () => {
+  server = await startFakeImap();
+  server.addMessage('INBOX', MESSAGE, { flags: ['\\Seen'] });
+  server.addMessage('INBOX', 'Subject: Plain\nMessage-ID: <plain@example.com>\n\nJust text\n');
+  client = new ImapClient(server.config());
+});
+
+after(async () => {
+  await client.disconnect();
+  await server.close();
+});
+
+/**
+ * Create a writable stream collecting what is written to it
+ *
+ * @returns {Object} - Stream, and a function returning the collected content
+ */
+function collector() {
+  const chunks = [];
+  const stream = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(chunk);
+      callback();
+    },
+  });
+  return { stream, content: () => Buffer.concat(chunks).toString() };
+}
+
+test('getMessageContent decodes the bodies and describes the other parts', async () => {
+  const content = await client.getMessageContent('INBOX', 1);
+
+  assert.equal(content.uid, 1);
+  assert.equal(content.envelope.subject, 'Report');
+  assert.deepEqual(content.flags, ['\\Seen']);
+  assert.equal(content.text.trim(), 'Grüße aus Köln');
+  assert.equal(content.html.trim(), '<p>Hello <img src="cid:logo@example.com"></p>');
+  assert.deepEqual(content.inline, [
+    { part: '1.2', filename: null, contentType: 'image/png', size: 12, contentId: 'logo@example.com' },
+  ]);
+  assert.deepEqual(content.attachments.map(({ part, filename, contentType }) => ({ part, filename, contentType })), [
+    { part: '2', filename: 'report.pdf', contentType: 'application/pdf' },
+  ]);
+});
+
+test('getMessageContent finds messages by Message-ID and reads single-part messages', async () => {
+  const content = await client.getMessageContent('INBOX', '<plain@example.com>');
+
+  assert.equal(content.uid, 2);
+  assert.equal(content.text.trim(), 'Just text');
+  assert.equal(content.html, null);
+  assert.deepEqual(content.attachments, []);
+});
+
+test('getMessageContent does not mark the message as seen', async () => {
+  await client.getMessageContent('INBOX', 2);
+  assert.equal(server.message('INBOX', 2).flags.has('\\Seen'), false);
+});
+
+test('getMessageContent throws MessageNotFoundError for unknown messages', async () => {
+  await assert.rejects(client.getMessageContent('INBOX', 99), MessageNotFoundError);
+  await assert.rejects(client.getMessageContent('INBOX', '<missing@example.com>'), {
+    code: 'MessageNotFound',
+    message: 'Message <missing@example.com> not found in INBOX',
+  });
+});
+
+test('downloadAttachment streams a part selected by number or filename', async () => {
+  const byPart = collector();
+  const result = await client.downloadAttachment('INBOX', 1, '2', byPart.stream);
+  assert.equal(byPart.content(), '%PDF-1.4 quarterly report');
+  assert.equal(result.filename, 'report.pdf');
+  assert.equal(result.bytesWritten, 25);
+
+  const byName = collector();
+  const described = [];
+  await client.downloadAttachment('INBOX', '<report@example.com>', 'report.pdf', (entry) => {
+    described.push(entry.part);
+    return byName.stream;
+  });
+  assert.deepEqual(described, ['2']);
+  assert.equal(byName.content(), '%PDF-1.4 quarterly report');
+
+  const inline = collector();
+  await client.downloadAttachment('INBOX', 1, '1.2', inline.stream);
+  assert.equal(inline.content(), 'PNG logo');
+});
+
+test('downloadAttachment returns null for unknown parts and rejects oversized ones', async () => {
+  assert.equal(await client.downloadAttachment('INBOX', 1, 'missing.pdf', collector().stream), null);
+  // Body parts are not attachments
+  assert.equal(await client.downloadAttachment('INBOX', 1, '1.1.1', collector().stream), null);
+  await assert.rejects(client.downloadAttachment('INBOX', 99, '2', collector().stream), MessageNotFoundError);
+
+  await assert.rejects(client.downloadAttachment('INBOX', 1, '2', collector().stream, { maxBytes: 10 }), (error) => {
+    assert.ok(error instanceof ImapError);
+    assert.equal(error.code, 'MaxBytesExceeded');
+    assert.deepEqual(error.details, { part: '2', maxBytes: 10 });
+    return true;
+  });
+
+  // The connection is still usable afterwards
+  const sink = collector();
+  await client.downloadAttachment('INBOX', 1, '2', sink.stream, { maxBytes: 25 });
+  assert.equal(sink.content(), '%PDF-1.4 quarterly report');
+});
@@ -0,0 +1,238 @@
+/**
+ * Tests for the credential providers and how ImapClient caches their credentials
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:net';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import {
+  envCredentials,
+  fileCredentials,
+  secretsManagerCredentials,
+} from '../nodejs/imap-lambda-layer/credentials.mjs';
+import { ImapClient, getImapClient, clearImapClientCache } from '../nodejs/imap-lambda-layer/imap-client.mjs';
+import { ImapAuthError } from '../nodejs/imap-lambda-layer/errors.mjs';
+
+/**
+ * Start an IMAP server that greets clients and rejects every login
+ *
+ * @returns {Promise<Object>} - The server, its port, the users that tried to log in and a close function
+ */
+async function startRejectingServer() {
+  const logins = [];
+  const sockets = new Set();
+  const server = createServer((socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.write('* OK [CAPABILITY IMAP4rev1] Test server ready\r\n');
+    let buffer = '';
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      let end;
+      while ((end = buffer.indexOf('\r\n')) >= 0) {
+        const [tag, command, user] = buffer.slice(0, end).split(' ');
+        buffer = buffer.slice(end + 2);
+        if (command.toUpperCase() === 'LOGIN') {
+          logins.push(user.replace(/"/g, ''));
+          socket.write(`${tag} NO [AUTHENTICATIONFAILED] Invalid credentials\r\n`);
+        } else if (command.toUpperCase() === 'LOGOUT') {
+          socket.end(`* BYE\r\n${tag} OK\r\n`);
+        } else {
+          socket.write(`${tag} OK\r\n`);
+        }
+      }
+    });
+    socket.on('error', () => {});
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  const close = async () => {
+    for (const socket of sockets) {
+      socket.destroy();
+    }
+    await new Promise((resolve) => server.close(resolve));
+  };
+
+  return { port: server.address().port, logins, close };
+}
+
+/**
+ * Find a local port nothing listens on
+ *
+ * @returns {Promise<number>} - Closed port
+ */
+async function closedPort() {
+  const server = createServer();
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  await new Promise((resolve) => server.close(resolve));
+  return port;
+}
+
+/**
+ * Create a client for a local server with a counting credentials provider
+ *
+ * @param {number} port - Server port
+ * @param {Object} [config] - Additional client configuration
+ * @returns {Object} - The client and the list of provider calls
+ */
+function countingClient(port, config = {}) {
+  const calls = [];
+  const client = new ImapClient({
+    host: '127.0.0.1',
+    port,
+    secure: false,
+    logger: false,
+    credentialsProvider: async () => {
+      calls.push(Date.now());
+      return { auth: { user: `user${calls.length}`, pass: 'secret' } };
+    },
+    ...config,
+  });
+  return { client, calls };
+}
+
+test('envCredentials reads the IMAP_ variables', async () => {
+  const provider = envCredentials({
+    env: {
+      IMAP_HOST: 'imap.example.com',
+      IMAP_PORT: '143',
+      IMAP_SECURE: 'false',
+      IMAP_USER: 'bot',
+      IMAP_PASSWORD: 'hunter2',
+      IMAP_REJECT_UNAUTHORIZED: 'false',
+    },
+  });
+
+  assert.deepEqual(await provider(), {
+    host: 'imap.example.com',
+    port: 143,
+    secure: false,
+    auth: { user: 'bot', pass: 'hunter2' },
+    tls: { rejectUnauthorized: false },
+  });
+});
+
+test('envCredentials uses the prefix and requires a user', async () => {
+  const env = { MAIL_USER: 'bot', MAIL_PASSWORD: 'hunter2' };
+
+  assert.deepEqual(await envCredentials({ prefix: 'MAIL_', env })(), { auth: { user: 'bot', pass: 'hunter2' } });
+  await assert.rejects(envCredentials({ env })(), { name: 'TypeError', message: 'IMAP_USER is not set' });
+});
+
+test('fileCredentials accepts the config shape and flat secrets', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'imap-credentials-'));
+  try {
+    const nested = join(dir, 'nested.json');
+    const flat = join(dir, 'flat.json');
+    const empty = join(dir, 'empty.json');
+    await writeFile(nested, JSON.stringify({ host: 'imap.example.com', auth: { user: 'bot', pass: 'hunter2' } }));
+    await writeFile(flat, JSON.stringify({ host: 'imap.example.com', username: 'bot', password: 'hunter2' }));
+    await writeFile(empty, JSON.stringify({ host: 'imap.example.com', password: 'hunter2' }));
+
+    const expected = { host: 'imap.example.com', auth: { user: 'bot', pass: 'hunter2' } };
+    assert.deepEqual(await fileCredentials(nested)(), expected);
+    assert.deepEqual(await fileCredentials(flat)(), expected);
+    await assert.rejects(fileCredentials(empty)(), { name: 'TypeError', message: 'Credentials contain no user' });
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('secretsManagerCredentials reads the secret string', async () => {
+  const requests = [];
+  const provider = secretsManagerCredentials({
+    secretId: 'imap/bot',
+    getSecretValue: async (params) => {
+      requests.push(params);
+      return { SecretString: JSON.stringify({ user: 'bot', accessToken: 'token' }) };
+    },
+  });
+
+  assert.deepEqual(await provider(), { auth: { user: 'bot', accessToken: 'token' } });
+  assert.deepEqual(requests, [{ SecretId: 'imap/bot' }]);
+});
+
+test('secretsManagerCredentials rejects missing options and binary secrets', async () => {
+  assert.throws(() => secretsManagerCredentials({ secretId: 'imap/bot' }), TypeError);
+
+  const provider = secretsManagerCredentials({ secretId: 'imap/bot', getSecretValue: async () => ({ SecretBinary: 'AA==' }) });
+  await assert.rejects(provider(), { name: 'TypeError', message: 'Secret imap/bot has no SecretString' });
+});
+
+test('ImapClient reuses provided credentials until they expire', async () => {
+  const port = await closedPort();
+  const { client, calls } = countingClient(port);
+
+  await assert.rejects(client.connect());
+  await assert.rejects(client.connect());
+  assert.equal(calls.length, 1);
+  assert.equal(client.config.auth.user, 'user1');
+
+  client.credentialsExpireAt = 0;
+  await assert.rejects(client.connect());
+  assert.equal(calls.length, 2);
+  assert.equal(client.config.auth.user, 'user2');
+});
+
+test('ImapClient calls the provider on every connect without a TTL', async () => {
+  const port = await closedPort();
+  const { client, calls } = countingClient(port, { credentialsTtl: 0 });
+
+  await assert.rejects(client.connect());
+  await assert.rejects(client.connect());
+  assert.equal(calls.length, 2);
+});
+
+test('ImapClient reports provider failures as ImapAuthError', async () => {
+  const port = await closedPort();
+  const failing = new ImapClient({
+    host: '127.0.0.1',
+    port,
+    logger: false,
+    credentialsProvider: async () => {
+      throw new Error('Access denied');
+    },
+  });
+  const empty = new ImapClient({ host: '127.0.0.1', port, logger: false, credentialsProvider: async () => ({}) });
+
+  await assert.rejects(failing.connect(), (error) => {
+    assert.ok(error instanceof ImapAuthError);
+    assert.equal(error.code, 'CredentialsProviderFailed');
+    assert.equal(error.retryable, true);
+    assert.equal(error.message, 'Credentials provider failed: Access denied');
+    return true;
+  });
+  await assert.rejects(empty.connect(), { code: 'CredentialsProviderFailed' });
+});
+
+test('rejected credentials are refreshed once and the cached client is replaced', async () => {
+  const { port, logins, close } = await startRejectingServer();
+  try {
+    const calls = [];
+    const credentialsProvider = async () => {
+      calls.push(Date.now());
+      return { auth: { user: `user${calls.length}`, pass: 'secret' } };
+    };
+    const config = { host: '127.0.0.1', port, secure: false, logger: false, credentialsProvider };
+    const client = getImapClient(config);
+
+    await assert.rejects(client.connect(), ImapAuthError);
+    assert.deepEqual(logins, ['user1', 'user2']);
+    assert.equal(calls.length, 2);
+    assert.equal(client.authFailed, true);
+    assert.equal(client.credentialsExpireAt, 0);
+
+    const replacement = getImapClient(config);
+    assert.notEqual(replacement, client);
+    await assert.rejects(replacement.connect(), ImapAuthError);
+    assert.equal(calls.length, 4);
+  } finally {
+    await clearImapClientCache();
+    await close();
+  }
+});
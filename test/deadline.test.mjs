@@ -0,0 +1,104 @@
+/**
+ * Tests for abort signals and deadlines
+ *
+ * The client runs against the in-process fake IMAP server, which leaves
+ * chosen commands unanswered to simulate a slow server.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ImapClient, signalFromContext } from '../nodejs/imap-lambda-layer/imap-client.mjs';
+import { ImapTimeoutError } from '../nodejs/imap-lambda-layer/errors.mjs';
+import { startFakeImap } from './fake-imap.mjs';
+
+/**
+ * Start a fake server that never answers the given commands while stalling is on
+ *
+ * @param {Array<string>} commands - Commands to leave unanswered, e.g. ["UID FETCH"]
+ * @returns {Promise<Object>} - Server, client and a function turning stalling off
+ */
+async function stallingServer(commands) {
+  let stalling = true;
+  const server = await startFakeImap({
+    onCommand: ({ command }) => (stalling && commands.includes(command) ? false : undefined),
+  });
+  const client = new ImapClient(server.config());
+  return { server, client, resume: () => (stalling = false) };
+}
+
+test('signalFromContext fires the margin before the Lambda timeout', async () => {
+  const later = signalFromContext({ getRemainingTimeInMillis: () => 60000 });
+  const soon = signalFromContext({ getRemainingTimeInMillis: () => 1500 }, { margin: 1490 });
+  const late = signalFromContext({ getRemainingTimeInMillis: () => 1000 });
+
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  assert.equal(later.aborted, false);
+  assert.equal(soon.aborted, true);
+  assert.equal(late.aborted, true);
+});
+
+test('a deadline during a command logs out and reports the progress', async () => {
+  const { server, client, resume } = await stallingServer(['UID FETCH']);
+  server.addMessage('INBOX', 'Subject: Hello\n\nBody\n');
+
+  try {
+    const started = Date.now();
+    await assert.rejects(client.listMessages('INBOX', { deadline: Date.now() + 200 }), (error) => {
+      assert.ok(error instanceof ImapTimeoutError);
+      assert.equal(error.retryable, true);
+      assert.match(error.message, /^Operation did not complete in time: /);
+      assert.deepEqual(error.details, { folder: 'INBOX', progress: { messages: [] } });
+      return true;
+    });
+    assert.ok(Date.now() - started < 5000);
+    assert.equal(client.isConnected, false);
+
+    // The next call reconnects, the mailbox lock was released
+    resume();
+    assert.equal((await client.listMessages('INBOX', 1)).length, 1);
+    assert.equal(server.connections, 2);
+  } finally {
+    await client.disconnect();
+    await server.close();
+  }
+});
+
+test('an abort signal ends a running search', async () => {
+  const { server, client } = await stallingServer(['UID SEARCH']);
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(), 100);
+
+  try {
+    await assert.rejects(client.searchMessages('INBOX', { seen: false }, { signal: controller.signal }), ImapTimeoutError);
+  } finally {
+    await client.disconnect();
+    await server.close();
+  }
+});
+
+test('a deadline while connecting rejects instead of hanging', async () => {
+  const { server, client } = await stallingServer(['LOGIN']);
+
+  try {
+    await assert.rejects(client.folderExists('INBOX', { deadline: new Date(Date.now() + 100) }), ImapTimeoutError);
+  } finally {
+    await client.disconnect();
+    await server.close();
+  }
+});
+
+test('calls with a signal that already fired do not connect', async () => {
+  const server = await startFakeImap();
+  const client = new ImapClient(server.config());
+
+  try {
+    await assert.rejects(client.listFolders({ signal: AbortSignal.abort() }), ImapTimeoutError);
+    await assert.rejects(client.listFolders({ deadline: Date.now() - 1 }), ImapTimeoutError);
+    await assert.rejects(client.listFolders({ deadline: 'tomorrow' }), { name: 'TypeError', message: 'Invalid deadline: tomorrow' });
+    assert.equal(server.connections, 0);
+  } finally {
+    await client.disconnect();
+    await server.close();
+  }
+});
@@ -0,0 +1,141 @@
+/**
+ * Tests for findDuplicates and dedupe
+ *
+ * The client runs against the in-process fake IMAP server, with virtual
+ * folders that show copies of the messages stored in the other folders.
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ImapClient } from '../nodejs/imap-lambda-layer/imap-client.mjs';
+import { startFakeImap } from './fake-imap.mjs';
+
+const FOLDERS = [
+  'Archive',
+  'Projects',
+  { path: 'All Mail', specialUse: '\\All' },
+  { path: 'Starred', specialUse: '\\Flagged' },
+  { path: 'Important', specialUse: '\\Important' },
+  { path: 'Trash', specialUse: '\\Trash' },
+  { path: 'Junk', specialUse: '\\Junk' },
+];
+
+let server;
+let client;
+
+/**
+ * Deliver a message with a Message-ID to a folder
+ *
+ * @param {string} folder - Folder path
+ * @param {string} id - Local part of the Message-ID
+ * @param {string} internalDate - Internal date
+ * @returns {number} - UID
+ */
+function deliver(folder, id, internalDate) {
+  return server.addMessage(folder, `Subject: ${id}\nMessage-ID: <${id}@example.com>\n\nBody\n`, { internalDate });
+}
+
+/**
+ * Reduce duplicate groups to the folders of their messages
+ *
+ * @param {Array<Object>} groups - Groups returned by findDuplicates
+ * @returns {Object} - Keys mapped to the folders of the copies, in group order
+ */
+function foldersByKey(groups) {
+  return Object.fromEntries(groups.map(({ key, messages }) => [key, messages.map((message) => message.folder)]));
+}
+
+beforeEach(async () => {
+  server = await startFakeImap({ folders: FOLDERS });
+  // Same internal date in INBOX and Archive
+  deliver('INBOX', 'a', '2025-09-01T10:00:00Z');
+  deliver('Archive', 'a', '2025-09-01T10:00:00Z');
+  deliver('INBOX', 'b', '2025-09-03T10:00:00Z');
+  deliver('Projects', 'b', '2025-09-02T10:00:00Z');
+  deliver('INBOX', 'c', '2025-09-04T10:00:00Z');
+  // The virtual folders show the stored messages again, Trash and Junk hold stale copies
+  for (const folder of ['All Mail', 'Starred', 'Important', 'Trash', 'Junk']) {
+    deliver(folder, 'a', '2025-09-01T10:00:00Z');
+    deliver(folder, 'c', '2025-09-04T10:00:00Z');
+  }
+  client = new ImapClient(server.config());
+});
+
+afterEach(async () => {
+  await client.disconnect();
+  await server.close();
+});
+
+test('Trash, Junk and virtual folders are left out by default', async () => {
+  const result = await client.findDuplicates();
+
+  assert.deepEqual([...result.folders].sort(), ['Archive', 'INBOX', 'Projects']);
+  assert.equal(result.scanned, 5);
+  assert.deepEqual(Object.keys(foldersByKey(result.groups)).sort(), ['a@example.com', 'b@example.com']);
+});
+
+test('copies are ordered by date and by the order of the folders for equal dates', async () => {
+  const archiveFirst = await client.findDuplicates({ folders: ['Archive', 'INBOX', 'Projects'] });
+  assert.deepEqual(foldersByKey(archiveFirst.groups), {
+    'a@example.com': ['Archive', 'INBOX'],
+    'b@example.com': ['Projects', 'INBOX'],
+  });
+
+  const inboxFirst = await client.findDuplicates({ folders: ['INBOX', 'Archive'] });
+  assert.deepEqual(foldersByKey(inboxFirst.groups), { 'a@example.com': ['INBOX', 'Archive'] });
+  assert.deepEqual(Object.keys(inboxFirst.groups[0].messages[0]).sort(), ['folder', 'internalDate', 'messageId', 'size', 'uid']);
+});
+
+test('keep policies choose the kept copy', async () => {
+  const kept = async (options) => {
+    const report = await client.dedupe({ folders: ['INBOX', 'Archive', 'Projects'], dryRun: true, ...options });
+    return Object.fromEntries(report.groups.map(({ key, kept: message }) => [key, message.folder]));
+  };
+
+  assert.deepEqual(await kept({}), { 'a@example.com': 'INBOX', 'b@example.com': 'Projects' });
+  // Equal dates keep the copy of the first folder with newest as well
+  assert.deepEqual(await kept({ keep: 'newest' }), { 'a@example.com': 'INBOX', 'b@example.com': 'INBOX' });
+  assert.deepEqual(await kept({ keep: 'folder', preferredFolder: 'Archive' }), {
+    'a@example.com': 'Archive',
+    'b@example.com': 'Projects',
+  });
+
+  await assert.rejects(client.dedupe({ keep: 'largest' }), TypeError);
+  await assert.rejects(client.dedupe({ keep: 'folder' }), { message: 'Keep policy "folder" requires a preferredFolder' });
+});
+
+test('dry runs plan the removals, real runs move them into the Trash', async () => {
+  const preview = await client.dedupe({ keep: 'newest', dryRun: true });
+  assert.equal(preview.dryRun, true);
+  assert.equal(preview.removed, 2);
+  assert.deepEqual(preview.groups.flatMap((group) => group.removed.map((message) => message.status)), ['planned', 'planned']);
+  assert.equal(server.folder('Trash').messages.length, 2);
+
+  const report = await client.dedupe({ keep: 'newest' });
+  assert.equal(report.removed, 2);
+  assert.deepEqual(report.groups.flatMap((group) => group.removed.map((message) => message.status)), ['moved', 'moved']);
+  assert.equal(server.folder('Trash').messages.length, 4);
+  assert.equal(server.folder('Projects').messages.length, 0);
+  assert.equal(server.folder('Archive').messages.length, 0);
+  assert.equal(server.folder('INBOX').messages.length, 3);
+});
+
+test('Gmail accounts must name the folders to search', async () => {
+  const gmail = await startFakeImap({ capabilities: ['X-GM-EXT-1'], folders: FOLDERS.slice(0, 2) });
+  const gmailClient = new ImapClient(gmail.config());
+  gmail.addMessage('INBOX', 'Message-ID: <a@example.com>\n\nBody\n');
+  gmail.addMessage('Archive', 'Message-ID: <a@example.com>\n\nBody\n');
+
+  try {
+    await assert.rejects(gmailClient.findDuplicates(), {
+      name: 'TypeError',
+      message: 'Gmail folders are labels sharing their messages, pass the folders to search explicitly',
+    });
+    const { groups } = await gmailClient.findDuplicates({ folders: ['INBOX', 'Archive'] });
+    assert.equal(groups.length, 1);
+  } finally {
+    await gmailClient.disconnect();
+    await gmail.close();
+  }
+});
@@ -0,0 +1,138 @@
+/**
+ * Tests for the typed errors and how ImapFlow errors are converted to them
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  ImapError,
+  ImapAuthError,
+  ImapConnectionError,
+  MailboxNotFoundError,
+  MessageNotFoundError,
+  ImapTimeoutError,
+  ImapQuotaError,
+  toImapError,
+} from '../nodejs/imap-lambda-layer/errors.mjs';
+import { ImapClient } from '../nodejs/imap-lambda-layer/imap-client.mjs';
+import { startFakeImap } from './fake-imap.mjs';
+
+/**
+ * Build an error as raised by ImapFlow
+ *
+ * @param {string} message - Error message
+ * @param {Object} [fields] - Fields ImapFlow sets, such as code, response or serverResponseCode
+ * @returns {Error} - Error
+ */
+function imapFlowError(message, fields = {}) {
+  return Object.assign(new Error(message), fields);
+}
+
+test('toImapError converts errors by code, response code and message', () => {
+  const cases = [
+    [{ authenticationFailed: true }, ImapAuthError, 'AuthenticationFailed', false],
+    [{ serverResponseCode: 'AUTHORIZATIONFAILED' }, ImapAuthError, 'AuthenticationFailed', false],
+    [{ code: 'ETIMEDOUT' }, ImapTimeoutError, 'Timeout', true],
+    [{ code: 'GREETING_TIMEOUT' }, ImapTimeoutError, 'Timeout', true],
+    [{ code: 'ECONNREFUSED' }, ImapConnectionError, 'ConnectionFailed', true],
+    [{ code: 'NoConnection' }, ImapConnectionError, 'ConnectionFailed', true],
+    [{ code: 'EConnectionClosed' }, ImapConnectionError, 'ConnectionFailed', true],
+    [{ serverResponseCode: 'NONEXISTENT' }, MailboxNotFoundError, 'MailboxNotFound', false],
+    [{ code: 'NotFound' }, MailboxNotFoundError, 'MailboxNotFound', false],
+    [{ response: 'NO Mailbox does not exist' }, MailboxNotFoundError, 'MailboxNotFound', false],
+    [{ response: 'NO Unknown Mailbox: Archive' }, MailboxNotFoundError, 'MailboxNotFound', false],
+    [{ serverResponseCode: 'OVERQUOTA' }, ImapQuotaError, 'QuotaExceeded', false],
+    [{ serverResponseCode: 'APPENDLIMIT' }, ImapQuotaError, 'QuotaExceeded', false],
+    [{ response: 'NO Mailbox is over quota' }, ImapQuotaError, 'QuotaExceeded', false],
+    [{ serverResponseCode: 'UNAVAILABLE' }, ImapError, 'CommandFailed', true],
+    [{ serverResponseCode: 'INUSE' }, ImapError, 'CommandFailed', true],
+    [{ response: 'NO Command failed' }, ImapError, 'CommandFailed', false],
+  ];
+
+  for (const [fields, type, code, retryable] of cases) {
+    const cause = imapFlowError('Command failed', fields);
+    const error = toImapError(cause, { folder: 'Archive' });
+
+    assert.equal(error.constructor, type, JSON.stringify(fields));
+    assert.equal(error.code, code, JSON.stringify(fields));
+    assert.equal(error.retryable, retryable, JSON.stringify(fields));
+    assert.equal(error.cause, cause);
+    assert.deepEqual(error.details, { folder: 'Archive' });
+  }
+});
+
+test('toImapError uses the server response as message', () => {
+  assert.equal(toImapError(imapFlowError('Command failed', { response: 'NO [LIMIT] Too big' })).message, 'NO [LIMIT] Too big');
+  assert.equal(
+    toImapError(imapFlowError('Command failed', { authenticationFailed: true, response: 'NO Invalid credentials' })).message,
+    'Authentication failed: NO Invalid credentials'
+  );
+  assert.equal(toImapError(imapFlowError('Command failed', { code: 'NotFound' }), { folder: 'Archive' }).message, 'Folder Archive does not exist');
+  assert.equal(toImapError(imapFlowError('Not found', { code: 'NotFound' })).message, 'Not found');
+});
+
+test('toImapError returns typed and argument errors unchanged', () => {
+  for (const error of [new MessageNotFoundError('Missing'), new TypeError('Bad argument'), new RangeError('Out of range')]) {
+    assert.equal(toImapError(error), error);
+  }
+});
+
+test('errors carry a stable code and retryable flag that options can override', () => {
+  const error = new ImapConnectionError('Lost', { retryable: false, details: { folder: 'INBOX' } });
+  assert.equal(error.name, 'ImapConnectionError');
+  assert.equal(error.code, 'ConnectionFailed');
+  assert.equal(error.retryable, false);
+  assert.ok(error instanceof ImapError);
+  assert.equal(new ImapError('Failed').code, 'CommandFailed');
+  assert.equal('details' in new ImapError('Failed'), false);
+});
+
+test('folderExists tells missing folders from failures', async () => {
+  const server = await startFakeImap({ authenticate: ({ pass }) => pass === 'secret' });
+  const client = new ImapClient(server.config());
+  const rejected = new ImapClient(server.config({ auth: { user: 'bot', pass: 'wrong' } }));
+
+  try {
+    assert.equal(await client.folderExists('INBOX'), true);
+    assert.equal(await client.folderExists('Missing'), false);
+    await assert.rejects(rejected.folderExists('INBOX'), ImapAuthError);
+  } finally {
+    await client.disconnect();
+    await rejected.disconnect();
+    await server.close();
+  }
+});
+
+test('message lookups throw MessageNotFoundError and headers are parsed', async () => {
+  const server = await startFakeImap();
+  server.addMessage('INBOX', 'Subject: Hello\nReceived: from a\nReceived: from b\nX-Long: folded\n  value\nMessage-ID: <a@example.com>\n\nBody\n');
+  const client = new ImapClient(server.config());
+
+  try {
+    assert.deepEqual(await client.getMessageHeaders('INBOX', 1), {
+      subject: 'Hello',
+      received: ['from a', 'from b'],
+      'x-long': 'folded value',
+      'message-id': '<a@example.com>',
+    });
+    assert.equal(await client.getMessageHeaders('INBOX', '<a@example.com>', 'X-LONG'), 'folded value');
+    assert.equal(await client.getMessageHeaders('INBOX', 1, 'X-Missing'), null);
+
+    for (const lookup of [
+      () => client.getMessageHeaders('INBOX', 2),
+      () => client.findMessageByMessageId('INBOX', '<missing@example.com>'),
+      () => client.getMessageContent('INBOX', '<missing@example.com>'),
+    ]) {
+      await assert.rejects(lookup(), (error) => {
+        assert.ok(error instanceof MessageNotFoundError);
+        assert.equal(error.retryable, false);
+        return true;
+      });
+    }
+    await assert.rejects(client.getMessageHeaders('Missing', 1), MailboxNotFoundError);
+  } finally {
+    await client.disconnect();
+    await server.close();
+  }
+});
@@ -0,0 +1,1664 @@
+/**
+ * Fake IMAP server for the tests
+ *
+ * Speaks enough IMAP4rev1, with LITERAL+, NAMESPACE, ENABLE, UIDPLUS, MOVE,
+ * IDLE, SPECIAL-USE and optionally CONDSTORE/QRESYNC, for ImapFlow and the
+ * ImapClient to run against it in-process. Folders and messages are kept in
+ * memory, so tests can set up a mailbox, run the client and inspect the result.
+ */
+
+import { createServer } from 'node:net';
+
+const SYSTEM_FLAGS = ['\\Answered', '\\Flagged', '\\Deleted', '\\Seen', '\\Draft'];
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Start a fake IMAP server on a random local port
+ *
+ * @param {Object} [options] - Server options
+ * @param {Array<string>} [options.capabilities] - Capabilities added to the defaults, e.g. ["CONDSTORE", "QRESYNC"]
+ * @param {Array<string>} [options.without] - Default capabilities to leave out, e.g. ["IDLE"]
+ * @param {string} [options.delimiter] - Hierarchy delimiter (default: "/")
+ * @param {string} [options.prefix] - Personal namespace prefix, e.g. "INBOX." (default: "")
+ * @param {Array<string|Object>} [options.folders] - Folders next to INBOX, as paths or {path, specialUse}
+ * @param {Array<string>} [options.permanentFlags] - Flags and keywords messages can store (default: any keyword)
+ * @param {Function} [options.authenticate] - Receives {user, pass, accessToken} and returns whether to accept
+ *   the login (default: accept everything)
+ * @param {Function} [options.onCommand] - Receives {tag, command, text} before a command runs, and returns
+ *   nothing to run it, a response to send instead, or false to never answer it
+ * @returns {Promise<FakeImapServer>} - Listening server
+ */
+export async function startFakeImap(options = {}) {
+  const server = new FakeImapServer(options);
+  await server.listen();
+  return server;
+}
+
+/**
+ * In-memory IMAP server
+ */
+class FakeImapServer {
+  constructor(options) {
+    this.options = options;
+    this.delimiter = options.delimiter || '/';
+    this.prefix = options.prefix || '';
+    this.capabilities = [
+      'IMAP4rev1',
+      'LITERAL+',
+      'NAMESPACE',
+      'ENABLE',
+      'UIDPLUS',
+      'MOVE',
+      'IDLE',
+      'SPECIAL-USE',
+      ...(options.capabilities || []),
+    ].filter((capability) => !(options.without || []).includes(capability));
+    this.permanentFlags = options.permanentFlags || [...SYSTEM_FLAGS, '\\*'];
+    this.folders = new Map();
+    this.sessions = new Set();
+    // Every command received, without literal contents, e.g. "UID SEARCH UNSEEN"
+    this.commands = [];
+    this.logins = [];
+    this.connections = 0;
+    this.uidValidity = 1000;
+
+    this.createFolder('INBOX');
+    for (const folder of options.folders || []) {
+      const { path, specialUse } = typeof folder === 'string' ? { path: folder } : folder;
+      this.createFolder(path, specialUse);
+    }
+
+    this.server = createServer((socket) => this.#accept(socket));
+  }
+
+  /**
+   * Start listening on a random port
+   *
+   * @returns {Promise<void>}
+   */
+  async listen() {
+    await new Promise((resolve) => this.server.listen(0, '127.0.0.1', resolve));
+    this.port = this.server.address().port;
+  }
+
+  /**
+   * Stop the server and drop every connection
+   *
+   * @returns {Promise<void>}
+   */
+  async close() {
+    for (const session of this.sessions) {
+      session.socket.destroy();
+    }
+    await new Promise((resolve) => this.server.close(resolve));
+  }
+
+  /**
+   * Drop every open connection without a goodbye, as a server restart or a frozen Lambda would
+   *
+   * @returns {void}
+   */
+  dropConnections() {
+    for (const session of this.sessions) {
+      session.socket.destroy();
+    }
+  }
+
+  /**
+   * Client configuration for this server
+   *
+   * @param {Object} [config] - Settings to add or override
+   * @returns {Object} - Configuration for ImapClient
+   */
+  config(config = {}) {
+    return {
+      host: '127.0.0.1',
+      port: this.port,
+      secure: false,
+      auth: { user: 'bot', pass: 'secret' },
+      logger: false,
+      ...config,
+    };
+  }
+
+  /**
+   * Create a folder
+   *
+   * @param {string} path - Full path, including the namespace prefix
+   * @param {string} [specialUse] - Special-use flag advertised by LIST, e.g. "\\Trash"
+   * @returns {Object} - Folder state
+   */
+  createFolder(path, specialUse) {
+    const folder = {
+      path,
+      specialUse: specialUse || null,
+      subscribed: true,
+      uidValidity: this.uidValidity++,
+      uidNext: 1,
+      modseq: 1,
+      messages: [],
+      // UIDs and modseqs of expunged messages, reported as VANISHED (EARLIER)
+      expunged: [],
+    };
+    this.folders.set(path, folder);
+    return folder;
+  }
+
+  /**
+   * Get a folder by path
+   *
+   * @param {string} path - Full path
+   * @returns {Object} - Folder state
+   * @throws {Error} - If the folder does not exist
+   */
+  folder(path) {
+    const folder = this.folders.get(path);
+    if (!folder) {
+      throw new Error(`No folder ${path}`);
+    }
+    return folder;
+  }
+
+  /**
+   * Deliver a message to a folder
+   *
+   * @param {string} path - Folder path
+   * @param {string|Buffer} source - Raw RFC 822 message, lines may end with LF only
+   * @param {Object} [options] - Message options
+   * @param {Array<string>} [options.flags] - Flags and keywords of the message
+   * @param {Date|string} [options.internalDate] - Internal date (default: now)
+   * @returns {number} - UID of the new message
+   */
+  addMessage(path, source, options = {}) {
+    const raw = Buffer.isBuffer(source) ? source.toString('latin1') : Buffer.from(source).toString('latin1');
+    return this.#store(this.folder(path), {
+      source: raw.replace(/\r?\n/g, '\r\n'),
+      flags: options.flags || [],
+      internalDate: options.internalDate ? new Date(options.internalDate) : new Date(),
+    });
+  }
+
+  /**
+   * Find a message by UID
+   *
+   * @param {string} path - Folder path
+   * @param {number} uid - UID of the message
+   * @returns {Object|undefined} - Message with uid, flags (Set), modseq, internalDate and source
+   */
+  message(path, uid) {
+    return this.folder(path).messages.find((message) => message.uid === uid);
+  }
+
+  /**
+   * Replace the flags of a message, as another client would
+   *
+   * @param {string} path - Folder path
+   * @param {number} uid - UID of the message
+   * @param {Array<string>} flags - New flags
+   * @returns {void}
+   */
+  setFlags(path, uid, flags) {
+    const folder = this.folder(path);
+    const message = this.message(path, uid);
+    message.flags = new Set(flags);
+    message.modseq = ++folder.modseq;
+  }
+
+  /**
+   * Expunge a message, as another client would
+   *
+   * @param {string} path - Folder path
+   * @param {number} uid - UID of the message
+   * @returns {void}
+   */
+  expunge(path, uid) {
+    this.#expunge(this.folder(path), [uid], null);
+  }
+
+  /**
+   * Replace the UIDVALIDITY of a folder, as if it had been recreated
+   *
+   * @param {string} path - Folder path
+   * @returns {void}
+   */
+  resetUidValidity(path) {
+    this.folder(path).uidValidity = this.uidValidity++;
+  }
+
+  /**
+   * Add a message to a folder and tell the sessions that have it selected
+   *
+   * @param {Object} folder - Folder state
+   * @param {Object} message - Object with source, flags and internalDate
+   * @returns {number} - UID of the new message
+   */
+  #store(folder, { source, flags, internalDate }) {
+    const message = {
+      uid: folder.uidNext++,
+      flags: new Set(flags),
+      modseq: ++folder.modseq,
+      internalDate,
+      source,
+    };
+    folder.messages.push(message);
+
+    for (const session of this.sessions) {
+      if (session.selected === folder) {
+        session.notify(`* ${folder.messages.length} EXISTS`);
+      }
+    }
+
+    return message.uid;
+  }
+
+  /**
+   * Remove messages from a folder and tell the sessions that have it selected
+   *
+   * @param {Object} folder - Folder state
+   * @param {Array<number>} uids - UIDs to remove
+   * @param {Session|null} origin - Session that expunged them, which is told right away
+   * @returns {void}
+   */
+  #expunge(folder, uids, origin) {
+    for (const uid of uids) {
+      const index = folder.messages.findIndex((message) => message.uid === uid);
+      if (index < 0) {
+        continue;
+      }
+      folder.messages.splice(index, 1);
+      folder.expunged.push({ uid, modseq: ++folder.modseq });
+
+      for (const session of this.sessions) {
+        if (session.selected === folder) {
+          const line = session.enabled.has('QRESYNC') ? `* VANISHED ${uid}` : `* ${index + 1} EXPUNGE`;
+          if (session === origin) {
+            session.send(line);
+          } else {
+            session.notify(line);
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Handle a new connection
+   *
+   * @param {Socket} socket - Client socket
+   * @returns {void}
+   */
+  #accept(socket) {
+    this.connections++;
+    const session = new Session(this, socket);
+    this.sessions.add(session);
+    socket.on('close', () => this.sessions.delete(session));
+    socket.on('error', () => {});
+    session.send(`* OK [CAPABILITY ${this.capabilities.join(' ')}] Fake IMAP ready`);
+  }
+
+  /**
+   * Run a command of a session
+   *
+   * @param {Session} session - Session the command was sent on
+   * @param {string} tag - Command tag
+   * @param {string} command - Command name in upper case, "UID FETCH" for UID commands
+   * @param {Array} args - Parsed arguments
+   * @returns {void}
+   */
+  run(session, tag, command, args) {
+    const handler = COMMANDS[command];
+    if (!handler) {
+      session.send(`${tag} BAD Unknown command ${command}`);
+      return;
+    }
+    if (!['CAPABILITY', 'LOGIN', 'AUTHENTICATE', 'LOGOUT', 'NOOP', 'ID'].includes(command) && !session.user) {
+      session.send(`${tag} NO Log in first`);
+      return;
+    }
+    if (command.startsWith('UID ') || ['FETCH', 'SEARCH', 'STORE', 'COPY', 'MOVE', 'EXPUNGE', 'CLOSE', 'UNSELECT'].includes(command)) {
+      if (!session.selected) {
+        session.send(`${tag} BAD No mailbox selected`);
+        return;
+      }
+    }
+    try {
+      handler.call(this, session, tag, args, command);
+    } catch (error) {
+      // Unsupported arguments fail the command instead of the server
+      session.send(`${tag} BAD ${error.message}`);
+    }
+  }
+
+  /**
+   * Folder paths matching a LIST pattern
+   *
+   * @param {string} pattern - Pattern with * and % wildcards
+   * @returns {Array<Object>} - Matching folders
+   */
+  matchFolders(pattern) {
+    const delimiter = escapeRegExp(this.delimiter);
+    const source = pattern
+      .split('')
+      .map((char) => (char === '*' ? '.*' : char === '%' ? `[^${delimiter}]*` : escapeRegExp(char)))
+      .join('');
+    const regexp = new RegExp(`^${source}$`, 'i');
+    return Array.from(this.folders.values()).filter((folder) => regexp.test(folder.path));
+  }
+
+  /**
+   * Copy messages into another folder
+   *
+   * @param {Object} folder - Source folder
+   * @param {Array<Object>} messages - Messages to copy
+   * @param {Object} target - Target folder
+   * @returns {string} - COPYUID response code
+   */
+  copyMessages(folder, messages, target) {
+    const uids = messages.map((message) =>
+      this.#store(target, {
+        source: message.source,
+        flags: Array.from(message.flags),
+        internalDate: message.internalDate,
+      })
+    );
+    return `COPYUID ${target.uidValidity} ${messages.map((message) => message.uid).join(',')} ${uids.join(',')}`;
+  }
+
+  /**
+   * Expunge messages on behalf of a session
+   *
+   * @param {Session} session - Session running EXPUNGE or MOVE
+   * @param {Array<number>} uids - UIDs to remove
+   * @returns {void}
+   */
+  expungeFor(session, uids) {
+    this.#expunge(session.selected, uids, session);
+  }
+
+  /**
+   * Append a message on behalf of a session
+   *
+   * @param {Object} folder - Target folder
+   * @param {Object} message - Object with source, flags and internalDate
+   * @returns {number} - UID of the new message
+   */
+  append(folder, message) {
+    return this.#store(folder, message);
+  }
+}
+
+/**
+ * State of one client connection
+ */
+class Session {
+  constructor(server, socket) {
+    this.server = server;
+    this.socket = socket;
+    this.user = null;
+    this.selected = null;
+    this.readOnly = false;
+    this.enabled = new Set();
+    this.idleTag = null;
+    // Untagged responses for messages changed by others, sent before the next tagged response
+    this.pending = [];
+    this.buffer = '';
+    this.command = '';
+    this.literal = 0;
+
+    socket.on('data', (chunk) => this.#read(chunk.toString('latin1')));
+  }
+
+  /**
+   * Write a response line, strings are sent as UTF-8 and buffers as they are
+   *
+   * @param {...(string|Buffer|Array)} parts - Parts of the line, nested arrays are flattened
+   * @returns {void}
+   */
+  send(...parts) {
+    if (this.socket.destroyed) {
+      return;
+    }
+    const chunks = parts.flat(Infinity).map((part) => (Buffer.isBuffer(part) ? part : Buffer.from(String(part))));
+    this.socket.write(Buffer.concat([...chunks, Buffer.from('\r\n')]));
+  }
+
+  /**
+   * Send an untagged response now while idling, or before the next tagged response
+   *
+   * @param {string} line - Untagged response
+   * @returns {void}
+   */
+  notify(line) {
+    if (this.idleTag) {
+      this.send(line);
+    } else {
+      this.pending.push(line);
+    }
+  }
+
+  /**
+   * Send the tagged completion of a command, after the pending untagged responses
+   *
+   * @param {string} tag - Command tag
+   * @param {string} [text] - Completion text, including a response code
+   * @returns {void}
+   */
+  ok(tag, text = 'Completed') {
+    this.flush();
+    this.send(`${tag} OK ${text}`);
+  }
+
+  /**
+   * Send the pending untagged responses
+   *
+   * @returns {void}
+   */
+  flush() {
+    for (const line of this.pending.splice(0)) {
+      this.send(line);
+    }
+  }
+
+  /**
+   * Collect command lines and literals until a command is complete
+   *
+   * @param {string} data - Received bytes as a latin1 string
+   * @returns {void}
+   */
+  #read(data) {
+    this.buffer += data;
+
+    while (this.buffer) {
+      if (this.literal) {
+        if (this.buffer.length < this.literal) {
+          return;
+        }
+        this.command += this.buffer.slice(0, this.literal);
+        this.buffer = this.buffer.slice(this.literal);
+        this.literal = 0;
+      }
+
+      const end = this.buffer.indexOf('\r\n');
+      if (end < 0) {
+        return;
+      }
+      const line = this.buffer.slice(0, end);
+      this.buffer = this.buffer.slice(end + 2);
+
+      const literal = /\{(\d+)(\+?)\}$/.exec(line);
+      if (literal) {
+        this.command += `${line}\r\n`;
+        this.literal = Number(literal[1]);
+        if (!literal[2]) {
+          this.send('+ Ready for literal data');
+        }
+        continue;
+      }
+
+      const command = this.command + line;
+      this.command = '';
+      this.#handle(command);
+    }
+  }
+
+  /**
+   * Parse and run a complete command
+   *
+   * @param {string} text - Command including literals
+   * @returns {void}
+   */
+  #handle(text) {
+    if (this.idleTag) {
+      if (text.toUpperCase() === 'DONE') {
+        const tag = this.idleTag;
+        this.idleTag = null;
+        this.ok(tag, 'IDLE terminated');
+      }
+      return;
+    }
+
+    if (!text.trim()) {
+      return;
+    }
+
+    const tokens = tokenize(text);
+    const tag = tokens.shift().value;
+    let command = String(tokens.shift().value).toUpperCase();
+    if (command === 'UID') {
+      command = `UID ${String(tokens.shift().value).toUpperCase()}`;
+    }
+
+    // Literal contents are left out of the log
+    this.server.commands.push(`${command} ${text.split(' ').slice(command.startsWith('UID ') ? 3 : 2).join(' ')}`.replace(/\{\d+\+?\}\r\n[\s\S]*$/, '{...}').trim());
+
+    const hook = this.server.options.onCommand;
+    const override = hook && hook({ tag, command, text });
+    if (override === false) {
+      return;
+    }
+    if (typeof override === 'string') {
+      this.send(override);
+      return;
+    }
+
+    this.server.run(this, tag, command, tokens);
+  }
+}
+
+/**
+ * Command handlers, called with the server as this
+ */
+const COMMANDS = {
+  CAPABILITY(session, tag) {
+    session.send(`* CAPABILITY ${this.capabilities.join(' ')}`);
+    session.ok(tag);
+  },
+
+  ID(session, tag) {
+    session.send('* ID NIL');
+    session.ok(tag);
+  },
+
+  NOOP(session, tag) {
+    session.ok(tag);
+  },
+
+  LOGIN(session, tag, [user, pass]) {
+    login.call(this, session, tag, { user: user.value, pass: pass.value });
+  },
+
+  AUTHENTICATE(session, tag, [mechanism, initial]) {
+    if (String(mechanism.value).toUpperCase() !== 'XOAUTH2' || !initial) {
+      session.send(`${tag} NO Unsupported mechanism`);
+      return;
+    }
+    const decoded = Buffer.from(initial.value, 'base64').toString();
+    const user = /user=([^\x01]*)/.exec(decoded);
+    const token = /auth=Bearer ([^\x01]*)/.exec(decoded);
+    login.call(this, session, tag, { user: user && user[1], accessToken: token && token[1] });
+  },
+
+  LOGOUT(session, tag) {
+    session.send('* BYE Logging out');
+    session.ok(tag);
+    session.socket.end();
+  },
+
+  NAMESPACE(session, tag) {
+    session.send(`* NAMESPACE ((${quote(this.prefix)} ${quote(this.delimiter)})) NIL NIL`);
+    session.ok(tag);
+  },
+
+  ENABLE(session, tag, args) {
+    const enabled = args
+      .map((arg) => String(arg.value).toUpperCase())
+      .filter((name) => this.capabilities.includes(name));
+    for (const name of enabled) {
+      session.enabled.add(name);
+    }
+    // QRESYNC implies CONDSTORE
+    if (session.enabled.has('QRESYNC')) {
+      session.enabled.add('CONDSTORE');
+    }
+    session.send(`* ENABLED ${enabled.join(' ')}`.trim());
+    session.ok(tag);
+  },
+
+  LIST(session, tag, [, pattern]) {
+    if (!pattern.value) {
+      session.send(`* LIST (\\Noselect) ${quote(this.delimiter)} ""`);
+      session.ok(tag);
+      return;
+    }
+    for (const folder of this.matchFolders(String(pattern.value))) {
+      const children = Array.from(this.folders.keys()).some((path) => path.startsWith(folder.path + this.delimiter));
+      const flags = [children ? '\\HasChildren' : '\\HasNoChildren'];
+      if (folder.specialUse) {
+        flags.push(folder.specialUse);
+      }
+      session.send(`* LIST (${flags.join(' ')}) ${quote(this.delimiter)} ${quote(folder.path)}`);
+    }
+    session.ok(tag);
+  },
+
+  LSUB(session, tag, [, pattern]) {
+    for (const folder of this.matchFolders(String(pattern.value)).filter((candidate) => candidate.subscribed)) {
+      session.send(`* LSUB () ${quote(this.delimiter)} ${quote(folder.path)}`);
+    }
+    session.ok(tag);
+  },
+
+  STATUS(session, tag, [name, items]) {
+    const folder = this.folders.get(String(name.value));
+    if (!folder) {
+      session.send(`${tag} NO [NONEXISTENT] Mailbox does not exist`);
+      return;
+    }
+    const values = {
+      MESSAGES: folder.messages.length,
+      RECENT: 0,
+      UIDNEXT: folder.uidNext,
+      UIDVALIDITY: folder.uidValidity,
+      UNSEEN: folder.messages.filter((message) => !message.flags.has('\\Seen')).length,
+      HIGHESTMODSEQ: folder.modseq,
+    };
+    const pairs = items.map((item) => `${String(item.value).toUpperCase()} ${values[String(item.value).toUpperCase()]}`);
+    session.send(`* STATUS ${quote(folder.path)} (${pairs.join(' ')})`);
+    session.ok(tag);
+  },
+
+  SELECT(session, tag, [name], command = 'SELECT') {
+    const folder = this.folders.get(String(name.value));
+    session.selected = null;
+    session.pending = [];
+    if (!folder) {
+      session.send(`${tag} NO [NONEXISTENT] Mailbox does not exist`);
+      return;
+    }
+    session.selected = folder;
+    session.readOnly = command === 'EXAMINE';
+
+    const keywords = new Set();
+    for (const message of folder.messages) {
+      for (const flag of message.flags) {
+        if (!flag.startsWith('\\')) {
+          keywords.add(flag);
+        }
+      }
+    }
+    session.send(`* FLAGS (${[...SYSTEM_FLAGS, ...keywords].join(' ')})`);
+    session.send(`* OK [PERMANENTFLAGS (${this.permanentFlags.join(' ')})] Flags permitted`);
+    session.send(`* ${folder.messages.length} EXISTS`);
+    session.send('* 0 RECENT');
+    session.send(`* OK [UIDVALIDITY ${folder.uidValidity}] UIDs valid`);
+    session.send(`* OK [UIDNEXT ${folder.uidNext}] Predicted next UID`);
+    if (this.capabilities.includes('CONDSTORE')) {
+      session.send(`* OK [HIGHESTMODSEQ ${folder.modseq}] Highest`);
+    }
+    session.send(`${tag} OK [${session.readOnly ? 'READ-ONLY' : 'READ-WRITE'}] ${command} completed`);
+  },
+
+  EXAMINE(session, tag, args) {
+    COMMANDS.SELECT.call(this, session, tag, args, 'EXAMINE');
+  },
+
+  CLOSE(session, tag) {
+    session.selected = null;
+    session.ok(tag);
+  },
+
+  UNSELECT(session, tag) {
+    session.selected = null;
+    session.ok(tag);
+  },
+
+  IDLE(session, tag) {
+    if (!this.capabilities.includes('IDLE')) {
+      session.send(`${tag} BAD IDLE is not supported`);
+      return;
+    }
+    session.idleTag = tag;
+    session.send('+ idling');
+    session.flush();
+  },
+
+  CREATE(session, tag, [name]) {
+    const path = String(name.value).replace(new RegExp(`${escapeRegExp(this.delimiter)}$`), '');
+    if (this.folders.has(path)) {
+      session.send(`${tag} NO [ALREADYEXISTS] Mailbox already exists`);
+      return;
+    }
+    this.createFolder(path);
+    session.ok(tag);
+  },
+
+  DELETE(session, tag, [name]) {
+    const path = String(name.value);
+    if (!this.folders.has(path) || path === 'INBOX') {
+      session.send(`${tag} NO [NONEXISTENT] Mailbox does not exist`);
+      return;
+    }
+    this.folders.delete(path);
+    session.ok(tag);
+  },
+
+  RENAME(session, tag, [name, newName]) {
+    const path = String(name.value);
+    const newPath = String(newName.value);
+    if (!this.folders.has(path)) {
+      session.send(`${tag} NO [NONEXISTENT] Mailbox does not exist`);
+      return;
+    }
+    if (this.folders.has(newPath)) {
+      session.send(`${tag} NO [ALREADYEXISTS] Mailbox already exists`);
+      return;
+    }
+    for (const [current, folder] of Array.from(this.folders)) {
+      if (current === path || current.startsWith(path + this.delimiter)) {
+        this.folders.delete(current);
+        folder.path = newPath + current.slice(path.length);
+        this.folders.set(folder.path, folder);
+      }
+    }
+    session.ok(tag);
+  },
+
+  SUBSCRIBE(session, tag, [name]) {
+    subscribe.call(this, session, tag, String(name.value), true);
+  },
+
+  UNSUBSCRIBE(session, tag, [name]) {
+    subscribe.call(this, session, tag, String(name.value), false);
+  },
+
+  APPEND(session, tag, args) {
+    const [name, ...rest] = args;
+    const folder = this.folders.get(String(name.value));
+    if (!folder) {
+      session.send(`${tag} NO [TRYCREATE] Mailbox does not exist`);
+      return;
+    }
+    const flags = Array.isArray(rest[0]) ? rest.shift().map((flag) => flag.value) : [];
+    const internalDate = rest.length > 1 ? parseInternalDate(rest.shift().value) : new Date();
+    const uid = this.append(folder, { source: rest[0].value, flags, internalDate });
+    session.ok(tag, `[APPENDUID ${folder.uidValidity} ${uid}] Append completed`);
+  },
+
+  'UID SEARCH'(session, tag, args) {
+    search.call(this, session, tag, args, true);
+  },
+
+  SEARCH(session, tag, args) {
+    search.call(this, session, tag, args, false);
+  },
+
+  'UID FETCH'(session, tag, args) {
+    fetch.call(this, session, tag, args, true);
+  },
+
+  FETCH(session, tag, args) {
+    fetch.call(this, session, tag, args, false);
+  },
+
+  'UID STORE'(session, tag, args) {
+    store.call(this, session, tag, args, true);
+  },
+
+  STORE(session, tag, args) {
+    store.call(this, session, tag, args, false);
+  },
+
+  'UID COPY'(session, tag, args) {
+    copy.call(this, session, tag, args, true, false);
+  },
+
+  COPY(session, tag, args) {
+    copy.call(this, session, tag, args, false, false);
+  },
+
+  'UID MOVE'(session, tag, args) {
+    copy.call(this, session, tag, args, true, true);
+  },
+
+  MOVE(session, tag, args) {
+    copy.call(this, session, tag, args, false, true);
+  },
+
+  'UID EXPUNGE'(session, tag, [set]) {
+    expungeDeleted.call(this, session, tag, set);
+  },
+
+  EXPUNGE(session, tag) {
+    expungeDeleted.call(this, session, tag, null);
+  },
+};
+
+/**
+ * Log a session in, or reject the credentials
+ *
+ * @param {Session} session - Session
+ * @param {string} tag - Command tag
+ * @param {Object} credentials - Object with user and pass or accessToken
+ * @returns {void}
+ */
+function login(session, tag, credentials) {
+  this.logins.push(credentials);
+  const accepted = this.options.authenticate ? this.options.authenticate(credentials) : true;
+  if (!accepted) {
+    session.send(`${tag} NO [AUTHENTICATIONFAILED] Invalid credentials`);
+    return;
+  }
+  session.user = credentials.user;
+  session.ok(tag, `[CAPABILITY ${this.capabilities.join(' ')}] Logged in`);
+}
+
+/**
+ * Set the subscription of a folder
+ *
+ * @param {Session} session - Session
+ * @param {string} tag - Command tag
+ * @param {string} path - Folder path
+ * @param {boolean} subscribed - New subscription state
+ * @returns {void}
+ */
+function subscribe(session, tag, path, subscribed) {
+  const folder = this.folders.get(path);
+  if (!folder) {
+    session.send(`${tag} NO [NONEXISTENT] Mailbox does not exist`);
+    return;
+  }
+  folder.subscribed = subscribed;
+  session.ok(tag);
+}
+
+/**
+ * Run SEARCH or UID SEARCH in the selected folder
+ *
+ * @param {Session} session - Session
+ * @param {string} tag - Command tag
+ * @param {Array} args - Search keys
+ * @param {boolean} byUid - Whether to return UIDs instead of sequence numbers
+ * @returns {void}
+ */
+function search(session, tag, args, byUid) {
+  const keys = [...args];
+  if (keys[0] && String(keys[0].value).toUpperCase() === 'CHARSET') {
+    keys.splice(0, 2);
+  }
+  const messages = session.selected.messages;
+  const matches = compileSearch(keys, messages);
+  const results = messages
+    .map((message, index) => ({ message, seq: index + 1 }))
+    .filter(({ message, seq }) => matches(message, seq))
+    .map(({ message, seq }) => (byUid ? message.uid : seq));
+
+  session.send(`* SEARCH${results.map((value) => ` ${value}`).join('')}`);
+  session.ok(tag);
+}
+
+/**
+ * Run FETCH or UID FETCH in the selected folder
+ *
+ * @param {Session} session - Session
+ * @param {string} tag - Command tag
+ * @param {Array} args - Sequence set, items and modifiers
+ * @param {boolean} byUid - Whether the set holds UIDs
+ * @returns {void}
+ */
+function fetch(session, tag, args, byUid) {
+  const [set, itemList, modifiers] = args;
+  const folder = session.selected;
+  let items = (Array.isArray(itemList) ? itemList : [itemList]).map((item) => String(item.value).toUpperCase());
+  let changedSince = null;
+
+  if (Array.isArray(modifiers)) {
+    const names = modifiers.map((modifier) => String(modifier.value).toUpperCase());
+    const index = names.indexOf('CHANGEDSINCE');
+    if (index >= 0) {
+      changedSince = Number(names[index + 1]);
+      if (!items.includes('MODSEQ')) {
+        items.push('MODSEQ');
+      }
+      if (names.includes('VANISHED') && byUid && session.enabled.has('QRESYNC')) {
+        const vanished = folder.expunged
+          .filter((entry) => entry.modseq > changedSince && inSet(entry.uid, set.value, folder.uidNext - 1))
+          .map((entry) => entry.uid);
+        if (vanished.length) {
+          session.send(`* VANISHED (EARLIER) ${vanished.join(',')}`);
+        }
+      }
+    }
+  }
+
+  if (byUid && !items.includes('UID')) {
+    items = ['UID', ...items];
+  }
+
+  const last = folder.messages.length;
+  folder.messages.forEach((message, index) => {
+    const seq = index + 1;
+    const selected = byUid ? inSet(message.uid, set.value, lastUid(folder)) : inSet(seq, set.value, last);
+    if (!selected || (changedSince !== null && message.modseq <= changedSince)) {
+      return;
+    }
+
+    const parts = [];
+    for (const item of items) {
+      parts.push(' ', fetchItem(message, item, session));
+    }
+    session.send(`* ${seq} FETCH (`, parts.slice(1), ')');
+  });
+
+  session.ok(tag);
+}
+
+/**
+ * Render one FETCH item of a message
+ *
+ * @param {Object} message - Message
+ * @param {string} item - Item name in upper case, e.g. "BODY.PEEK[HEADER.FIELDS (SUBJECT)]<0.100>"
+ * @param {Session} session - Session, whose folder is updated when BODY[] sets \Seen
+ * @returns {Array} - Response parts
+ */
+function fetchItem(message, item, session) {
+  switch (item) {
+    case 'UID':
+      return `UID ${message.uid}`;
+    case 'FLAGS':
+      return `FLAGS (${Array.from(message.flags).join(' ')})`;
+    case 'MODSEQ':
+      return `MODSEQ (${message.modseq})`;
+    case 'X-GM-MSGID':
+    case 'X-GM-THRID':
+      return `${item} ${message.uid}`;
+    case 'X-GM-LABELS':
+      return 'X-GM-LABELS ()';
+    case 'INTERNALDATE':
+      return `INTERNALDATE "${formatInternalDate(message.internalDate)}"`;
+    case 'RFC822.SIZE':
+      return `RFC822.SIZE ${message.source.length}`;
+    case 'ENVELOPE':
+      return ['ENVELOPE ', envelope(parseMime(message.source))];
+    case 'BODYSTRUCTURE':
+      return ['BODYSTRUCTURE ', bodyStructure(parseMime(message.source))];
+  }
+
+  const body = /^BODY(\.PEEK)?\[([^\]]*)\](?:<(\d+)(?:\.(\d+))?>)?$/.exec(item);
+  if (!body) {
+    throw new Error(`Unsupported FETCH item ${item}`);
+  }
+
+  const [, peek, section, start, length] = body;
+  let content = Buffer.from(sectionContent(message.source, section), 'latin1');
+  let origin = '';
+  if (start !== undefined) {
+    content = content.subarray(Number(start), length !== undefined ? Number(start) + Number(length) : undefined);
+    origin = `<${start}>`;
+  }
+  if (!peek && !message.flags.has('\\Seen') && !session.readOnly) {
+    message.flags.add('\\Seen');
+    message.modseq = ++session.selected.modseq;
+  }
+
+  return [`BODY[${section}]${origin} {${content.length}}\r\n`, content];
+}
+
+/**
+ * Run STORE or UID STORE in the selected folder
+ *
+ * @param {Session} session - Session
+ * @param {string} tag - Command tag
+ * @param {Array} args - Sequence set, optional modifiers, operation and flags
+ * @param {boolean} byUid - Whether the set holds UIDs
+ * @returns {void}
+ */
+function store(session, tag, args, byUid) {
+  const rest = args.slice(1);
+  if (Array.isArray(rest[0])) {
+    // UNCHANGEDSINCE is accepted and ignored
+    rest.shift();
+  }
+  const operation = String(rest[0].value).toUpperCase();
+  const flags = (Array.isArray(rest[1]) ? rest[1] : rest.slice(1)).map((flag) => flag.value);
+  const folder = session.selected;
+  const last = byUid ? lastUid(folder) : folder.messages.length;
+
+  folder.messages.forEach((message, index) => {
+    if (!inSet(byUid ? message.uid : index + 1, args[0].value, last)) {
+      return;
+    }
+    const allowed = flags.filter((flag) => this.permanentFlags.includes(flag) || (this.permanentFlags.includes('\\*') && !flag.startsWith('\\')));
+    if (operation.startsWith('+')) {
+      allowed.forEach((flag) => message.flags.add(flag));
+    } else if (operation.startsWith('-')) {
+      allowed.forEach((flag) => message.flags.delete(flag));
+    } else {
+      message.flags = new Set(allowed);
+    }
+    message.modseq = ++folder.modseq;
+
+    if (!operation.endsWith('.SILENT')) {
+      const modseq = session.enabled.has('CONDSTORE') ? ` MODSEQ (${message.modseq})` : '';
+      session.send(`* ${index + 1} FETCH (UID ${message.uid} FLAGS (${Array.from(message.flags).join(' ')})${modseq})`);
+    }
+  });
+
+  session.ok(tag);
+}
+
+/**
+ * Run COPY or MOVE, or their UID variants, in the selected folder
+ *
+ * @param {Session} session - Session
+ * @param {string} tag - Command tag
+ * @param {Array} args - Sequence set and target folder
+ * @param {boolean} byUid - Whether the set holds UIDs
+ * @param {boolean} move - Whether to expunge the copied messages
+ * @returns {void}
+ */
+function copy(session, tag, [set, name], byUid, move) {
+  const folder = session.selected;
+  const target = this.folders.get(String(name.value));
+  if (!target) {
+    session.send(`${tag} NO [TRYCREATE] Mailbox does not exist`);
+    return;
+  }
+
+  const last = byUid ? lastUid(folder) : folder.messages.length;
+  const messages = folder.messages.filter((message, index) => inSet(byUid ? message.uid : index + 1, set.value, last));
+  if (!messages.length) {
+    session.ok(tag, 'No messages matched');
+    return;
+  }
+
+  const copyUid = this.copyMessages(folder, messages, target);
+  if (!move) {
+    session.ok(tag, `[${copyUid}] Copy completed`);
+    return;
+  }
+
+  session.send(`* OK [${copyUid}] Moved`);
+  this.expungeFor(session, messages.map((message) => message.uid));
+  session.ok(tag, 'Move completed');
+}
+
+/**
+ * Remove the messages flagged \Deleted from the selected folder
+ *
+ * @param {Session} session - Session
+ * @param {string} tag - Command tag
+ * @param {Object|null} set - UID set limiting the messages, or null for every message
+ * @returns {void}
+ */
+function expungeDeleted(session, tag, set) {
+  const folder = session.selected;
+  const uids = folder.messages
+    .filter((message) => message.flags.has('\\Deleted') && (!set || inSet(message.uid, set.value, lastUid(folder))))
+    .map((message) => message.uid);
+  this.expungeFor(session, uids);
+  session.ok(tag);
+}
+
+/**
+ * Compile search keys into a predicate
+ *
+ * @param {Array} tokens - Search keys, consumed from the front
+ * @param {Array<Object>} messages - Messages of the folder, to resolve "*"
+ * @returns {Function} - Predicate receiving a message and its sequence number
+ */
+function compileSearch(tokens, messages) {
+  const predicates = [];
+  while (tokens.length) {
+    predicates.push(compileKey(tokens, messages));
+  }
+  return (message, seq) => predicates.every((predicate) => predicate(message, seq));
+}
+
+/**
+ * Compile the search key at the front of the tokens
+ *
+ * @param {Array} tokens - Search keys, consumed from the front
+ * @param {Array<Object>} messages - Messages of the folder
+ * @returns {Function} - Predicate receiving a message and its sequence number
+ */
+function compileKey(tokens, messages) {
+  const token = tokens.shift();
+  if (Array.isArray(token)) {
+    return compileSearch([...token], messages);
+  }
+
+  const key = String(token.value).toUpperCase();
+  const argument = () => String(tokens.shift().value);
+  const flag = (name, expected) => (message) => message.flags.has(name) === expected;
+  const header = (name, value) => (message) =>
+    headerValues(parseMime(message.source), name).some((candidate) => contains(candidate, value));
+  const day = (date) => Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+  const sentDate = (message) => {
+    const [date] = headerValues(parseMime(message.source), 'date');
+    return date ? new Date(date) : message.internalDate;
+  };
+  const maxUid = messages.length ? messages[messages.length - 1].uid : 0;
+
+  switch (key) {
+    case 'ALL':
+      return () => true;
+    case 'ANSWERED':
+    case 'DELETED':
+    case 'DRAFT':
+    case 'FLAGGED':
+    case 'SEEN':
+      return flag(`\\${key.charAt(0)}${key.slice(1).toLowerCase()}`, true);
+    case 'UNANSWERED':
+    case 'UNDELETED':
+    case 'UNDRAFT':
+    case 'UNFLAGGED':
+    case 'UNSEEN':
+      return flag(`\\${key.charAt(2)}${key.slice(3).toLowerCase()}`, false);
+    case 'RECENT':
+    case 'NEW':
+      return () => false;
+    case 'OLD':
+      return () => true;
+    case 'KEYWORD': {
+      const name = argument();
+      return (message) => message.flags.has(name);
+    }
+    case 'UNKEYWORD': {
+      const name = argument();
+      return (message) => !message.flags.has(name);
+    }
+    case 'HEADER': {
+      const name = argument();
+      const value = argument();
+      return header(name, value);
+    }
+    case 'FROM':
+    case 'TO':
+    case 'CC':
+    case 'BCC':
+    case 'SUBJECT':
+      return header(key, argument());
+    case 'BODY': {
+      const value = argument();
+      return (message) => contains(parseMime(message.source).body, value);
+    }
+    case 'TEXT': {
+      const value = argument();
+      return (message) => contains(message.source, value);
+    }
+    case 'LARGER': {
+      const size = Number(argument());
+      return (message) => message.source.length > size;
+    }
+    case 'SMALLER': {
+      const size = Number(argument());
+      return (message) => message.source.length < size;
+    }
+    case 'SINCE':
+    case 'BEFORE':
+    case 'ON':
+    case 'SENTSINCE':
+    case 'SENTBEFORE':
+    case 'SENTON': {
+      const date = day(parseSearchDate(argument()));
+      const sent = key.startsWith('SENT');
+      const compare = key.replace('SENT', '');
+      return (message) => {
+        const value = day(sent ? sentDate(message) : message.internalDate);
+        return compare === 'SINCE' ? value >= date : compare === 'BEFORE' ? value < date : value === date;
+      };
+    }
+    case 'MODSEQ': {
+      const modseq = Number(argument());
+      return (message) => message.modseq >= modseq;
+    }
+    case 'UID': {
+      const set = argument();
+      return (message) => inSet(message.uid, set, maxUid);
+    }
+    case 'NOT': {
+      const predicate = compileKey(tokens, messages);
+      return (message, seq) => !predicate(message, seq);
+    }
+    case 'OR': {
+      const left = compileKey(tokens, messages);
+      const right = compileKey(tokens, messages);
+      return (message, seq) => left(message, seq) || right(message, seq);
+    }
+    default:
+      if (/^[\d*:,]+$/.test(key)) {
+        return (message, seq) => inSet(seq, key, messages.length);
+      }
+      throw new Error(`Unsupported search key ${key}`);
+  }
+}
+
+/**
+ * Split a command into tokens
+ *
+ * Atoms and strings (quoted or literal) become {type, value} objects,
+ * parenthesized lists become arrays. Section brackets, e.g. in
+ * BODY.PEEK[HEADER.FIELDS (SUBJECT)]<0.100>, are part of their atom.
+ *
+ * @param {string} text - Command as a latin1 string
+ * @returns {Array} - Tokens
+ */
+export function tokenize(text) {
+  const root = [];
+  const stack = [root];
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+    const list = stack[stack.length - 1];
+
+    if (char === ' ' || char === '\r' || char === '\n') {
+      i++;
+    } else if (char === '(') {
+      const child = [];
+      list.push(child);
+      stack.push(child);
+      i++;
+    } else if (char === ')') {
+      stack.pop();
+      i++;
+    } else if (char === '"') {
+      let value = '';
+      for (i++; i < text.length && text[i] !== '"'; i++) {
+        if (text[i] === '\\') {
+          i++;
+        }
+        value += text[i];
+      }
+      list.push({ type: 'string', value });
+      i++;
+    } else if (char === '{') {
+      const literal = /^\{(\d+)\+?\}\r\n/.exec(text.slice(i));
+      const start = i + literal[0].length;
+      const length = Number(literal[1]);
+      list.push({ type: 'string', value: text.slice(start, start + length) });
+      i = start + length;
+    } else {
+      let value = '';
+      let depth = 0;
+      while (i < text.length) {
+        const current = text[i];
+        if (current === '[' || (current === '<' && !depth)) {
+          depth++;
+        } else if (current === ']' || (current === '>' && depth)) {
+          depth--;
+        } else if (!depth && (current === ' ' || current === '(' || current === ')' || current === '\r')) {
+          break;
+        }
+        value += current;
+        i++;
+      }
+      list.push({ type: 'atom', value: value.toUpperCase() === 'NIL' ? null : value });
+    }
+  }
+
+  return root;
+}
+
+/**
+ * Parse a message or body part into headers, body and child parts
+ *
+ * @param {string} source - Raw message as a latin1 string
+ * @returns {Object} - Node with header (raw, including the blank line), headers ([name, value] pairs), body,
+ *   contentType, parameters and children (for multipart and message/rfc822 parts)
+ */
+export function parseMime(source) {
+  const split = source.indexOf('\r\n\r\n');
+  const header = split >= 0 ? source.slice(0, split + 4) : source;
+  const body = split >= 0 ? source.slice(split + 4) : '';
+  const headers = [];
+
+  for (const line of header.replace(/\r\n[ \t]+/g, ' ').split('\r\n')) {
+    const colon = line.indexOf(':');
+    if (colon > 0) {
+      headers.push([line.slice(0, colon).trim().toLowerCase(), line.slice(colon + 1).trim()]);
+    }
+  }
+
+  const node = { header, headers, body };
+  const [type, parameters] = parseHeaderValue(headerValues(node, 'content-type')[0] || 'text/plain; charset=us-ascii');
+  node.contentType = type.toLowerCase();
+  node.parameters = parameters;
+
+  if (node.contentType.startsWith('multipart/') && parameters.boundary) {
+    const delimiter = `--${parameters.boundary}`;
+    node.children = body
+      .split(new RegExp(`(?:^|\\r\\n)${escapeRegExp(delimiter)}(?:--)?[ \\t]*(?:\\r\\n|$)`))
+      .slice(1, -1)
+      .map((part) => parseMime(part.startsWith('\r\n') ? part : part));
+  } else if (node.contentType === 'message/rfc822') {
+    node.message = parseMime(body);
+  }
+
+  return node;
+}
+
+/**
+ * Values of a header in a parsed node
+ *
+ * @param {Object} node - Node returned by parseMime
+ * @param {string} name - Header name, case-insensitive
+ * @returns {Array<string>} - Values in order
+ */
+function headerValues(node, name) {
+  const lower = name.toLowerCase();
+  return node.headers.filter(([candidate]) => candidate === lower).map(([, value]) => value);
+}
+
+/**
+ * Split a structured header value into its value and parameters
+ *
+ * @param {string} value - Header value, e.g. 'attachment; filename="a.pdf"'
+ * @returns {Array} - Value and parameters with lowercase names
+ */
+function parseHeaderValue(value) {
+  const [main, ...rest] = value.split(';');
+  const parameters = {};
+  for (const parameter of rest) {
+    const equals = parameter.indexOf('=');
+    if (equals > 0) {
+      parameters[parameter.slice(0, equals).trim().toLowerCase()] = parameter.slice(equals + 1).trim().replace(/^"|"$/g, '');
+    }
+  }
+  return [main.trim(), parameters];
+}
+
+/**
+ * Get the content of a body section
+ *
+ * @param {string} source - Raw message
+ * @param {string} section - Section specifier, e.g. "", "HEADER", "TEXT", "2", "1.MIME" or
+ *   "HEADER.FIELDS (SUBJECT FROM)"
+ * @returns {string} - Section content as a latin1 string
+ */
+function sectionContent(source, section) {
+  const root = parseMime(source);
+  const fields = /^((?:\d+\.)*)HEADER\.FIELDS(\.NOT)? \(([^)]*)\)$/i.exec(section);
+  const path = section.match(/^(\d+(?:\.\d+)*)?\.?(.*)$/);
+  const node = fields ? findPart(root, fields[1].replace(/\.$/, '')) : findPart(root, path[1] || '');
+
+  if (!node) {
+    return '';
+  }
+
+  if (fields) {
+    const names = fields[3].split(/\s+/).map((name) => name.toLowerCase());
+    const lines = node.header.split(/\r\n(?![ \t])/).filter((line) => {
+      const name = line.slice(0, line.indexOf(':')).trim().toLowerCase();
+      return line.includes(':') && names.includes(name) !== Boolean(fields[2]);
+    });
+    return lines.map((line) => `${line}\r\n`).join('') + '\r\n';
+  }
+
+  switch ((path[2] || '').toUpperCase()) {
+    case '':
+      return path[1] ? node.partBody : source;
+    case 'HEADER':
+      return node.header;
+    case 'TEXT':
+      return node.body;
+    case 'MIME':
+      return node.partHeader;
+    default:
+      return '';
+  }
+}
+
+/**
+ * Find a body part by its part number
+ *
+ * The result has partHeader and partBody, the MIME header and content of
+ * the part; the header and body of a message/rfc822 part are those of the
+ * encapsulated message, as for the root.
+ *
+ * @param {Object} root - Parsed message
+ * @param {string} number - Part number, e.g. "1.2", or "" for the message itself
+ * @returns {Object|null} - Part, or null if there is none
+ */
+function findPart(root, number) {
+  let node = { ...root, partHeader: root.header, partBody: root.body };
+
+  for (const index of number ? number.split('.').map(Number) : []) {
+    const container = node.message && !node.children ? node.message : node;
+    if (container.children) {
+      const child = container.children[index - 1];
+      if (!child) {
+        return null;
+      }
+      node = { ...child, partHeader: child.header, partBody: child.body };
+    } else if (index !== 1) {
+      return null;
+    }
+  }
+
+  if (node.message) {
+    return { ...node.message, partHeader: node.partHeader, partBody: node.partBody };
+  }
+  return node;
+}
+
+/**
+ * Render the BODYSTRUCTURE of a parsed node
+ *
+ * @param {Object} node - Node returned by parseMime
+ * @returns {Array} - Response parts
+ */
+function bodyStructure(node) {
+  const [type, subtype] = node.contentType.split('/');
+
+  if (node.children) {
+    return [
+      '(',
+      node.children.map(bodyStructure),
+      ` ${quote(subtype.toUpperCase())} ${parameterList(node.parameters)} NIL NIL NIL)`,
+    ];
+  }
+
+  const encoding = (headerValues(node, 'content-transfer-encoding')[0] || '7bit').toUpperCase();
+  const id = headerValues(node, 'content-id')[0];
+  const description = headerValues(node, 'content-description')[0];
+  const [disposition, dispositionParameters] = parseHeaderValue(headerValues(node, 'content-disposition')[0] || '');
+  const parts = [
+    `(${quote(type.toUpperCase())} ${quote(subtype.toUpperCase())} ${parameterList(node.parameters)} `,
+    string(id),
+    ' ',
+    string(description),
+    ` ${quote(encoding)} ${node.body.length}`,
+  ];
+
+  if (node.message) {
+    parts.push(' ', envelope(node.message), ' ', bodyStructure(node.message), ` ${lineCount(node.body)}`);
+  } else if (type === 'text') {
+    parts.push(` ${lineCount(node.body)}`);
+  }
+
+  const dispositionList = disposition
+    ? `(${quote(disposition.toUpperCase())} ${parameterList(dispositionParameters)})`
+    : 'NIL';
+  parts.push(` NIL ${dispositionList} NIL NIL)`);
+  return parts;
+}
+
+/**
+ * Render the ENVELOPE of a parsed message
+ *
+ * @param {Object} node - Node returned by parseMime
+ * @returns {Array} - Response parts
+ */
+function envelope(node) {
+  const value = (name) => headerValues(node, name)[0];
+  const from = addressList(value('from'));
+  const parts = [
+    '(',
+    string(value('date')),
+    ' ',
+    string(value('subject')),
+    ' ',
+    from,
+    ' ',
+    value('sender') ? addressList(value('sender')) : from,
+    ' ',
+    value('reply-to') ? addressList(value('reply-to')) : from,
+    ' ',
+    addressList(value('to')),
+    ' ',
+    addressList(value('cc')),
+    ' ',
+    addressList(value('bcc')),
+    ' ',
+    string(value('in-reply-to')),
+    ' ',
+    string(value('message-id')),
+    ')',
+  ];
+  return parts;
+}
+
+/**
+ * Render an address header as an IMAP address list
+ *
+ * @param {string} [value] - Header value, e.g. 'Ann <ann@example.com>, bob@example.com'
+ * @returns {Array|string} - Response parts, or NIL
+ */
+function addressList(value) {
+  if (!value) {
+    return 'NIL';
+  }
+
+  const addresses = value.match(/(?:"[^"]*"|[^,])+/g).map((entry) => {
+    const match = /^\s*(?:"?([^"<]*?)"?\s*)?<([^>]+)>\s*$/.exec(entry) || [null, '', entry.trim()];
+    const [mailbox, host] = match[2].split('@');
+    return ['(', string(match[1] || null), ' NIL ', string(mailbox), ' ', string(host || null), ')'];
+  });
+
+  return ['(', addresses, ')'];
+}
+
+/**
+ * Render a parameter list such as ("CHARSET" "utf-8")
+ *
+ * @param {Object} parameters - Parameters by name
+ * @returns {string} - Parenthesized list or NIL
+ */
+function parameterList(parameters) {
+  const entries = Object.entries(parameters);
+  if (!entries.length) {
+    return 'NIL';
+  }
+  return `(${entries.map(([name, value]) => `${quote(name.toUpperCase())} ${quote(value)}`).join(' ')})`;
+}
+
+/**
+ * Render a string as quoted string, literal or NIL
+ *
+ * @param {string|null} [value] - Latin1 string
+ * @returns {string|Array} - Response parts
+ */
+function string(value) {
+  if (value === null || value === undefined) {
+    return 'NIL';
+  }
+  if (/^[\x20-\x7e]*$/.test(value)) {
+    return quote(value);
+  }
+  const bytes = Buffer.from(value, 'latin1');
+  return [`{${bytes.length}}\r\n`, bytes];
+}
+
+/**
+ * Quote a string
+ *
+ * @param {string} value - Printable ASCII string
+ * @returns {string} - Quoted string
+ */
+function quote(value) {
+  return `"${String(value).replace(/[\\"]/g, '\\$&')}"`;
+}
+
+/**
+ * Check whether a number is in a sequence set
+ *
+ * @param {number} value - UID or sequence number
+ * @param {string} set - Sequence set, e.g. "1:3,7,9:*"
+ * @param {number} max - Value of "*"
+ * @returns {boolean} - True if the set contains the number
+ */
+function inSet(value, set, max) {
+  return String(set)
+    .split(',')
+    .some((range) => {
+      const [start, end = start] = range.split(':').map((bound) => (bound === '*' ? max : Number(bound)));
+      return value >= Math.min(start, end) && value <= Math.max(start, end);
+    });
+}
+
+/**
+ * Highest UID in use in a folder
+ *
+ * @param {Object} folder - Folder state
+ * @returns {number} - UID, 0 if the folder is empty
+ */
+function lastUid(folder) {
+  return folder.messages.length ? folder.messages[folder.messages.length - 1].uid : 0;
+}
+
+/**
+ * Case-insensitive substring check, an empty needle matches any value
+ *
+ * @param {string} haystack - Text to search
+ * @param {string} needle - Text to find
+ * @returns {boolean} - True if found
+ */
+function contains(haystack, needle) {
+  return haystack.toLowerCase().includes(needle.toLowerCase());
+}
+
+/**
+ * Count the lines of a body
+ *
+ * @param {string} body - Body
+ * @returns {number} - Number of lines
+ */
+function lineCount(body) {
+  return body ? body.split('\r\n').length : 0;
+}
+
+/**
+ * Format a date as IMAP date-time, e.g. "02-Oct-2025 09:15:07 +0000"
+ *
+ * @param {Date} date - Date
+ * @returns {string} - Date-time
+ */
+function formatInternalDate(date) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${pad(date.getUTCDate())}-${MONTHS[date.getUTCMonth()]}-${date.getUTCFullYear()} ` +
+    `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())} +0000`;
+}
+
+/**
+ * Parse an IMAP date-time, e.g. " 2-Oct-2025 09:15:07 +0200"
+ *
+ * @param {string} value - Date-time
+ * @returns {Date} - Date
+ */
+function parseInternalDate(value) {
+  const [, day, month, year, time, zone] = /^\s*(\d+)-(\w+)-(\d+) ([\d:]+) ([+-]\d{4})$/.exec(value);
+  return new Date(`${year}-${pad2(MONTHS.indexOf(month) + 1)}-${pad2(day)}T${time}${zone.slice(0, 3)}:${zone.slice(3)}`);
+}
+
+/**
+ * Parse an IMAP search date, e.g. "2-Oct-2025"
+ *
+ * @param {string} value - Date
+ * @returns {Date} - Midnight UTC of the date
+ */
+function parseSearchDate(value) {
+  const [day, month, year] = value.split('-');
+  return new Date(Date.UTC(Number(year), MONTHS.indexOf(month), Number(day)));
+}
+
+/**
+ * Pad a number to two digits
+ *
+ * @param {number|string} value - Number
+ * @returns {string} - Padded number
+ */
+function pad2(value) {
+  return String(value).padStart(2, '0');
+}
+
+/**
+ * Escape a string for use in a regular expression
+ *
+ * @param {string} value - Text
+ * @returns {string} - Escaped text
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,210 @@
+/**
+ * Tests for folder paths and the folder lifecycle
+ *
+ * The client runs against the in-process fake IMAP server, configured with
+ * the delimiters and namespaces of the different server families.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ImapClient } from '../nodejs/imap-lambda-layer/imap-client.mjs';
+import { startFakeImap } from './fake-imap.mjs';
+
+/**
+ * Run a test body with a fake server and a client connected to it
+ *
+ * @param {Object} options - Fake server options
+ * @param {Function} body - Receives the server and the client
+ * @returns {Promise<void>}
+ */
+async function withServer(options, body) {
+  const server = await startFakeImap(options);
+  const client = new ImapClient(server.config());
+  try {
+    await body(server, client);
+  } finally {
+    await client.disconnect();
+    await server.close();
+  }
+}
+
+test('paths use the delimiter and personal namespace of the server', async () => {
+  await withServer({ delimiter: '.', prefix: 'INBOX.' }, async (server, client) => {
+    assert.equal(await client.folderMake('Clients/Acme'), true);
+    assert.deepEqual(Array.from(server.folders.keys()), ['INBOX', 'INBOX.Clients', 'INBOX.Clients.Acme']);
+
+    assert.equal(client.delimiter, '.');
+    assert.equal(client.namespacePrefix, 'INBOX.');
+    assert.equal(await client.folderExists('Clients\\Acme'), true);
+    assert.equal(await client.folderExists('/Clients//Acme/'), true);
+    assert.equal(await client.folderExists('INBOX.Clients.Acme'), true);
+    assert.equal(await client.folderExists('Clients/Other'), false);
+
+    server.addMessage('INBOX.Clients.Acme', 'Subject: Hello\n\nBody\n');
+    const [message] = await client.listMessages('Clients/Acme', 1);
+    assert.equal(message.envelope.subject, 'Hello');
+  });
+});
+
+test('the delimiter is discovered with LIST on servers without NAMESPACE', async () => {
+  await withServer({ delimiter: '.', without: ['NAMESPACE'] }, async (server, client) => {
+    await client.folderMake('Clients/Acme');
+
+    assert.equal(client.delimiter, '.');
+    assert.equal(client.namespacePrefix, '');
+    assert.deepEqual(Array.from(server.folders.keys()), ['INBOX', 'Clients', 'Clients.Acme']);
+  });
+});
+
+test('folderMake only creates the missing folders', async () => {
+  await withServer({ folders: ['Clients'] }, async (server, client) => {
+    await client.folderMake('Clients/Acme/2025');
+    await client.folderMake('Clients/Acme');
+
+    assert.deepEqual(server.commands.filter((command) => command.startsWith('CREATE')), [
+      'CREATE Clients/Acme',
+      'CREATE Clients/Acme/2025',
+    ]);
+  });
+});
+
+test('folderRename moves folders and creates the new parents', async () => {
+  await withServer({ folders: ['Customers', 'Customers/Acme', 'Customers/Acme/Invoices'] }, async (server, client) => {
+    assert.deepEqual(await client.folderRename('Customers/Acme', 'Merged/Acme Corp'), {
+      path: 'Customers/Acme',
+      newPath: 'Merged/Acme Corp',
+    });
+    assert.deepEqual(Array.from(server.folders.keys()).sort(), [
+      'Customers',
+      'INBOX',
+      'Merged',
+      'Merged/Acme Corp',
+      'Merged/Acme Corp/Invoices',
+    ]);
+  });
+});
+
+test('folderDelete deletes subtrees only when asked to', async () => {
+  const folders = ['Tenant', 'Tenant/Mail', 'Tenant/Mail/2025', 'Tenant/Drafts', 'Tenants'];
+  await withServer({ folders }, async (server, client) => {
+    await assert.rejects(client.folderDelete('Tenant'), {
+      code: 'FolderHasSubfolders',
+      message: 'Folder Tenant has 3 subfolder(s), use the recursive option to delete them',
+    });
+
+    server.addMessage('Tenant/Mail/2025', 'Subject: Kept\n\nBody\n');
+    await assert.rejects(client.folderDelete('Tenant', { recursive: true, onlyIfEmpty: true }), (error) => {
+      assert.equal(error.code, 'FolderNotEmpty');
+      assert.deepEqual(error.details, { folder: 'Tenant/Mail/2025', messages: 1 });
+      return true;
+    });
+    assert.equal(server.folders.size, 6);
+
+    assert.deepEqual(await client.folderDelete('Tenant', { recursive: true }), [
+      'Tenant/Mail/2025',
+      'Tenant/Drafts',
+      'Tenant/Mail',
+      'Tenant',
+    ]);
+    assert.deepEqual(Array.from(server.folders.keys()), ['INBOX', 'Tenants']);
+
+    await assert.rejects(client.folderDelete('inbox', { recursive: true }), { code: 'InboxNotDeletable' });
+  });
+});
+
+test('folderSubscribe and folderUnsubscribe change the subscription', async () => {
+  await withServer({ folders: ['News'] }, async (server, client) => {
+    assert.equal(await client.folderUnsubscribe('News'), true);
+    assert.equal(server.folder('News').subscribed, false);
+    assert.equal(await client.folderSubscribe('News'), true);
+    assert.equal(server.folder('News').subscribed, true);
+  });
+});
+
+test('folderStatus reports counters and UID state', async () => {
+  await withServer({ capabilities: ['CONDSTORE'] }, async (server, client) => {
+    server.addMessage('INBOX', 'Subject: Read\n\nBody\n', { flags: ['\\Seen'] });
+    server.addMessage('INBOX', 'Subject: Unread\n\nBody\n');
+    const folder = server.folder('INBOX');
+
+    assert.deepEqual(await client.folderStatus('INBOX'), {
+      path: 'INBOX',
+      messages: 2,
+      unseen: 1,
+      recent: 0,
+      uidNext: 3,
+      uidValidity: String(folder.uidValidity),
+      highestModseq: String(folder.modseq),
+    });
+  });
+
+  await withServer({}, async (server, client) => {
+    const status = await client.folderStatus('INBOX');
+    assert.equal(status.messages, 0);
+    assert.equal(status.highestModseq, null);
+    await assert.rejects(client.folderStatus('Missing'), { code: 'MailboxNotFound' });
+  });
+});
+
+test('special-use folders are resolved from the LIST flags', async () => {
+  const folders = [
+    { path: '[Gmail]/Bin', specialUse: '\\Trash' },
+    { path: '[Gmail]/Sent Mail', specialUse: '\\Sent' },
+    { path: '[Gmail]/All Mail', specialUse: '\\All' },
+    { path: '[Gmail]/Starred', specialUse: '\\Flagged' },
+    // Name heuristics do not override the flags
+    'Trash',
+  ];
+  await withServer({ folders }, async (server, client) => {
+    assert.deepEqual(await client.getSpecialFolders(), {
+      '\\Trash': '[Gmail]/Bin',
+      '\\Sent': '[Gmail]/Sent Mail',
+      '\\All': '[Gmail]/All Mail',
+      '\\Flagged': '[Gmail]/Starred',
+    });
+    assert.equal(await client.getSpecialFolder('trash'), '[Gmail]/Bin');
+    assert.equal(await client.getSpecialFolder('\\Junk'), null);
+  });
+});
+
+test('special-use folders fall back to well-known names', async () => {
+  const folders = ['Deleted Items', 'Sent Items', 'Junk E-mail', 'Drafts', 'Archives', 'All Mail', 'Flagged'];
+  await withServer({ folders, without: ['SPECIAL-USE'] }, async (server, client) => {
+    assert.deepEqual(await client.getSpecialFolders(), {
+      '\\Trash': 'Deleted Items',
+      '\\Sent': 'Sent Items',
+      '\\Junk': 'Junk E-mail',
+      '\\Drafts': 'Drafts',
+      '\\Archive': 'Archives',
+      '\\All': 'All Mail',
+      '\\Flagged': 'Flagged',
+    });
+  });
+});
+
+test('moveToTrash moves messages into the Trash folder and the cache follows folder changes', async () => {
+  await withServer({ folders: [{ path: 'Papierkorb', specialUse: '\\Trash' }] }, async (server, client) => {
+    server.addMessage('INBOX', 'Subject: Old\nMessage-ID: <old@example.com>\n\nBody\n');
+
+    assert.deepEqual(await client.moveToTrash('INBOX', '<old@example.com>'), [
+      { identifier: '<old@example.com>', uid: 1, status: 'moved', newUid: 1 },
+    ]);
+    assert.equal(server.folder('Papierkorb').messages.length, 1);
+
+    await client.folderRename('Papierkorb', 'Trash Old');
+    assert.equal(await client.getSpecialFolder('Trash'), 'Trash Old');
+    await assert.rejects(client.moveToSpecialFolder('INBOX', '\\Junk', 1), {
+      code: 'MailboxNotFound',
+      message: 'No \\Junk folder found on the server',
+    });
+  });
+});
+
+test('unknown special-use flags are rejected', async () => {
+  const client = new ImapClient({ host: '127.0.0.1', port: 1, secure: false, auth: { user: 'bot', pass: 'secret' }, logger: false });
+  await assert.rejects(client.getSpecialFolder('\\Spam'), {
+    name: 'TypeError',
+    message: 'Unknown special-use flag "\\Spam", expected one of: \\All, \\Archive, \\Drafts, \\Flagged, \\Junk, \\Sent, \\Trash',
+  });
+});
@@ -0,0 +1,199 @@
+/**
+ * Tests for the Lambda handler: event validation, the allow-list and responses
+ *
+ * Invalid events are rejected before the client connects, so no server is needed
+ * for them; operations are run against the in-process fake IMAP server.
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createImapHandler } from '../nodejs/imap-lambda-layer/handler.mjs';
+import { clearImapClientCache } from '../nodejs/imap-lambda-layer/imap-client.mjs';
+import { ImapError, MessageNotFoundError } from '../nodejs/imap-lambda-layer/errors.mjs';
+import { startFakeImap } from './fake-imap.mjs';
+
+const config = { host: '127.0.0.1', port: 1, secure: false, auth: { user: 'bot', pass: 'secret' }, logger: false };
+
+after(() => clearImapClientCache());
+
+/**
+ * Call a handler and parse the response body
+ *
+ * @param {Function} handler - Handler created by createImapHandler
+ * @param {Object} event - Lambda event
+ * @returns {Promise<Object>} - Status code and parsed body
+ */
+async function invoke(handler, event) {
+  const response = await handler(event);
+  return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+}
+
+test('rejects events without operation or with an unknown one', async () => {
+  const handler = createImapHandler({ config });
+
+  const missing = await invoke(handler, {});
+  assert.equal(missing.statusCode, 400);
+  assert.equal(missing.body.code, 'UnsupportedOperation');
+  assert.equal(missing.body.error, 'The event has no operation');
+
+  const unknown = await invoke(handler, { operation: 'dropDatabase' });
+  assert.equal(unknown.statusCode, 400);
+  assert.equal(unknown.body.error, 'Unsupported operation: dropDatabase');
+});
+
+test('rejects operations outside the allow-list', async () => {
+  const handler = createImapHandler({ config, allow: ['listFolders'] });
+
+  const { statusCode, body } = await invoke(handler, { operation: 'folderDelete', folderPath: 'Archive' });
+  assert.equal(statusCode, 403);
+  assert.equal(body.code, 'OperationNotAllowed');
+  assert.equal(body.retryable, false);
+});
+
+test('rejects invalid handler options', () => {
+  assert.throws(() => createImapHandler({}), { message: 'createImapHandler requires a config' });
+  assert.throws(() => createImapHandler({ config, allow: ['nope'] }), { message: 'Allowed operation nope does not exist' });
+  assert.throws(() => createImapHandler({ config, operations: { custom: {} } }), {
+    message: 'Operation custom has no run function',
+  });
+});
+
+test('rejects unknown, missing and mistyped fields as invalid input', async () => {
+  const handler = createImapHandler({ config });
+
+  const unknown = await invoke(handler, { operation: 'findMessage', messageId: '<a@example.com>', folderr: 'INBOX' });
+  assert.equal(unknown.statusCode, 400);
+  assert.equal(unknown.body.code, 'InvalidInput');
+  assert.equal(unknown.body.error, 'Unknown field "folderr" for operation findMessage');
+
+  const missing = await invoke(handler, { operation: 'moveMessage', uid: 1 });
+  assert.equal(missing.statusCode, 400);
+  assert.equal(missing.body.error, 'Field "targetFolder" is required for operation moveMessage');
+
+  const mistyped = await invoke(handler, { operation: 'addFlags', identifier: 1, flags: '\\Seen' });
+  assert.equal(mistyped.statusCode, 400);
+  assert.equal(mistyped.body.error, 'Field "flags" must be of type array');
+
+  const union = await invoke(handler, { operation: 'listMessages', cursor: 5 });
+  assert.equal(union.body.error, 'Field "cursor" must be of type string or null');
+});
+
+test('passes validated input with defaults to custom operations', async () => {
+  const calls = [];
+  const handler = createImapHandler({
+    config,
+    operations: {
+      archive: {
+        schema: { folder: { type: 'string', default: 'INBOX' }, uids: { type: 'array', required: true }, note: { type: 'string' } },
+        run: (client, input, { event }) => {
+          calls.push({ input, event });
+          return { archived: input.uids.length };
+        },
+      },
+    },
+  });
+
+  const { statusCode, body } = await invoke(handler, { operation: 'archive', uids: [1, 2] });
+  assert.equal(statusCode, 200);
+  assert.deepEqual(body, { success: true, operation: 'archive', result: { archived: 2 } });
+  assert.deepEqual(calls[0].input, { folder: 'INBOX', uids: [1, 2] });
+  assert.equal(calls[0].event.operation, 'archive');
+});
+
+test('passes the whole event to operations without schema', async () => {
+  const handler = createImapHandler({ config, operations: { echo: (client, input) => input } });
+
+  const { body } = await invoke(handler, { operation: 'echo', anything: true });
+  assert.deepEqual(body.result, { operation: 'echo', anything: true });
+});
+
+test('serializes BigInts, Sets and Maps in results', async () => {
+  const handler = createImapHandler({
+    config,
+    operations: { status: () => ({ modseq: 123n, flags: new Set(['\\Seen']), counts: new Map([['INBOX', 2]]) }) },
+  });
+
+  const { body } = await invoke(handler, { operation: 'status' });
+  assert.deepEqual(body.result, { modseq: '123', flags: ['\\Seen'], counts: { INBOX: 2 } });
+});
+
+test('maps error codes to status codes', async () => {
+  const handler = createImapHandler({
+    config,
+    operations: {
+      missing: () => {
+        throw new MessageNotFoundError('Message 7 not found in INBOX');
+      },
+      broken: () => {
+        throw new Error('Something broke');
+      },
+    },
+  });
+
+  const missing = await invoke(handler, { operation: 'missing' });
+  assert.equal(missing.statusCode, 404);
+  assert.deepEqual(missing.body, {
+    success: false,
+    operation: 'missing',
+    error: 'Message 7 not found in INBOX',
+    code: 'MessageNotFound',
+    retryable: false,
+  });
+
+  const broken = await invoke(handler, { operation: 'broken' });
+  assert.equal(broken.statusCode, 500);
+  assert.equal(broken.body.code, 'InternalError');
+});
+
+test('maps cursor and sync state errors to client status codes', async () => {
+  const operations = {};
+  for (const code of ['InvalidCursor', 'InvalidSyncState', 'UidValidityChanged']) {
+    operations[code] = () => {
+      throw new ImapError(`${code} failure`, { code });
+    };
+  }
+  const handler = createImapHandler({ config, operations });
+
+  assert.equal((await invoke(handler, { operation: 'InvalidCursor' })).statusCode, 400);
+  assert.equal((await invoke(handler, { operation: 'InvalidSyncState' })).statusCode, 400);
+
+  const changed = await invoke(handler, { operation: 'UidValidityChanged' });
+  assert.equal(changed.statusCode, 409);
+  assert.equal(changed.body.code, 'UidValidityChanged');
+});
+
+test('getHeaders returns the parsed headers of a message', async () => {
+  const server = await startFakeImap();
+  server.addMessage('INBOX', 'Subject: Hello\nReceived: from a\nReceived: from b\nMessage-ID: <a@example.com>\n\nBody\n');
+  const handler = createImapHandler({ config: server.config({ auth: { user: 'handler', pass: 'secret' } }) });
+
+  try {
+    const all = await invoke(handler, { operation: 'getHeaders', identifier: '<a@example.com>' });
+    assert.equal(all.statusCode, 200);
+    assert.deepEqual(all.body.result, {
+      subject: 'Hello',
+      received: ['from a', 'from b'],
+      'message-id': '<a@example.com>',
+    });
+
+    const one = await invoke(handler, { operation: 'getHeaders', folder: 'INBOX', identifier: 1, headerName: 'Subject' });
+    assert.equal(one.body.result, 'Hello');
+
+    const missing = await invoke(handler, { operation: 'getHeaders', identifier: 2 });
+    assert.equal(missing.statusCode, 404);
+    assert.equal(missing.body.code, 'MessageNotFound');
+  } finally {
+    await clearImapClientCache();
+    await server.close();
+  }
+});
+
+test('reports an invalid client configuration as a response', async () => {
+  const handler = createImapHandler({ config: { host: '127.0.0.1', logger: false } });
+
+  const { statusCode, body } = await invoke(handler, { operation: 'listFolders' });
+  assert.equal(statusCode, 400);
+  assert.equal(body.success, false);
+  assert.equal(body.code, 'InvalidInput');
+});
@@ -0,0 +1,147 @@
+/**
+ * Tests for the structured logger and its redaction
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createLogger, toImapFlowLogger } from '../nodejs/imap-lambda-layer/logger.mjs';
+
+/**
+ * Create a logger that collects its entries
+ *
+ * @param {Object} [options] - Logger options
+ * @returns {Object} - The logger and the parsed entries it wrote
+ */
+function capture(options = {}) {
+  const entries = [];
+  const logger = createLogger({ level: 'debug', ...options, write: (line) => entries.push(JSON.parse(line)) });
+  return { logger, entries };
+}
+
+test('writes one JSON entry per call with level, time and fields', () => {
+  const { logger, entries } = capture({ fields: { component: 'imap' } });
+
+  logger.info('Connected', { folder: 'INBOX' });
+  logger.warn({ msg: 'Slow', ms: 1200 });
+
+  assert.equal(entries.length, 2);
+  assert.equal(entries[0].level, 'info');
+  assert.equal(entries[0].msg, 'Connected');
+  assert.equal(entries[0].folder, 'INBOX');
+  assert.equal(entries[0].component, 'imap');
+  assert.ok(!isNaN(Date.parse(entries[0].time)));
+  assert.equal(entries[1].ms, 1200);
+});
+
+test('skips entries below the level', () => {
+  const { logger, entries } = capture({ level: 'warn' });
+
+  logger.debug('debug');
+  logger.info('info');
+  logger.warn('warn');
+  logger.error('error');
+
+  assert.deepEqual(entries.map((entry) => entry.level), ['warn', 'error']);
+});
+
+test('rejects unknown levels', () => {
+  assert.throws(() => createLogger({ level: 'verbose' }), TypeError);
+});
+
+test('masks credentials by key at any depth', () => {
+  const { logger, entries } = capture();
+
+  logger.info({ msg: 'Config', auth: { user: 'bot', pass: 'hunter2', accessToken: 'abc' }, headers: { Authorization: 'Bearer x' } });
+
+  assert.deepEqual(entries[0].auth, { user: 'bot', pass: '[REDACTED]', accessToken: '[REDACTED]' });
+  assert.equal(entries[0].headers.Authorization, '[REDACTED]');
+});
+
+test('masks credentials in LOGIN and AUTHENTICATE protocol lines', () => {
+  const { logger, entries } = capture();
+
+  logger.debug({ msg: 'C: 1 LOGIN bot hunter2' });
+  logger.debug({ msg: 'C: 2 AUTHENTICATE PLAIN AGJvdABodW50ZXIy' });
+
+  assert.equal(entries[0].msg, 'C: 1 LOGIN bot [REDACTED]');
+  assert.equal(entries[1].msg, 'C: 2 AUTHENTICATE PLAIN [REDACTED]');
+});
+
+test('masks subjects by key and in SEARCH commands', () => {
+  const { logger, entries } = capture();
+
+  logger.info({ msg: 'Found', subject: 'Quarterly results' });
+  logger.debug({ msg: 'C: 3 UID SEARCH SUBJECT "Quarterly \\"results\\"" SEEN' });
+
+  assert.equal(entries[0].subject, '[REDACTED]');
+  assert.equal(entries[1].msg, 'C: 3 UID SEARCH SUBJECT "[REDACTED]" SEEN');
+});
+
+test('masks envelopes in FETCH responses', () => {
+  const { logger, entries } = capture();
+  const envelope =
+    'ENVELOPE ("Thu, 2 Oct 2025 09:15:07 +0000" "Salary (draft)" (("Ann" NIL "ann" "example.com")) NIL NIL NIL NIL NIL NIL "<1@example.com>")';
+
+  logger.debug({ msg: `S: * 1 FETCH (UID 7 ${envelope} FLAGS (\\Seen))` });
+  logger.debug({ msg: 'S: * 2 FETCH (UID 8 ENVELOPE (NIL {5}\r\nA ) "b" NIL' });
+
+  assert.equal(entries[0].msg, 'S: * 1 FETCH (UID 7 ENVELOPE [REDACTED] FLAGS (\\Seen))');
+  assert.equal(entries[1].msg, 'S: * 2 FETCH (UID 8 ENVELOPE [REDACTED]');
+});
+
+test('masks addresses in strings, arrays and errors', () => {
+  const { logger, entries } = capture();
+
+  logger.info({ msg: 'Mail from <alice@example.com>', to: ['bob@example.org'] });
+  logger.error(new Error('Rejected carol@example.net'));
+
+  assert.equal(entries[0].msg, 'Mail from <[REDACTED]>');
+  assert.deepEqual(entries[0].to, ['[REDACTED]']);
+  assert.equal(entries[1].msg, 'Rejected [REDACTED]');
+  assert.equal(entries[1].err.message, 'Rejected [REDACTED]');
+  assert.ok(!entries[1].err.stack.includes('carol@example.net'));
+});
+
+test('keeps values when redaction is turned off', () => {
+  const { logger, entries } = capture({ redact: { addresses: false, subjects: false, credentials: false } });
+
+  logger.info({ msg: 'alice@example.com', subject: 'Hello', pass: 'hunter2' });
+
+  assert.equal(entries[0].msg, 'alice@example.com');
+  assert.equal(entries[0].subject, 'Hello');
+  assert.equal(entries[0].pass, 'hunter2');
+});
+
+test('summarizes buffers and stops on circular structures', () => {
+  const { logger, entries } = capture();
+  const circular = { name: 'loop' };
+  circular.self = circular;
+
+  logger.info({ msg: 'Fetched', source: Buffer.from('raw message'), circular });
+
+  assert.equal(entries[0].source, '(11B buffer)');
+  assert.equal(entries[0].circular.name, 'loop');
+  assert.ok(JSON.stringify(entries[0].circular).includes('[Truncated]'));
+});
+
+test('ImapFlow logger forwards to the current logger and drops trace unless implemented', () => {
+  const calls = [];
+  let current = {
+    info: (entry) => calls.push(['first', entry]),
+    error: (entry) => calls.push(['first-error', entry]),
+  };
+  const imapFlowLogger = toImapFlowLogger(() => current);
+
+  imapFlowLogger.info({ msg: 'one' });
+  imapFlowLogger.trace({ msg: 'FETCH body' });
+  imapFlowLogger.fatal({ msg: 'boom' });
+  current = { info: (entry) => calls.push(['second', entry]) };
+  imapFlowLogger.info({ msg: 'two' });
+
+  assert.deepEqual(calls, [
+    ['first', { component: 'imapflow', msg: 'one' }],
+    ['first-error', { component: 'imapflow', msg: 'boom' }],
+    ['second', { component: 'imapflow', msg: 'two' }],
+  ]);
+});
@@ -0,0 +1,155 @@
+/**
+ * Tests for reading and writing mboxrd files
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable } from 'node:stream';
+
+import { formatMboxEntry, parseMbox } from '../nodejs/imap-lambda-layer/mbox.mjs';
+
+const internalDate = new Date('2025-10-02T09:15:00Z');
+
+/**
+ * Build a raw message with CRLF line endings
+ *
+ * @param {Array<string>} lines - Header and body lines
+ * @returns {Buffer} - Raw message
+ */
+function raw(...lines) {
+  return Buffer.from(lines.join('\r\n') + '\r\n', 'latin1');
+}
+
+/**
+ * Collect the messages of an mbox
+ *
+ * @param {*} source - Mbox content, see parseMbox
+ * @returns {Promise<Array<Object>>} - Parsed messages
+ */
+async function parseAll(source) {
+  const messages = [];
+  for await (const message of parseMbox(source)) {
+    messages.push(message);
+  }
+  return messages;
+}
+
+test('formats an entry with separator, flag headers and a trailing empty line', () => {
+  const entry = formatMboxEntry({
+    source: raw('Subject: Hi', '', 'Hello'),
+    flags: ['\\Seen', '\\Flagged', '\\Answered', 'Invoice', '$Label1'],
+    internalDate,
+    uid: 42,
+    sender: 'alice@example.com',
+  });
+
+  assert.equal(
+    entry.toString('latin1'),
+    [
+      'From alice@example.com Thu Oct  2 09:15:00 2025',
+      'X-UID: 42',
+      'Status: RO',
+      'X-Status: AF',
+      'X-Keywords: Invoice $Label1',
+      'Subject: Hi',
+      '',
+      'Hello',
+      '',
+      '',
+    ].join('\n')
+  );
+});
+
+test('writes unseen messages without UID with the defaults', () => {
+  const entry = formatMboxEntry({ source: raw('Subject: Hi', '', 'Hello'), internalDate }).toString('latin1');
+
+  assert.ok(entry.startsWith('From MAILER-DAEMON Thu Oct  2 09:15:00 2025\nStatus: O\nSubject: Hi\n'));
+  assert.ok(!entry.includes('X-UID'));
+});
+
+test('quotes "From " lines in the body and unquotes them on import', async () => {
+  const source = raw('Subject: Quoting', '', 'From here on', '>From the quote', '>>From deeper', 'Not From here');
+  const entry = formatMboxEntry({ source, internalDate }).toString('latin1');
+
+  assert.ok(entry.includes('\n>From here on\n>>From the quote\n>>>From deeper\nNot From here\n'));
+
+  const [message] = await parseAll(entry);
+  assert.equal(message.raw.toString('latin1'), source.toString('latin1'));
+});
+
+test('round trips messages with flags, UIDs, internal dates and 8-bit content', async () => {
+  const messages = [
+    { source: raw('Subject: First', '', 'Caf\xe9 cr\xe8me \xff'), flags: ['\\Seen', 'Invoice'], internalDate, uid: 7 },
+    { source: raw('Subject: Second', '', '', 'From the desk', ''), flags: ['\\Draft', '\\Deleted'], internalDate: new Date('2024-02-29T23:59:59Z'), uid: 8 },
+    { source: raw('Subject: Third', '', 'Bye'), flags: [], internalDate },
+  ];
+  const mbox = Buffer.concat(messages.map(formatMboxEntry));
+
+  const parsed = await parseAll(mbox);
+
+  assert.equal(parsed.length, 3);
+  assert.equal(parsed[0].raw.toString('latin1'), messages[0].source.toString('latin1'));
+  assert.deepEqual(parsed[0].flags.sort(), ['Invoice', '\\Seen']);
+  assert.equal(parsed[0].uid, 7);
+  assert.equal(parsed[0].internalDate.toISOString(), internalDate.toISOString());
+
+  // Trailing empty lines are folded into one, as in every mbox
+  assert.equal(parsed[1].raw.toString('latin1'), raw('Subject: Second', '', '', 'From the desk').toString('latin1'));
+  assert.deepEqual(parsed[1].flags.sort(), ['\\Deleted', '\\Draft']);
+  assert.equal(parsed[1].internalDate.toISOString(), '2024-02-29T23:59:59.000Z');
+
+  assert.deepEqual(parsed[2].flags, []);
+  assert.equal(parsed[2].uid, null);
+});
+
+test('parses streams regardless of where the chunks split', async () => {
+  const mbox = Buffer.concat([
+    formatMboxEntry({ source: raw('Subject: One', '', 'Caf\xe9'), flags: ['\\Seen'], internalDate, uid: 1 }),
+    formatMboxEntry({ source: raw('Subject: Two', '', 'Two'), internalDate, uid: 2 }),
+  ]);
+  // Single-byte chunks split every line, including the separator lines
+  const chunks = Array.from(mbox, (byte) => Buffer.from([byte]));
+
+  const parsed = await parseAll(Readable.from(chunks));
+
+  assert.deepEqual(parsed.map((message) => message.uid), [1, 2]);
+  assert.equal(parsed[0].raw.toString('latin1'), raw('Subject: One', '', 'Caf\xe9').toString('latin1'));
+});
+
+test('reads mbox files written by other tools', async () => {
+  const mbox = [
+    'From bob@example.com Sat Jan  4 08:00:00 2025',
+    'Subject: CRLF file\r',
+    'Status: R',
+    'X-Keywords: Work, Urgent',
+    '',
+    'Body',
+    '',
+    'From nobody unknown date',
+    'Subject: No date',
+    '',
+    'Text',
+  ].join('\n');
+
+  const parsed = await parseAll(mbox);
+
+  assert.equal(parsed.length, 2);
+  assert.equal(parsed[0].raw.toString('latin1'), raw('Subject: CRLF file', '', 'Body').toString('latin1'));
+  assert.deepEqual(parsed[0].flags, ['\\Seen', 'Work', 'Urgent']);
+  assert.equal(parsed[0].internalDate.toISOString(), '2025-01-04T08:00:00.000Z');
+  assert.equal(parsed[1].internalDate, null);
+  assert.equal(parsed[1].raw.toString('latin1'), raw('Subject: No date', '', 'Text').toString('latin1'));
+});
+
+test('keeps flag-like lines in the body', async () => {
+  const source = raw('Subject: Notes', '', 'Status: RO', 'X-UID: 99');
+  const [message] = await parseAll(formatMboxEntry({ source, internalDate }));
+
+  assert.equal(message.raw.toString('latin1'), source.toString('latin1'));
+  assert.deepEqual(message.flags, []);
+  assert.equal(message.uid, null);
+});
+
+test('ignores content before the first separator', async () => {
+  assert.deepEqual(await parseAll('garbage\n'), []);
+});
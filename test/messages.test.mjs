@@ -0,0 +1,92 @@
+/**
+ * Tests for writing messages: appending and updating flags
+ *
+ * The client runs against the in-process fake IMAP server.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ImapClient } from '../nodejs/imap-lambda-layer/imap-client.mjs';
+import { MessageNotFoundError } from '../nodejs/imap-lambda-layer/errors.mjs';
+import { startFakeImap } from './fake-imap.mjs';
+
+let server;
+let client;
+
+before(async () => {
+  server = await startFakeImap({ folders: [{ path: 'Drafts', specialUse: '\\Drafts' }] });
+  client = new ImapClient(server.config());
+});
+
+after(async () => {
+  await client.disconnect();
+  await server.close();
+});
+
+test('appendMessage uploads raw messages with flags and internal date', async () => {
+  const raw = 'From: alice@example.com\r\nSubject: Raw\r\nMessage-ID: <raw@example.com>\r\n\r\nBody\r\n';
+  const result = await client.appendMessage('Drafts', raw, {
+    flags: ['\\Seen', '\\Draft'],
+    internalDate: new Date('2025-10-02T09:15:07Z'),
+  });
+
+  const folder = server.folder('Drafts');
+  assert.deepEqual(result, { folder: 'Drafts', uid: 1, uidValidity: String(folder.uidValidity) });
+
+  const stored = server.message('Drafts', 1);
+  assert.equal(stored.source, raw);
+  assert.deepEqual(Array.from(stored.flags), ['\\Seen', '\\Draft']);
+  assert.equal(stored.internalDate.toISOString(), '2025-10-02T09:15:07.000Z');
+});
+
+test('appendMessage composes structured messages into MIME', async () => {
+  const result = await client.appendMessage('Drafts', {
+    from: 'alice@example.com',
+    to: 'bob@example.com',
+    subject: 'Composed',
+    text: 'Plain body',
+    html: '<p>HTML body</p>',
+    attachments: [{ filename: 'notes.txt', content: 'Some notes' }],
+  });
+
+  const content = await client.getMessageContent('Drafts', result.uid);
+  assert.equal(content.envelope.subject, 'Composed');
+  assert.equal(content.text, 'Plain body');
+  assert.equal(content.html, '<p>HTML body</p>');
+  assert.deepEqual(content.attachments.map((attachment) => attachment.filename), ['notes.txt']);
+});
+
+test('appendMessage creates missing folders first', async () => {
+  const result = await client.appendMessage('Processed/2025', 'Subject: Filed\r\n\r\nBody\r\n');
+
+  assert.equal(result.uid, 1);
+  assert.equal(server.folder('Processed/2025').messages.length, 1);
+  assert.deepEqual(server.commands.filter((command) => command.startsWith('CREATE')), ['CREATE Processed', 'CREATE Processed/2025']);
+});
+
+test('flags and keywords are updated by UID, UID list and Message-ID', async () => {
+  for (const id of ['a', 'b', 'c']) {
+    server.addMessage('INBOX', `Subject: ${id}\nMessage-ID: <${id}@example.com>\n\nBody\n`);
+  }
+
+  assert.deepEqual(await client.addFlags('INBOX', 1, ['\\Seen', '$Processed']), [
+    { uid: 1, flags: ['\\Seen', '$Processed'] },
+  ]);
+  assert.deepEqual(await client.addFlags('INBOX', [2, 3], ['\\Flagged']), [
+    { uid: 2, flags: ['\\Flagged'] },
+    { uid: 3, flags: ['\\Flagged'] },
+  ]);
+  assert.deepEqual(await client.removeFlags('INBOX', '<b@example.com>', ['\\Flagged']), [{ uid: 2, flags: [] }]);
+  assert.deepEqual(await client.setFlags('INBOX', 1, ['\\Answered']), [{ uid: 1, flags: ['\\Answered'] }]);
+
+  assert.deepEqual(Array.from(server.message('INBOX', 3).flags), ['\\Flagged']);
+});
+
+test('flag updates throw MessageNotFoundError for unknown Message-IDs', async () => {
+  await assert.rejects(client.addFlags('INBOX', '<missing@example.com>', ['\\Seen']), (error) => {
+    assert.ok(error instanceof MessageNotFoundError);
+    assert.deepEqual(error.details, { folder: 'INBOX', identifier: '<missing@example.com>' });
+    return true;
+  });
+});
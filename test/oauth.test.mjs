@@ -0,0 +1,120 @@
+/**
+ * Tests for XOAUTH2 logins with access tokens and token providers
+ *
+ * The client runs against the in-process fake IMAP server, which advertises
+ * AUTH=XOAUTH2 and checks the tokens.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ImapClient } from '../nodejs/imap-lambda-layer/imap-client.mjs';
+import { ImapAuthError } from '../nodejs/imap-lambda-layer/errors.mjs';
+import { startFakeImap } from './fake-imap.mjs';
+
+/**
+ * Start a fake server that accepts a single access token
+ *
+ * @param {string} validToken - Token to accept
+ * @returns {Promise<Object>} - Server
+ */
+async function startOAuthServer(validToken) {
+  return startFakeImap({
+    capabilities: ['AUTH=XOAUTH2'],
+    authenticate: ({ accessToken }) => accessToken === validToken,
+  });
+}
+
+/**
+ * Run a test body with a server accepting "token-2" and a client using a counting token provider
+ *
+ * @param {Function} tokenProvider - Receives {user, forceRefresh} and the number of calls so far
+ * @param {Function} body - Receives the server, the client and the provider calls
+ * @returns {Promise<void>}
+ */
+async function withTokenProvider(tokenProvider, body) {
+  const server = await startOAuthServer('token-2');
+  const calls = [];
+  const client = new ImapClient(server.config({
+    auth: {
+      user: 'bot@example.com',
+      tokenProvider: async (request) => {
+        calls.push(request);
+        return tokenProvider(request, calls.length);
+      },
+    },
+  }));
+
+  try {
+    await body(server, client, calls);
+  } finally {
+    await client.disconnect();
+    await server.close();
+  }
+}
+
+test('static access tokens log in with XOAUTH2', async () => {
+  const server = await startOAuthServer('static-token');
+  const client = new ImapClient(server.config({ auth: { user: 'bot@example.com', accessToken: 'static-token' } }));
+
+  try {
+    assert.equal(await client.folderExists('INBOX'), true);
+    assert.deepEqual(server.logins, [{ user: 'bot@example.com', accessToken: 'static-token' }]);
+    assert.ok(server.commands.some((command) => command.startsWith('AUTHENTICATE XOAUTH2')));
+  } finally {
+    await client.disconnect();
+    await server.close();
+  }
+});
+
+test('the token provider is called on every connect and reconnect', async () => {
+  await withTokenProvider(() => 'token-2', async (server, client, calls) => {
+    await client.folderExists('INBOX');
+    assert.deepEqual(calls, [{ user: 'bot@example.com', forceRefresh: false }]);
+
+    server.dropConnections();
+    while (client.isConnected) {
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+    await client.folderExists('INBOX');
+    assert.equal(calls.length, 2);
+    assert.equal(server.logins.length, 2);
+  });
+});
+
+test('a rejected token is refreshed once', async () => {
+  await withTokenProvider((request, count) => `token-${count}`, async (server, client, calls) => {
+    assert.equal(await client.folderExists('INBOX'), true);
+
+    assert.deepEqual(calls.map((call) => call.forceRefresh), [false, true]);
+    assert.deepEqual(server.logins.map((login) => login.accessToken), ['token-1', 'token-2']);
+  });
+
+  await withTokenProvider(() => 'expired', async (server, client, calls) => {
+    await assert.rejects(client.folderExists('INBOX'), { code: 'AuthenticationFailed' });
+    assert.equal(calls.length, 2);
+    assert.equal(client.authFailed, true);
+  });
+});
+
+test('token provider failures are reported as TokenProviderFailed', async () => {
+  await withTokenProvider(() => {
+    throw new Error('Refresh token revoked');
+  }, async (server, client) => {
+    await assert.rejects(client.folderExists('INBOX'), (error) => {
+      assert.ok(error instanceof ImapAuthError);
+      assert.equal(error.code, 'TokenProviderFailed');
+      assert.equal(error.retryable, true);
+      assert.equal(error.message, 'Token provider failed: Refresh token revoked');
+      return true;
+    });
+    assert.equal(server.connections, 0);
+  });
+
+  await withTokenProvider(() => '', async (server, client) => {
+    await assert.rejects(client.folderExists('INBOX'), {
+      code: 'TokenProviderFailed',
+      message: 'Token provider did not return an access token',
+    });
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * Tests for the paging cursors of listMessages
+ *
+ * The client runs against the in-process fake IMAP server.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ImapClient } from '../nodejs/imap-lambda-layer/imap-client.mjs';
+import { ImapError } from '../nodejs/imap-lambda-layer/errors.mjs';
+import { startFakeImap } from './fake-imap.mjs';
+
+let server;
+let client;
+
+before(async () => {
+  server = await startFakeImap({ folders: ['Empty'] });
+  for (let i = 1; i <= 5; i++) {
+    server.addMessage('INBOX', `Subject: Message ${i}\n\nBody\n`);
+  }
+  client = new ImapClient(server.config());
+});
+
+after(async () => {
+  await client.disconnect();
+  await server.close();
+});
+
+/**
+ * Encode a cursor the way the client does
+ *
+ * @param {Object} position - Cursor content
+ * @returns {string} - Cursor string
+ */
+function cursorOf(position) {
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+test('cursors page through a folder newest first until the cursor is null', async () => {
+  const pages = [];
+  let cursor = null;
+  do {
+    const page = await client.listMessages('INBOX', { limit: 2, cursor });
+    pages.push(page.messages.map((message) => message.uid));
+    cursor = page.cursor;
+  } while (cursor);
+
+  assert.deepEqual(pages, [[5, 4], [3, 2], [1]]);
+});
+
+test('new messages do not shift the following pages', async () => {
+  const first = await client.listMessages('INBOX', { limit: 2 });
+  server.addMessage('INBOX', 'Subject: Late\n\nBody\n');
+
+  const second = await client.listMessages('INBOX', { limit: 2, cursor: first.cursor });
+  assert.deepEqual(second.messages.map((message) => message.uid), [3, 2]);
+  assert.equal(server.folder('INBOX').messages.length, 6);
+});
+
+test('a numeric limit returns the newest messages as an array', async () => {
+  const messages = await client.listMessages('INBOX', 3);
+  assert.ok(Array.isArray(messages));
+  assert.deepEqual(messages.map((message) => message.uid), [6, 5, 4]);
+  assert.deepEqual(await client.listMessages('Empty', { limit: 2 }), { messages: [], cursor: null });
+});
+
+test('malformed cursors are rejected with InvalidCursor', async () => {
+  const uidValidity = String(server.folder('INBOX').uidValidity);
+  const cursors = [
+    'not a cursor',
+    Buffer.from('not json').toString('base64url'),
+    cursorOf({ v: Number(uidValidity), u: 3 }),
+    cursorOf({ v: uidValidity, u: '3' }),
+    cursorOf({ v: uidValidity }),
+  ];
+
+  for (const cursor of cursors) {
+    await assert.rejects(client.listMessages('INBOX', { cursor }), (error) => {
+      assert.ok(error instanceof ImapError);
+      assert.equal(error.code, 'InvalidCursor');
+      assert.equal(error.retryable, false);
+      return true;
+    });
+  }
+});
+
+test('cursors are rejected when the folder was recreated since they were issued', async () => {
+  const { cursor } = await client.listMessages('INBOX', { limit: 2 });
+  server.resetUidValidity('INBOX');
+
+  // A new connection selects the folder again and sees the new UIDVALIDITY
+  const fresh = new ImapClient(server.config());
+  try {
+    await assert.rejects(fresh.listMessages('INBOX', { cursor }), {
+      code: 'UidValidityChanged',
+      message: /^Cursor is no longer valid: UIDVALIDITY of INBOX changed from \d+ to \d+$/,
+    });
+  } finally {
+    await fresh.disconnect();
+  }
+});
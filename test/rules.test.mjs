@@ -0,0 +1,252 @@
+/**
+ * Tests for the filing rules engine
+ *
+ * applyRules only talks to the client through its public methods, so a stub
+ * client records the calls instead of a server.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { validateRules, applyRules } from '../nodejs/imap-lambda-layer/rules.mjs';
+import { ImapConnectionError } from '../nodejs/imap-lambda-layer/errors.mjs';
+
+/**
+ * Build a message summary as returned by searchMessages
+ *
+ * @param {number} uid - Message UID
+ * @param {Object} [fields] - Fields to override
+ * @returns {Object} - Message summary
+ */
+function message(uid, fields = {}) {
+  return {
+    uid,
+    messageId: `<${uid}@example.com>`,
+    subject: 'Hello',
+    from: [{ address: 'alice@example.com' }],
+    size: 1000,
+    headers: {},
+    ...fields,
+  };
+}
+
+/**
+ * Create a stub client serving the given messages
+ *
+ * @param {Array<Object>} messages - Message summaries returned by searchMessages
+ * @param {Object} [overrides] - Methods to replace
+ * @returns {Object} - Client and the recorded calls
+ */
+function stubClient(messages, overrides = {}) {
+  const calls = [];
+  const done = (uids) => uids.map((uid) => ({ identifier: uid, uid, status: 'done' }));
+  const client = {
+    searchMessages: async (...args) => {
+      calls.push(['searchMessages', ...args]);
+      return messages;
+    },
+    folderExists: async (path) => {
+      calls.push(['folderExists', path]);
+      return path !== 'Newsletters';
+    },
+    folderMake: async (path) => calls.push(['folderMake', path]),
+    moveMessages: async (source, target, uids) => {
+      calls.push(['moveMessages', source, target, uids]);
+      return done(uids);
+    },
+    copyMessages: async (source, target, uids) => {
+      calls.push(['copyMessages', source, target, uids]);
+      return done(uids);
+    },
+    deleteMessages: async (folder, uids) => {
+      calls.push(['deleteMessages', folder, uids]);
+      return done(uids);
+    },
+    addFlags: async (folder, uids, flags) => calls.push(['addFlags', folder, uids, flags]),
+    ...overrides,
+  };
+  return { client, calls };
+}
+
+test('validateRules accepts arrays and objects with a rules array', () => {
+  const rule = { name: 'news', when: { senderDomain: '@News.example.com' }, actions: [{ type: 'move', folder: 'News' }] };
+
+  const [compiled] = validateRules({ rules: [rule] });
+  assert.equal(compiled.name, 'news');
+  assert.deepEqual(compiled.when.senderDomain, ['news.example.com']);
+  assert.deepEqual(compiled.actions, [{ type: 'move', folder: 'News' }]);
+  assert.equal(validateRules([{ actions: [{ type: 'stop' }] }])[0].name, 'rules[0]');
+});
+
+test('validateRules names the location of malformed rules', () => {
+  const move = [{ type: 'move', folder: 'Archive' }];
+  const cases = [
+    [[], 'Rule set must be a non-empty array of rules'],
+    [[null], 'rules[0] must be an object'],
+    [[{ when: [], actions: move }], 'rules[0].when must be an object'],
+    [[{ when: { body: 'x' }, actions: move }], /^Unknown condition "rules\[0\]\.when\.body"/],
+    [[{ when: { header: [{ pattern: 'x' }] }, actions: move }], 'rules[0].when.header[0].name must be a non-empty string'],
+    [[{ when: { subject: '(' }, actions: move }], /^rules\[0\]\.when\.subject is not a valid regular expression/],
+    [[{ when: { size: { min: -1 } }, actions: move }], 'rules[0].when.size.min must be a non-negative number'],
+    [[{ when: { sesVerdict: { phishing: 'FAIL' } }, actions: move }], /^Unknown verdict "rules\[0\]\.when\.sesVerdict\.phishing"/],
+    [[{ actions: [] }], 'rules[0].actions must be a non-empty array of actions'],
+    [[{ actions: [{ type: 'archive' }] }], /^rules\[0\]\.actions\[0\]\.type must be one of/],
+    [[{ actions: [{ type: 'copy' }] }], 'rules[0].actions[0].folder must be a non-empty string'],
+    [[{ actions: [{ type: 'flag', flags: [] }] }], 'rules[0].actions[0].flags must be a non-empty array of strings'],
+    [
+      [{ actions: [{ type: 'delete' }, { type: 'flag', flags: ['\\Seen'] }] }],
+      'rules[0].actions[1] follows delete, which removes the message from the folder',
+    ],
+  ];
+
+  for (const [ruleSet, message] of cases) {
+    assert.throws(() => validateRules(ruleSet), { name: 'TypeError', message });
+  }
+});
+
+test('validateRules rejects header patterns with the g or y flag', () => {
+  for (const flags of ['g', 'iy']) {
+    assert.throws(
+      () => validateRules([{ when: { header: { name: 'List-Id', pattern: 'news', flags } }, actions: [{ type: 'stop' }] }]),
+      { name: 'TypeError', message: 'rules[0].when.header[0].flags must not include "g" or "y"' }
+    );
+  }
+});
+
+test('header patterns match every message, not only every other one', async () => {
+  const headers = { 'list-id': ['<news.example.com>'] };
+  const { client } = stubClient([message(1, { headers }), message(2, { headers }), message(3, { headers })]);
+  const rules = [{ when: { header: { name: 'List-Id', pattern: 'news', flags: 'i' } }, actions: [{ type: 'flag', flags: ['News'] }] }];
+
+  const report = await applyRules(client, 'INBOX', rules, { dryRun: true });
+  assert.deepEqual(report.messages.map((entry) => entry.matched), [['rules[0]'], ['rules[0]'], ['rules[0]']]);
+});
+
+test('conditions of a rule must all match', async () => {
+  const messages = [
+    message(1, { from: [{ address: 'bot@mail.shop.example' }], subject: 'Your order', size: 5000 }),
+    message(2, { from: [{ address: 'bot@shop.example' }], subject: 'Weekly deals', size: 5000 }),
+    message(3, { from: [{ address: 'bot@notshop.example' }], subject: 'Your order', size: 5000 }),
+    message(4, { from: [{ address: 'bot@shop.example' }], subject: 'Your order', size: 50 }),
+  ];
+  const { client, calls } = stubClient(messages);
+  const rules = [
+    {
+      name: 'orders',
+      when: { senderDomain: 'shop.example', subject: 'order', size: { min: 100, max: 10000 } },
+      actions: [{ type: 'move', folder: 'Orders' }],
+    },
+  ];
+
+  const report = await applyRules(client, 'INBOX', rules, { dryRun: true, criteria: { seen: false }, limit: 10 });
+
+  assert.deepEqual(report.messages.map((entry) => entry.matched.length), [1, 0, 0, 0]);
+  assert.deepEqual(calls[0], ['searchMessages', 'INBOX', { seen: false }, { signal: undefined, deadline: undefined, limit: 10, headers: [] }]);
+});
+
+test('SES verdicts are read from the SES headers and Authentication-Results', async () => {
+  const verdictHeaders = (spam, dkim) => ({
+    'x-ses-spam-verdict': [spam],
+    'x-ses-virus-verdict': ['PASS'],
+    'authentication-results': ['mx.example.org; spf=pass', `amazonses.com; spf=pass; dkim=${dkim}; dmarc=none`],
+  });
+  const { client, calls } = stubClient([
+    message(1, { headers: verdictHeaders('FAIL', 'pass') }),
+    message(2, { headers: verdictHeaders('PASS', 'fail') }),
+    message(3, { headers: verdictHeaders('PASS', 'pass') }),
+  ]);
+  const rules = [
+    { name: 'spam', when: { sesVerdict: { spam: 'fail' } }, actions: [{ type: 'move', folder: 'Junk' }] },
+    { name: 'unsigned', when: { sesVerdict: { dkim: ['FAIL', 'NONE'] } }, actions: [{ type: 'flag', flags: ['Unsigned'] }] },
+  ];
+
+  const report = await applyRules(client, 'INBOX', rules, { dryRun: true });
+
+  assert.deepEqual(report.messages.map((entry) => entry.matched), [['spam'], ['unsigned'], []]);
+  assert.deepEqual(calls[0][3].headers.sort(), ['authentication-results', 'x-ses-spam-verdict', 'x-ses-virus-verdict']);
+});
+
+test('dry runs plan actions without changing anything', async () => {
+  const { client, calls } = stubClient([message(1, { subject: 'Weekly news' }), message(2)]);
+  const rules = [
+    { name: 'news', when: { subject: 'news' }, actions: [{ type: 'flag', flags: ['News'] }, { type: 'move', folder: 'Newsletters' }] },
+    { name: 'all', actions: [{ type: 'copy', folder: 'Backup' }, { type: 'stop' }] },
+    { name: 'never', actions: [{ type: 'delete' }] },
+  ];
+
+  const report = await applyRules(client, 'INBOX', rules, { dryRun: true });
+
+  assert.equal(report.dryRun, true);
+  assert.deepEqual(report.folders, [
+    { path: 'Newsletters', wouldCreate: true },
+    { path: 'Backup', wouldCreate: false },
+  ]);
+  assert.deepEqual(report.messages, [
+    {
+      uid: 1,
+      messageId: '<1@example.com>',
+      matched: ['news'],
+      actions: [
+        { type: 'flag', flags: ['News'], status: 'planned' },
+        { type: 'move', folder: 'Newsletters', status: 'planned' },
+      ],
+    },
+    {
+      uid: 2,
+      messageId: '<2@example.com>',
+      matched: ['all'],
+      actions: [{ type: 'copy', folder: 'Backup', status: 'planned' }],
+    },
+  ]);
+  assert.deepEqual(calls.map(([name]) => name), ['searchMessages', 'folderExists', 'folderExists']);
+});
+
+test('actions run grouped by round and later actions are skipped after a failure', async () => {
+  const { client, calls } = stubClient([message(1), message(2), message(3, { subject: 'Invoice' })], {
+    addFlags: async (folder, uids, flags) => {
+      calls.push(['addFlags', folder, uids, flags]);
+      if (flags.includes('Broken')) {
+        throw new Error('Flag rejected');
+      }
+    },
+    moveMessages: async (source, target, uids) => {
+      calls.push(['moveMessages', source, target, uids]);
+      return uids.map((uid) => ({ identifier: uid, status: uid === 2 ? 'not_found' : 'done' }));
+    },
+  });
+  const rules = [
+    { name: 'invoices', when: { subject: 'invoice' }, actions: [{ type: 'flag', flags: ['Broken'] }, { type: 'delete' }] },
+    { name: 'rest', actions: [{ type: 'flag', flags: ['Filed'] }, { type: 'move', folder: 'Newsletters' }] },
+  ];
+
+  const report = await applyRules(client, 'INBOX', rules);
+
+  assert.deepEqual(calls.slice(2), [
+    ['folderMake', 'Newsletters'],
+    ['addFlags', 'INBOX', [1, 2], ['Filed']],
+    ['addFlags', 'INBOX', [3], ['Broken']],
+    ['moveMessages', 'INBOX', 'Newsletters', [1, 2]],
+  ]);
+  assert.deepEqual(report.folders, [{ path: 'Newsletters', created: true }]);
+  assert.deepEqual(report.messages.map((entry) => entry.actions.map((action) => action.status)), [
+    ['done', 'done'],
+    ['done', 'not_found'],
+    ['failed', 'skipped'],
+  ]);
+  assert.equal(report.messages[2].actions[0].reason, 'Flag rejected');
+});
+
+test('retryable errors end the run and carry the report', async () => {
+  const { client } = stubClient([message(1)], {
+    moveMessages: async () => {
+      throw new ImapConnectionError('Connection lost');
+    },
+  });
+
+  await assert.rejects(applyRules(client, 'INBOX', [{ actions: [{ type: 'move', folder: 'Archive' }] }]), (error) => {
+    assert.ok(error instanceof ImapConnectionError);
+    assert.equal(error.details.report[0].uid, 1);
+    assert.equal(error.details.report[0].actions[0].status, 'planned');
+    return true;
+  });
+});
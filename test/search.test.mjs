@@ -0,0 +1,95 @@
+/**
+ * Tests for searchMessages: criteria validation and search results
+ *
+ * Criteria are validated before the client connects, so the validation tests
+ * use a client for a closed port; the others run against the fake IMAP server.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ImapClient } from '../nodejs/imap-lambda-layer/imap-client.mjs';
+import { startFakeImap } from './fake-imap.mjs';
+
+let server;
+let client;
+
+before(async () => {
+  server = await startFakeImap({ folders: ['Strict'], permanentFlags: ['\\Seen', '\\Flagged', '$Known'] });
+  const messages = [
+    ['alice@example.com', 'Invoice 1', '2025-09-01T10:00:00Z', ['\\Seen']],
+    ['bob@example.com', 'Weekly news', '2025-09-15T10:00:00Z', ['$Processed']],
+    ['alice@example.com', 'Invoice 2', '2025-10-01T10:00:00Z', ['\\Flagged']],
+    ['carol@example.com', 'Lunch?', '2025-10-02T10:00:00Z', []],
+  ];
+  for (const [from, subject, internalDate, flags] of messages) {
+    const listId = subject.includes('news') ? 'List-Id: <news.example.com>\n' : '';
+    const source = `From: ${from}\nTo: team@example.com\nSubject: ${subject}\n${listId}\nBody of ${subject}\n`;
+    server.addMessage('INBOX', source, { flags, internalDate });
+  }
+  server.addMessage('Strict', 'Subject: Strict\n\nBody\n');
+  client = new ImapClient(server.config());
+});
+
+after(async () => {
+  await client.disconnect();
+  await server.close();
+});
+
+test('invalid criteria are rejected before connecting', async () => {
+  const closed = new ImapClient({ host: '127.0.0.1', port: 1, secure: false, auth: { user: 'bot', pass: 'secret' }, logger: false });
+  const cases = [
+    [null, 'criteria must be an object'],
+    [[], 'criteria must be an object'],
+    [{ form: 'alice' }, /^Unknown search criterion "criteria\.form", expected one of: from, /],
+    [{ from: '' }, 'criteria.from must be a non-empty string'],
+    [{ seen: 'yes' }, 'criteria.seen must be a non-empty boolean'],
+    [{ since: 'last week' }, 'criteria.since must be a valid date'],
+    [{ larger: 0 }, 'criteria.larger must be a positive integer'],
+    [{ smaller: 1.5 }, 'criteria.smaller must be a positive integer'],
+    [{ header: 'List-Id' }, 'criteria.header must be an object of header name/value pairs'],
+    [{ header: { 'List-Id': 1 } }, 'criteria.header.List-Id must be a string or true'],
+    [{ or: [] }, 'criteria.or must be a non-empty array of criteria'],
+    [{ or: [{ from: 'a' }, { subjet: 'b' }] }, /^Unknown search criterion "criteria\.or\[1\]\.subjet"/],
+    [{ not: { and: [{ seen: 1 }] } }, 'criteria.not.and[0].seen must be a non-empty boolean'],
+  ];
+
+  for (const [criteria, message] of cases) {
+    await assert.rejects(closed.searchMessages('INBOX', criteria), { name: 'TypeError', message });
+  }
+});
+
+test('plain criteria are combined with AND and results are newest first', async () => {
+  const results = await client.searchMessages('INBOX', { from: 'alice', since: '2025-09-10' });
+  assert.deepEqual(results.map((message) => message.subject), ['Invoice 2']);
+
+  const invoices = await client.searchMessages('INBOX', { subject: 'invoice' });
+  assert.deepEqual(invoices.map((message) => message.uid), [3, 1]);
+  assert.deepEqual(invoices[0].from, [{ name: '', address: 'alice@example.com' }]);
+  assert.deepEqual(invoices[1].flags, ['\\Seen']);
+
+  assert.deepEqual((await client.searchMessages('INBOX', {}, { limit: 2 })).map((message) => message.uid), [4, 3]);
+});
+
+test('and, or and not are resolved as UID sets', async () => {
+  const uids = async (criteria) => (await client.searchMessages('INBOX', criteria)).map((message) => message.uid);
+
+  assert.deepEqual(await uids({ or: [{ flagged: true }, { seen: true }] }), [3, 1]);
+  assert.deepEqual(await uids({ not: { from: 'alice' } }), [4, 2]);
+  assert.deepEqual(await uids({ to: 'team', and: [{ or: [{ from: 'bob' }, { from: 'carol' }] }, { not: { keyword: '$Processed' } }] }), [4]);
+  assert.deepEqual(await uids({ header: { 'List-Id': true } }), [2]);
+  assert.deepEqual(await uids({ uid: '2:3', seen: false }), [3, 2]);
+});
+
+test('requested headers are included in the summaries', async () => {
+  const [message] = await client.searchMessages('INBOX', { subject: 'news' }, { headers: ['List-Id', 'X-Missing'] });
+  assert.deepEqual(message.headers, { 'list-id': ['<news.example.com>'], 'x-missing': [] });
+});
+
+test('keywords the folder does not allow are rejected instead of ignored', async () => {
+  assert.deepEqual((await client.searchMessages('Strict', { unKeyword: '$Known' })).map((message) => message.uid), [1]);
+  await assert.rejects(client.searchMessages('Strict', { keyword: '$Processed' }), {
+    name: 'TypeError',
+    message: 'Keyword $Processed can not be searched in Strict, which does not allow it',
+  });
+});
@@ -0,0 +1,225 @@
+/**
+ * Tests for SES receipt events, the SES receipt handler and the search by SES ID
+ *
+ * The search by SES ID runs against the in-process fake IMAP server.
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseSesEvent, createSesReceiptHandler } from '../nodejs/imap-lambda-layer/ses.mjs';
+import { ImapClient, getImapClient, clearImapClientCache } from '../nodejs/imap-lambda-layer/imap-client.mjs';
+import { startFakeImap } from './fake-imap.mjs';
+
+after(() => clearImapClientCache());
+
+const notification = {
+  mail: {
+    timestamp: '2025-03-01T10:00:00.000Z',
+    source: 'sender@example.com',
+    messageId: 'o3vrnil0e2ic28trm7dfhrc2v0clambda4nbp0g1',
+    destination: ['inbox@example.org'],
+    commonHeaders: { messageId: '<abc@example.com>', subject: 'Invoice' },
+  },
+  receipt: {
+    spamVerdict: { status: 'PASS' },
+    virusVerdict: { status: 'PASS' },
+    spfVerdict: { status: 'GRAY' },
+    dkimVerdict: { status: 'FAIL' },
+    dmarcVerdict: { status: 'FAIL' },
+    dmarcPolicy: 'reject',
+    action: { type: 'Lambda' },
+  },
+};
+
+const expected = {
+  sesId: 'o3vrnil0e2ic28trm7dfhrc2v0clambda4nbp0g1',
+  messageId: '<abc@example.com>',
+  timestamp: '2025-03-01T10:00:00.000Z',
+  source: 'sender@example.com',
+  destination: ['inbox@example.org'],
+  subject: 'Invoice',
+  verdicts: { spam: 'PASS', virus: 'PASS', spf: 'GRAY', dkim: 'FAIL', dmarc: 'FAIL', dmarcPolicy: 'reject' },
+  action: 'Lambda',
+};
+
+test('parses SES receipt events', () => {
+  const event = { Records: [{ eventSource: 'aws:ses', ses: notification }] };
+
+  assert.deepEqual(parseSesEvent(event), [expected]);
+});
+
+test('parses SES notifications wrapped in SNS events', () => {
+  const event = {
+    Records: [
+      { EventSource: 'aws:sns', Sns: { Message: JSON.stringify(notification) } },
+      { EventSource: 'aws:sns', Sns: { Message: JSON.stringify({ mail: { messageId: 'second' } }) } },
+    ],
+  };
+
+  const receipts = parseSesEvent(event);
+  assert.deepEqual(receipts[0], expected);
+  assert.deepEqual(receipts[1], {
+    sesId: 'second',
+    messageId: null,
+    timestamp: null,
+    source: null,
+    destination: [],
+    subject: null,
+    verdicts: { spam: null, virus: null, spf: null, dkim: null, dmarc: null, dmarcPolicy: null },
+    action: null,
+  });
+});
+
+test('rejects events without SES receipts', () => {
+  assert.throws(() => parseSesEvent({}), { name: 'TypeError', message: 'Event contains no SES receipt records' });
+  assert.throws(() => parseSesEvent({ Records: [{ eventSource: 'aws:s3', s3: {} }] }), {
+    name: 'TypeError',
+    message: 'Event record is not an SES receipt',
+  });
+  assert.throws(() => parseSesEvent({ Records: [{ EventSource: 'aws:sns', Sns: { Message: 'not json' } }] }), (error) => {
+    assert.ok(error instanceof TypeError);
+    assert.match(error.message, /^SNS message is not an SES notification: /);
+    return true;
+  });
+});
+
+test('handler retries until the message arrives and calls onMessage', async () => {
+  const config = { host: '127.0.0.1', port: 1, auth: { user: 'ses-retry', pass: 'secret' }, logger: false };
+  const searches = [];
+  const found = [];
+  getImapClient(config).searchMessageBySesId = async (folder, sesId, options) => {
+    searches.push({ folder, sesId, options });
+    return { message: searches.length < 3 ? null : { uid: 42, envelope: { messageId: '<abc@example.com>' } } };
+  };
+
+  const handler = createSesReceiptHandler({
+    config,
+    folder: 'Incoming',
+    retryDelay: 1,
+    scan: true,
+    onMessage: async (client, result) => found.push(result.uid),
+  });
+  const { results } = await handler({ Records: [{ eventSource: 'aws:ses', ses: notification }] });
+
+  assert.equal(searches.length, 3);
+  assert.equal(searches[0].folder, 'Incoming');
+  assert.equal(searches[0].sesId, expected.sesId);
+  assert.equal(searches[0].options.scan, true);
+  // The search starts a day early, since IMAP dates have no time
+  assert.equal(searches[0].options.since.toISOString(), '2025-02-28T10:00:00.000Z');
+  assert.deepEqual(found, [42]);
+  assert.deepEqual(results, [
+    {
+      sesId: expected.sesId,
+      messageId: '<abc@example.com>',
+      uid: 42,
+      folder: 'Incoming',
+      found: true,
+      attempts: 3,
+      verdicts: expected.verdicts,
+    },
+  ]);
+});
+
+test('handler reports messages that never arrive', async () => {
+  const config = { host: '127.0.0.1', port: 1, auth: { user: 'ses-missing', pass: 'secret' }, logger: false };
+  let searches = 0;
+  getImapClient(config).searchMessageBySesId = async () => {
+    searches++;
+    return { message: null };
+  };
+
+  const onMessage = () => assert.fail('onMessage must not be called');
+  const handler = createSesReceiptHandler({ config, maxAttempts: 2, retryDelay: 1, onMessage });
+  const { results } = await handler({ Records: [{ eventSource: 'aws:ses', ses: notification }] });
+
+  assert.equal(searches, 2);
+  assert.equal(results[0].found, false);
+  assert.equal(results[0].uid, null);
+  assert.equal(results[0].attempts, 2);
+});
+
+test('handler rejects events without SES receipts before connecting', async () => {
+  const handler = createSesReceiptHandler({ config: { host: '127.0.0.1', logger: false } });
+
+  await assert.rejects(handler({ Records: [] }), TypeError);
+  assert.throws(() => createSesReceiptHandler({}), { message: 'createSesReceiptHandler requires a config' });
+});
+
+/**
+ * Build a message as delivered by SES, with the SES ID in its Received header
+ *
+ * @param {string} sesId - SES message ID
+ * @param {string} subject - Subject of the message
+ * @returns {string} - Raw message
+ */
+function sesMessage(sesId, subject) {
+  return [
+    'Received: from mail.example.com (mail.example.com [192.0.2.1])',
+    ` by inbound-smtp.eu-west-1.amazonaws.com with SMTP id ${sesId}`,
+    ' for inbox@example.org; Sat, 01 Mar 2025 10:00:00 +0000 (UTC)',
+    `Subject: ${subject}`,
+    '',
+    'Body',
+    '',
+  ].join('\n');
+}
+
+test('searchMessageBySesId finds messages with a server-side header search', async () => {
+  const server = await startFakeImap();
+  server.addMessage('INBOX', sesMessage('first0ses0id', 'First'));
+  server.addMessage('INBOX', sesMessage(expected.sesId, 'Invoice'));
+  // Mentions the ID, but not as the SMTP id of an SES Received header
+  server.addMessage('INBOX', `Received: by relay.example.com; ${expected.sesId}\nSubject: Forwarded\n\nBody\n`);
+  const client = new ImapClient(server.config());
+
+  try {
+    const result = await client.searchMessageBySesId('INBOX', expected.sesId);
+    assert.equal(result.message.uid, 2);
+    assert.equal(result.message.sesId, expected.sesId);
+    assert.equal(result.message.envelope.subject, 'Invoice');
+    assert.equal(result.scanned, 2);
+    assert.equal(result.truncated, false);
+    assert.ok(server.commands.includes(`UID SEARCH HEADER RECEIVED ${expected.sesId}`));
+
+    assert.deepEqual(await client.searchMessageBySesId('INBOX', 'unknown0ses0id'), {
+      message: null,
+      scanned: 0,
+      truncated: false,
+    });
+  } finally {
+    await client.disconnect();
+    await server.close();
+  }
+});
+
+test('searchMessageBySesId scans the newest messages when the server does not search Received headers', async () => {
+  const server = await startFakeImap({
+    onCommand: ({ tag, command, text }) =>
+      command === 'UID SEARCH' && /HEADER Received/i.test(text) ? `* SEARCH\r\n${tag} OK Search completed` : undefined,
+  });
+  server.addMessage('INBOX', sesMessage(expected.sesId, 'Invoice'));
+  for (let i = 0; i < 3; i++) {
+    server.addMessage('INBOX', sesMessage(`other${i}`, `Other ${i}`));
+  }
+  const client = new ImapClient(server.config());
+
+  try {
+    assert.deepEqual(await client.searchMessageBySesId('INBOX', expected.sesId), {
+      message: null,
+      scanned: 0,
+      truncated: false,
+    });
+
+    const scanned = await client.searchMessageBySesId('INBOX', expected.sesId, { scan: true });
+    assert.equal(scanned.message.uid, 1);
+    assert.equal(scanned.scanned, 4);
+
+    const truncated = await client.searchMessageBySesId('INBOX', expected.sesId, { scan: true, maxScan: 2 });
+    assert.deepEqual(truncated, { message: null, scanned: 2, truncated: true });
+  } finally {
+    await client.disconnect();
+    await server.close();
+  }
+});
@@ -0,0 +1,111 @@
+/**
+ * Tests for the sync state stores
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { memoryStateStore, fileStateStore, dynamoDbStateStore } from '../nodejs/imap-lambda-layer/state-store.mjs';
+
+test('memory store returns null for unknown keys and the last token otherwise', async () => {
+  const store = memoryStateStore();
+
+  assert.equal(await store.get('bot:INBOX'), null);
+  await store.set('bot:INBOX', 'token1');
+  await store.set('bot:INBOX', 'token2');
+  await store.set('bot:Archive', 'token3');
+
+  assert.equal(await store.get('bot:INBOX'), 'token2');
+  assert.equal(await store.get('bot:Archive'), 'token3');
+});
+
+test('file store creates the file and keeps tokens of other keys', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'imap-state-'));
+  try {
+    const path = join(dir, 'state.json');
+    const store = fileStateStore(path);
+
+    assert.equal(await store.get('bot:INBOX'), null);
+    await store.set('bot:INBOX', 'token1');
+    await store.set('bot:Archive', 'token2');
+    await store.set('bot:INBOX', 'token3');
+
+    assert.deepEqual(JSON.parse(await readFile(path, 'utf8')), { 'bot:INBOX': 'token3', 'bot:Archive': 'token2' });
+    // A new store on the same file, as after a cold start, sees the tokens
+    assert.equal(await fileStateStore(path).get('bot:Archive'), 'token2');
+    // The temporary file is renamed into place
+    assert.deepEqual(await readdir(dir), ['state.json']);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('file store does not overwrite a corrupt file', async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'imap-state-'));
+  try {
+    const path = join(dir, 'state.json');
+    await writeFile(path, '{"bot:INBOX": ');
+    const store = fileStateStore(path);
+
+    await assert.rejects(store.get('bot:INBOX'), SyntaxError);
+    await assert.rejects(store.set('bot:INBOX', 'token'), SyntaxError);
+    assert.equal(await readFile(path, 'utf8'), '{"bot:INBOX": ');
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('DynamoDB store reads and writes items through the given functions', async () => {
+  const items = new Map();
+  const requests = [];
+  const store = dynamoDbStateStore({
+    tableName: 'imap-sync',
+    getItem: async (params) => {
+      requests.push(['get', params]);
+      return { Item: items.get(params.Key.pk) };
+    },
+    putItem: async (params) => {
+      requests.push(['put', params]);
+      items.set(params.Item.pk, params.Item);
+    },
+  });
+
+  assert.equal(await store.get('bot:INBOX'), null);
+  await store.set('bot:INBOX', 'token1');
+  assert.equal(await store.get('bot:INBOX'), 'token1');
+
+  assert.deepEqual(requests[0], ['get', { TableName: 'imap-sync', Key: { pk: 'bot:INBOX' } }]);
+  const [, put] = requests[1];
+  assert.equal(put.TableName, 'imap-sync');
+  assert.equal(put.Item.pk, 'bot:INBOX');
+  assert.equal(put.Item.state, 'token1');
+  assert.ok(!isNaN(Date.parse(put.Item.updatedAt)));
+});
+
+test('DynamoDB store uses the configured attribute names', async () => {
+  const puts = [];
+  const store = dynamoDbStateStore({
+    tableName: 'imap-sync',
+    keyAttribute: 'id',
+    tokenAttribute: 'token',
+    getItem: async () => ({ Item: { id: 'bot:INBOX', token: 'token1' } }),
+    putItem: async (params) => puts.push(params),
+  });
+
+  assert.equal(await store.get('bot:INBOX'), 'token1');
+  await store.set('bot:INBOX', 'token2');
+  assert.equal(puts[0].Item.id, 'bot:INBOX');
+  assert.equal(puts[0].Item.token, 'token2');
+});
+
+test('DynamoDB store requires a table and both functions', () => {
+  const getItem = async () => ({});
+  const putItem = async () => {};
+
+  assert.throws(() => dynamoDbStateStore(), TypeError);
+  assert.throws(() => dynamoDbStateStore({ getItem, putItem }), TypeError);
+  assert.throws(() => dynamoDbStateStore({ tableName: 'imap-sync', getItem }), TypeError);
+});
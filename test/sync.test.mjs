@@ -0,0 +1,140 @@
+/**
+ * Tests for syncMailbox and its state tokens
+ *
+ * Tokens are validated before the client connects, so the validation tests use
+ * a client for a closed port; the others run against the fake IMAP server.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ImapClient } from '../nodejs/imap-lambda-layer/imap-client.mjs';
+import { ImapError } from '../nodejs/imap-lambda-layer/errors.mjs';
+import { startFakeImap } from './fake-imap.mjs';
+
+/**
+ * Encode a state token the way the client does
+ *
+ * @param {Object} data - Token content
+ * @returns {string} - State token
+ */
+function tokenOf(data) {
+  return Buffer.from(JSON.stringify(data)).toString('base64url');
+}
+
+/**
+ * Run a test body with a fake server holding three messages and a client connected to it
+ *
+ * @param {Object} options - Fake server options
+ * @param {Object} config - Client configuration to add
+ * @param {Function} body - Receives the server and the client
+ * @returns {Promise<void>}
+ */
+async function withServer(options, config, body) {
+  const server = await startFakeImap(options);
+  for (const subject of ['One', 'Two', 'Three']) {
+    server.addMessage('INBOX', `Subject: ${subject}\n\nBody\n`);
+  }
+  const client = new ImapClient(server.config(config));
+  try {
+    await body(server, client);
+  } finally {
+    await client.disconnect();
+    await server.close();
+  }
+}
+
+test('malformed state tokens are rejected with InvalidSyncState before connecting', async () => {
+  const client = new ImapClient({ host: '127.0.0.1', port: 1, secure: false, auth: { user: 'bot', pass: 'secret' }, logger: false });
+  const tokens = [
+    'not a token',
+    Buffer.from('not json').toString('base64url'),
+    tokenOf({ v: 1, n: 5, s: '1:4' }),
+    tokenOf({ v: '1', n: 0, s: '' }),
+    tokenOf({ v: '1', n: 4294967297, s: '' }),
+    tokenOf({ v: '1', n: 5 }),
+    tokenOf({ v: '1', n: 5, s: 'a' }),
+    tokenOf({ v: '1', n: 5, s: '3:2' }),
+    tokenOf({ v: '1', n: 5, s: '0:2' }),
+    // Every UID is below UIDNEXT
+    tokenOf({ v: '1', n: 5, s: '1:5' }),
+    // More UIDs than a folder can hold, rejected before they are expanded
+    tokenOf({ v: '1', n: 4294967296, s: '1:10000001' }),
+    tokenOf({ v: '1', n: 4294967296, s: '1:5000000,6000000:11000000' }),
+  ];
+
+  for (const state of tokens) {
+    await assert.rejects(client.syncMailbox('INBOX', state), (error) => {
+      assert.ok(error instanceof ImapError, state);
+      assert.equal(error.code, 'InvalidSyncState', state);
+      return true;
+    });
+  }
+});
+
+test('changes are reported with CONDSTORE since the previous sync', async () => {
+  await withServer({ capabilities: ['CONDSTORE'] }, {}, async (server, client) => {
+    const first = await client.syncMailbox('INBOX', null);
+    assert.deepEqual({ ...first, state: undefined }, { added: [1, 2, 3], changed: [], expunged: [], reset: true, state: undefined });
+
+    const unchanged = await client.syncMailbox('INBOX', first.state);
+    assert.deepEqual({ ...unchanged, state: undefined }, { added: [], changed: [], expunged: [], reset: false, state: undefined });
+
+    server.setFlags('INBOX', 1, ['\\Seen']);
+    server.expunge('INBOX', 2);
+    server.addMessage('INBOX', 'Subject: Four\n\nBody\n');
+
+    const second = await client.syncMailbox('INBOX', unchanged.state);
+    assert.deepEqual(second.added, [4]);
+    assert.deepEqual(second.changed, [1]);
+    assert.deepEqual(second.expunged, [2]);
+    assert.equal(second.reset, false);
+
+    const third = await client.syncMailbox('INBOX', second.state);
+    assert.deepEqual([third.added, third.changed, third.expunged], [[], [], []]);
+  });
+});
+
+test('without CONDSTORE expunges are still found and changed is null', async () => {
+  await withServer({}, {}, async (server, client) => {
+    const { state } = await client.syncMailbox('INBOX', null);
+    server.expunge('INBOX', 3);
+
+    const result = await client.syncMailbox('INBOX', state);
+    assert.deepEqual(result.added, []);
+    assert.equal(result.changed, null);
+    assert.deepEqual(result.expunged, [3]);
+  });
+});
+
+test('QRESYNC is only enabled when configured and then reports expunges', async () => {
+  await withServer({ capabilities: ['CONDSTORE', 'QRESYNC'] }, {}, async (server, client) => {
+    await client.syncMailbox('INBOX', null);
+    assert.deepEqual(server.commands.filter((command) => command.startsWith('ENABLE')), ['ENABLE CONDSTORE']);
+  });
+
+  await withServer({ capabilities: ['CONDSTORE', 'QRESYNC'] }, { qresync: true }, async (server, client) => {
+    const { state } = await client.syncMailbox('INBOX', null);
+    assert.deepEqual(server.commands.filter((command) => command.startsWith('ENABLE')), ['ENABLE CONDSTORE QRESYNC']);
+
+    server.expunge('INBOX', 1);
+    server.setFlags('INBOX', 3, ['\\Flagged']);
+
+    const result = await client.syncMailbox('INBOX', state);
+    assert.deepEqual(result.expunged, [1]);
+    assert.deepEqual(result.changed, [3]);
+    // Known UIDs are not searched for, VANISHED reports the expunged ones
+    assert.equal(server.commands.some((command) => command.startsWith('UID SEARCH UID 1:3')), false);
+  });
+});
+
+test('a new UIDVALIDITY discards the previous state', async () => {
+  await withServer({ capabilities: ['CONDSTORE'] }, {}, async (server, client) => {
+    const { state } = await client.syncMailbox('INBOX', null);
+    server.resetUidValidity('INBOX');
+
+    const result = await client.syncMailbox('INBOX', state);
+    assert.equal(result.reset, true);
+    assert.deepEqual(result.added, [1, 2, 3]);
+  });
+});
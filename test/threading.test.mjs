@@ -0,0 +1,141 @@
+/**
+ * Tests for client-side threading and THREAD response parsing
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { threadMessages, parseThreadList, parseMessageIds } from '../nodejs/imap-lambda-layer/threading.mjs';
+
+/**
+ * Build a message to thread
+ *
+ * @param {string} id - Message-ID without angle brackets, also used as the name in assertions
+ * @param {number} day - Day of October 2025 the message was sent
+ * @param {Object} [fields] - Fields to add, e.g. references or subject
+ * @returns {Object} - Message
+ */
+function message(id, day, fields = {}) {
+  return { messageId: `<${id}>`, subject: 'Plans', date: new Date(Date.UTC(2025, 9, day)), name: id, ...fields };
+}
+
+/**
+ * Reduce thread nodes to nested arrays of message names, "-" for nodes without message
+ *
+ * @param {Array<Object>} nodes - Nodes returned by threadMessages
+ * @returns {Array} - Names, with children in an array after their parent
+ */
+function shape(nodes) {
+  return nodes.map((node) => {
+    const name = node.message ? node.message.name : '-';
+    return node.children.length ? [name, shape(node.children)] : name;
+  });
+}
+
+test('links replies by References and orders children oldest first', () => {
+  const threads = threadMessages([
+    message('c', 3, { references: '<a> <b>' }),
+    message('a', 1),
+    message('d', 4, { references: '<a>' }),
+    message('b', 2, { references: '<a>' }),
+  ]);
+
+  assert.deepEqual(shape(threads), [['a', [['b', ['c']], 'd']]]);
+});
+
+test('falls back to In-Reply-To without References', () => {
+  const threads = threadMessages([
+    message('a', 1),
+    message('b', 2, { inReplyTo: '<a> (sent by Alice)' }),
+    message('c', 3, { inReplyTo: 'b' }),
+  ]);
+
+  assert.deepEqual(shape(threads), [['a', [['b', ['c']]]]]);
+});
+
+test('the last reference is the parent, even if other messages suggested another', () => {
+  const threads = threadMessages([
+    message('a', 1),
+    message('c', 3, { references: '<a> <b>', subject: 'Re: Other' }),
+    message('b', 2, { references: '<x>', subject: 'Other' }),
+  ]);
+
+  // c's References claimed that b answers a, but b itself says it answers x, which is missing
+  assert.deepEqual(shape(threads), [['b', ['c']], 'a']);
+});
+
+test('keeps an empty root for siblings whose parent is missing', () => {
+  const threads = threadMessages([
+    message('b', 2, { references: '<a>' }),
+    message('c', 3, { references: '<a>', subject: 'Other' }),
+    message('d', 4, { references: '<missing> <c>' }),
+  ]);
+
+  assert.deepEqual(shape(threads), [['-', ['b', ['c', ['d']]]]]);
+});
+
+test('joins threads with the same subject when references are lost', () => {
+  const threads = threadMessages([
+    message('a', 1, { subject: 'Plans' }),
+    message('b', 2, { subject: 'Re: Plans' }),
+    message('c', 3, { subject: 'AW: [team] RE: plans' }),
+    message('d', 4, { subject: 'Other' }),
+  ]);
+
+  assert.deepEqual(shape(threads), ['d', ['a', ['b', 'c']]]);
+});
+
+test('groups unrelated messages with the same subject under an empty root', () => {
+  const threads = threadMessages([message('a', 1), message('b', 2)]);
+
+  assert.deepEqual(shape(threads), [['-', ['a', 'b']]]);
+});
+
+test('orders threads by their most recent message', () => {
+  const threads = threadMessages([
+    message('old', 1, { subject: 'Old' }),
+    message('new', 5, { subject: 'New' }),
+    message('reply', 9, { subject: 'Re: Old', references: '<old>' }),
+  ]);
+
+  assert.deepEqual(shape(threads), [['old', ['reply']], 'new']);
+});
+
+test('survives reference loops, duplicates and messages without Message-ID', () => {
+  const threads = threadMessages([
+    message('a', 1, { references: '<b>', subject: 'One' }),
+    message('b', 2, { references: '<a>', subject: 'Two' }),
+    message('a', 3, { subject: 'Copy' }),
+    { subject: 'Anonymous', date: new Date(Date.UTC(2025, 9, 4)), name: 'anonymous' },
+  ]);
+
+  const names = JSON.stringify(shape(threads));
+  for (const name of ['"a"', '"b"', '"anonymous"']) {
+    assert.ok(names.includes(name), `${name} is missing from ${names}`);
+  }
+  // Both copies of a are kept
+  assert.equal(names.split('"a"').length - 1, 2);
+});
+
+test('parses THREAD responses into UID trees', () => {
+  const atoms = (list) => list.map((item) => (Array.isArray(item) ? atoms(item) : { type: 'ATOM', value: String(item) }));
+
+  assert.deepEqual(parseThreadList(atoms([1, 2, [3], [4, 5]])), {
+    uid: 1,
+    children: [{ uid: 2, children: [{ uid: 3, children: [] }, { uid: 4, children: [{ uid: 5, children: [] }] }] }],
+  });
+  assert.deepEqual(parseThreadList(atoms([[6], [7]])), {
+    uid: null,
+    children: [
+      { uid: 6, children: [] },
+      { uid: 7, children: [] },
+    ],
+  });
+});
+
+test('extracts Message-IDs with and without angle brackets', () => {
+  assert.deepEqual(parseMessageIds('<a@example.com>\r\n <b@example.com>'), ['a@example.com', 'b@example.com']);
+  assert.deepEqual(parseMessageIds(' a@example.com '), ['a@example.com']);
+  assert.deepEqual(parseMessageIds('not an id'), []);
+  assert.deepEqual(parseMessageIds(undefined), []);
+});
@@ -0,0 +1,94 @@
+/**
+ * Tests for waitForMessages with IDLE and with polling
+ *
+ * The client runs against the in-process fake IMAP server, where the tests
+ * deliver messages while the client waits.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ImapClient } from '../nodejs/imap-lambda-layer/imap-client.mjs';
+import { startFakeImap } from './fake-imap.mjs';
+
+/**
+ * Run a test body with a fake server holding a matching message and a client connected to it
+ *
+ * @param {Object} options - Fake server options
+ * @param {Function} body - Receives the server and the client
+ * @returns {Promise<void>}
+ */
+async function withServer(options, body) {
+  const server = await startFakeImap(options);
+  // Arrived before the wait, so never reported
+  server.addMessage('INBOX', 'Subject: Old invoice\n\nBody\n');
+  const client = new ImapClient(server.config());
+  try {
+    await body(server, client);
+  } finally {
+    await client.disconnect();
+    await server.close();
+  }
+}
+
+/**
+ * Wait until the server received a command
+ *
+ * @param {Object} server - Fake server
+ * @param {string} command - Command to wait for
+ * @param {number} [count] - Number of times it must have been received (default: 1)
+ * @returns {Promise<void>}
+ */
+async function received(server, command, count = 1) {
+  while (server.commands.filter((candidate) => candidate === command).length < count) {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+}
+
+test('new matching messages end an IDLE wait', async () => {
+  await withServer({}, async (server, client) => {
+    const wait = client.waitForMessages('INBOX', { criteria: { subject: 'invoice' }, timeoutMs: 5000 });
+
+    await received(server, 'IDLE');
+    server.addMessage('INBOX', 'Subject: Newsletter\n\nBody\n');
+    // The newsletter does not match, so the client goes back to IDLE
+    await received(server, 'IDLE', 2);
+    server.addMessage('INBOX', 'Subject: Invoice 7\n\nBody\n');
+
+    assert.deepEqual(await wait, [3]);
+  });
+});
+
+test('servers without IDLE are polled', async () => {
+  await withServer({ without: ['IDLE'] }, async (server, client) => {
+    const wait = client.waitForMessages('INBOX', { pollInterval: 20, timeoutMs: 5000 });
+
+    await received(server, 'UID SEARCH UID 2:*', 2);
+    server.addMessage('INBOX', 'Subject: Hello\n\nBody\n');
+
+    assert.deepEqual(await wait, [2]);
+    assert.equal(server.commands.includes('IDLE'), false);
+  });
+});
+
+test('the wait ends with no messages at the timeout, signal or deadline', async () => {
+  await withServer({}, async (server, client) => {
+    assert.deepEqual(await client.waitForMessages('INBOX', { timeoutMs: 50 }), []);
+
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 50);
+    assert.deepEqual(await client.waitForMessages('INBOX', { signal: controller.signal }), []);
+
+    assert.deepEqual(await client.waitForMessages('INBOX', { deadline: Date.now() + 50 }), []);
+    assert.deepEqual(await client.waitForMessages('INBOX', { signal: AbortSignal.abort() }), []);
+
+    // The client is still usable
+    server.addMessage('INBOX', 'Subject: Late\n\nBody\n');
+    assert.equal((await client.listMessages('INBOX', 5)).length, 2);
+  });
+});
+
+test('criteria are validated before waiting', async () => {
+  const client = new ImapClient({ host: '127.0.0.1', port: 1, secure: false, auth: { user: 'bot', pass: 'secret' }, logger: false });
+  await assert.rejects(client.waitForMessages('INBOX', { criteria: { subjct: 'invoice' } }), TypeError);
+});